@@ -6,42 +6,89 @@
 class AudioGeneratorApp {
     constructor() {
         this.audioEngine = null;
+        this.presetStore = null;
+        this.userSounds = null;
+        this.offlineSounds = null;
+        // Library sounds waiting for or in the middle of an offline download
+        this.offlineDownloads = new Set();
+        this.soundscapeFile = null;
+        this.shareLink = null;
+        this.shareLinkTimer = null;
+        this.focusTimer = null;
+        this.sleepTimer = null;
+        this.timelinePlayer = null;
+        this.driftPlayer = null;
+        this.videoSync = null;
+        this.speechDucker = null;
+        this.shortcuts = null;
+        this.commandPalette = null;
+        this.mediaSession = null;
+        // Command waiting for a new key in the shortcut list
+        this.rebindingCommand = null;
+        this.timerStorageKey = 'audioGeneratorFocusTimer';
+        this.settingsStorageKey = 'audioGeneratorSettings';
+        // Volume slider step for keyboard nudges (%)
+        this.volumeStep = 5;
+        // Warn this long before a WAV recording reaches its size limit (ms)
+        this.recordLimitWarning = 5 * 60 * 1000;
+        this.recordLimitWarned = false;
         this.videoElement = null;
-        this.layers = ['nature', 'music', 'noise', 'ambient'];
+        this.layers = [];
+        this.layerCounter = 0;
         this.currentPreset = null;
+        // Layer that keyboard volume nudges and palette sounds go to
+        this.selectedLayerId = null;
         this.animationFrameId = null;
 
+        // Sound categories shown as option groups in every layer; the rest
+        // come from the sounds.json manifest
+        this.categories = {
+            user: { label: 'My Sounds', icon: '📁' }
+        };
+
+        // Layers shown on first load
+        this.defaultLayers = [
+            { sound: null, volume: 0.6 },
+            { sound: null, volume: 0.4 },
+            { sound: null, volume: 0.3 },
+            { sound: null, volume: 0.2 }
+        ];
+
         // Preset configurations
         this.presets = {
             'deep-focus': {
-                nature: { sound: 'stream', volume: 0.3 },
-                music: { sound: 'ambient', volume: 0.5 },
-                noise: { sound: 'brown', volume: 0.4 },
-                ambient: { sound: 'space', volume: 0.2 }
+                layers: [
+                    { sound: 'nature/stream', volume: 0.3 },
+                    { sound: 'music/ambient', volume: 0.5 },
+                    { sound: 'noise/brown', volume: 0.4 },
+                    { sound: 'ambient/space', volume: 0.2 }
+                ]
             },
             'calm-workspace': {
-                nature: { sound: 'rain', volume: 0.4 },
-                music: { sound: 'piano', volume: 0.3 },
-                noise: { sound: 'cafe', volume: 0.3 },
-                ambient: { sound: null, volume: 0 }
+                layers: [
+                    { sound: 'nature/rain', volume: 0.4 },
+                    { sound: 'music/piano', volume: 0.3 },
+                    { sound: 'noise/cafe', volume: 0.3 }
+                ]
             },
             'nature-retreat': {
-                nature: { sound: 'forest', volume: 0.6 },
-                music: { sound: null, volume: 0 },
-                noise: { sound: null, volume: 0 },
-                ambient: { sound: 'wind', volume: 0.4 }
+                layers: [
+                    { sound: 'nature/forest', volume: 0.6 },
+                    { sound: 'ambient/wind', volume: 0.4 }
+                ]
             },
             'rain-study': {
-                nature: { sound: 'rain', volume: 0.7 },
-                music: { sound: 'lofi', volume: 0.4 },
-                noise: { sound: 'white', volume: 0.2 },
-                ambient: { sound: null, volume: 0 }
+                layers: [
+                    { sound: 'nature/rain', volume: 0.7 },
+                    { sound: 'music/lofi', volume: 0.4 },
+                    { sound: 'noise/white', volume: 0.2 }
+                ]
             },
             'meditation': {
-                nature: { sound: 'ocean', volume: 0.3 },
-                music: { sound: null, volume: 0 },
-                noise: { sound: null, volume: 0 },
-                ambient: { sound: 'tibetan', volume: 0.5 }
+                layers: [
+                    { sound: 'nature/ocean', volume: 0.3 },
+                    { sound: 'ambient/tibetan', volume: 0.5 }
+                ]
             }
         };
 
@@ -56,19 +103,78 @@ class AudioGeneratorApp {
 
         // Initialize audio engine
         this.audioEngine = new AudioEngine();
+        this.setupEngineEvents();
+        this.setupPlaybackSettings();
+        await this.loadSoundLibrary();
+
+        // Load the user's preset library
+        this.presetStore = new PresetStore();
+        this.soundscapeFile = new SoundscapeFile(this.audioEngine.audioLibrary);
+        this.renderUserPresets();
+
+        // Focus session and sleep timers
+        this.setupFocusTimer();
+        this.setupSleepTimer();
+        this.setupTimeline();
+        this.setupDrift();
+        this.setupVideoSync();
+        this.setupSpeechDucker();
+        this.setupRecorder();
+        this.setupShortcuts();
+        this.setupMediaSession();
 
         // Set up event listeners
         this.setupEventListeners();
 
+        // The user's own sound files must be in the library before any mix is restored
+        await this.setupUserSounds();
+        await this.setupOffline();
+
+        // Restore a shared mix from the URL hash, or start with the default layers
+        this.shareLink = new ShareLink();
+        if (!(await this.loadFromShareLink())) {
+            this.defaultLayers.forEach(config => this.addLayer(config));
+        }
+
         // Initialize status display
         this.updateStatus();
 
         // Set up visualization loop
         this.startVisualization();
+        this.startLevelMeter();
+
+        this.cacheChosenSounds();
 
         console.log('Application initialized. Click "Play All Layers" to start.');
     }
 
+    /**
+     * Keep the UI in step with the engine
+     */
+    setupEngineEvents() {
+        this.audioEngine.on('layerstarted', ({ layerId }) => {
+            this.updateLayerUI(layerId, true);
+            this.updateStatus();
+        });
+
+        this.audioEngine.on('layerstopped', ({ layerId }) => {
+            if (this.getLayerElement(layerId)) {
+                this.updateLayerUI(layerId, false);
+            }
+            this.updateStatus();
+        });
+
+        this.audioEngine.on('contextstatechange', () => this.updateStatus());
+        this.audioEngine.on('error', (error) => this.showLayerError(error.layerId, error));
+
+        this.audioEngine.on('configchange', ({ changes }) => {
+            const shared = ['enableCrossfade', 'fadeDuration', 'loopLayers'];
+            if (shared.some(key => key in changes)) {
+                this.updateShareLink();
+            }
+        });
+    }
+
     /**
      * Set up all event listeners
      */
@@ -77,47 +183,170 @@ class AudioGeneratorApp {
         document.getElementById('playAllBtn').addEventListener('click', () => this.handlePlayAll());
         document.getElementById('stopAllBtn').addEventListener('click', () => this.handleStopAll());
 
+        // Notices
+        document.querySelector('#appNotice .notice-close').addEventListener('click', () => {
+            document.getElementById('appNotice').classList.add('hidden');
+        });
+
         // Master volume
         const masterVolume = document.getElementById('masterVolume');
         masterVolume.addEventListener('input', (e) => this.handleMasterVolumeChange(e));
 
-        // Video element
-        this.videoElement = document.getElementById('mainVideo');
-        this.videoElement.addEventListener('play', () => this.handleVideoPlay());
-        this.videoElement.addEventListener('pause', () => this.handleVideoPause());
+        // Layer controls (delegated so layers added later are covered)
+        const layersContainer = document.querySelector('.layers-container');
+        layersContainer.addEventListener('click', (e) => {
+            const actionBtn = e.target.closest('[data-action]');
+            if (!actionBtn) return;
 
-        // Layer controls
-        this.layers.forEach(layerId => {
-            const layerElement = document.querySelector(`[data-layer="${layerId}"]`);
+            const layerId = actionBtn.closest('.audio-layer').dataset.layer;
+            this.handleLayerAction(actionBtn.dataset.action, layerId, actionBtn);
+        });
+
+        layersContainer.addEventListener('change', (e) => {
+            if (e.target.matches('.audio-select')) {
+                this.handleAudioSelect(e.target.closest('.audio-layer').dataset.layer, e);
+            } else if (e.target.matches('[data-drift]')) {
+                this.handleLayerDriftChange(e.target.closest('.audio-layer').dataset.layer);
+            }
+        });
+
+        layersContainer.addEventListener('input', (e) => {
+            if (e.target.matches('.volume-slider')) {
+                this.handleLayerVolumeChange(e.target.closest('.audio-layer').dataset.layer, e);
+            } else if (e.target.matches('[data-effect]')) {
+                this.handleLayerEffectsChange(e.target.closest('.audio-layer').dataset.layer);
+            } else if (e.target.matches('[data-timeline]')) {
+                this.handleLayerTimelineChange(e.target.closest('.audio-layer').dataset.layer);
+            } else if (e.target.matches('[data-brainwave]')) {
+                this.handleLayerBrainwaveChange(e.target.closest('.audio-layer').dataset.layer, e.target);
+            }
+        });
+
+        // The layer last clicked or tabbed into is the one keyboard nudges act on
+        ['focusin', 'pointerdown'].forEach(type => layersContainer.addEventListener(type, (e) => {
+            const layerElement = e.target.closest('.audio-layer');
+            if (layerElement) {
+                this.selectLayer(layerElement.dataset.layer);
+            }
+        }));
+
+        // Audio files dropped on a layer card are stored and selected on that layer
+        layersContainer.addEventListener('dragover', (e) => {
+            const layerElement = e.target.closest('.audio-layer');
+            if (!layerElement || !e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            layerElement.classList.add('drag-over');
+        });
+        layersContainer.addEventListener('dragleave', (e) => {
+            const layerElement = e.target.closest('.audio-layer');
+            if (layerElement && !layerElement.contains(e.relatedTarget)) {
+                layerElement.classList.remove('drag-over');
+            }
+        });
+        layersContainer.addEventListener('drop', (e) => {
+            const layerElement = e.target.closest('.audio-layer');
+            if (!layerElement) return;
+            e.preventDefault();
+            layerElement.classList.remove('drag-over');
+            this.addUserSounds(Array.from(e.dataTransfer.files), layerElement.dataset.layer);
+        });
+
+        document.getElementById('addLayerBtn').addEventListener('click', () => this.handleAddLayer());
 
-            // Toggle button
-            const toggleBtn = layerElement.querySelector('.btn-toggle');
-            toggleBtn.addEventListener('click', () => this.handleLayerToggle(layerId));
+        // Presets (delegated so user presets rendered later are covered)
+        document.querySelector('.presets-grid').addEventListener('click', (e) => {
+            const actionBtn = e.target.closest('[data-preset-action]');
+            if (actionBtn) {
+                this.handleUserPresetAction(actionBtn.dataset.presetAction, actionBtn.dataset.presetId);
+                return;
+            }
+
+            const presetBtn = e.target.closest('.preset-btn[data-preset]');
+            if (presetBtn) {
+                this.loadPreset(presetBtn.dataset.preset);
+            }
+        });
 
-            // Audio select
-            const audioSelect = layerElement.querySelector('.audio-select');
-            audioSelect.addEventListener('change', (e) => this.handleAudioSelect(layerId, e));
+        document.getElementById('savePresetBtn').addEventListener('click', () => this.saveCurrentAsPreset());
 
-            // Volume slider
-            const volumeSlider = layerElement.querySelector('.volume-slider');
-            volumeSlider.addEventListener('input', (e) => this.handleLayerVolumeChange(layerId, e));
+        // Soundscape import/export
+        document.getElementById('exportBtn').addEventListener('click', () => {
+            this.exportSoundscape(document.getElementById('exportSource').value);
         });
 
-        // Presets
-        document.querySelectorAll('.preset-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const preset = e.currentTarget.dataset.preset;
-                if (preset === 'custom') {
-                    this.saveCustomPreset();
-                } else {
-                    this.loadPreset(preset);
-                }
-            });
+        const importInput = document.getElementById('importFile');
+        importInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.importSoundscape(file);
+            }
+            importInput.value = '';
+        });
+
+        const dropZone = document.querySelector('.presets-section');
+        dropZone.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            dropZone.classList.add('drag-over');
+        });
+        dropZone.addEventListener('dragleave', (e) => {
+            if (!dropZone.contains(e.relatedTarget)) {
+                dropZone.classList.remove('drag-over');
+            }
+        });
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('drag-over');
+            const file = e.dataTransfer.files[0];
+            if (file) {
+                this.importSoundscape(file);
+            }
+        });
+
+        // The user's own sound files
+        const userSoundInput = document.getElementById('userSoundFile');
+        userSoundInput.addEventListener('change', (e) => {
+            this.addUserSounds(Array.from(e.target.files));
+            userSoundInput.value = '';
+        });
+
+        document.getElementById('userSoundList').addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('[data-sound-action="remove"]');
+            if (removeBtn) {
+                this.removeUserSound(removeBtn.dataset.soundId);
+            }
+        });
+
+        // Offline use
+        document.getElementById('offlineSoundList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-offline-action]');
+            if (button) {
+                this.handleOfflineAction(button.dataset.offlineAction, button.dataset.sound);
+            }
+        });
+        document.getElementById('offlineDownloadAllBtn').addEventListener('click', () => {
+            this.downloadOfflineSounds(this.getOfflineSounds().map(({ sound }) => sound));
+        });
+        document.getElementById('offlineRemoveAllBtn').addEventListener('click', () => this.removeOfflineSounds());
+        document.getElementById('offlineAuto').addEventListener('change', (e) => {
+            this.savePlaybackSettings();
+            if (e.target.checked) {
+                this.cacheChosenSounds();
+            }
         });
 
         // Settings
-        document.getElementById('syncVideo').addEventListener('change', (e) => {
-            this.updateVideoSync(e.target.checked);
+        document.getElementById('syncVideo').addEventListener('change', () => this.handleVideoSyncChange());
+        document.getElementById('videoSyncModes').addEventListener('change', () => this.handleVideoSyncChange());
+
+        // Speech ducking
+        document.getElementById('duckSource').addEventListener('change', (e) => this.handleDuckSourceChange(e.target.value));
+        document.getElementById('duckSettings').addEventListener('change', (e) => {
+            if (e.target.id !== 'duckSource') {
+                this.handleDuckSettingsChange();
+            }
         });
 
         document.getElementById('crossfade').addEventListener('change', (e) => {
@@ -132,6 +361,67 @@ class AudioGeneratorApp {
         document.getElementById('loopLayers').addEventListener('change', (e) => {
             this.audioEngine.updateConfig({ loopLayers: e.target.checked });
         });
+
+        document.getElementById('gaplessLoop').addEventListener('change', (e) => {
+            this.audioEngine.updateConfig({ bufferedPlayback: e.target.checked });
+            this.savePlaybackSettings();
+        });
+
+        document.getElementById('fallbackMode').addEventListener('change', (e) => {
+            this.audioEngine.updateConfig({ fallback: e.target.value });
+            this.savePlaybackSettings();
+        });
+
+        document.getElementById('limiter').addEventListener('change', (e) => {
+            this.audioEngine.updateConfig({ limiter: e.target.checked });
+            this.savePlaybackSettings();
+        });
+
+        document.getElementById('normalizeLevels').addEventListener('change', (e) => {
+            this.audioEngine.updateConfig({ normalize: e.target.checked });
+            this.savePlaybackSettings();
+        });
+
+        // Focus session timer
+        document.getElementById('timerStartBtn').addEventListener('click', () => this.handleTimerStart());
+        document.getElementById('timerPauseBtn').addEventListener('click', () => this.handleTimerPause());
+        document.getElementById('timerSkipBtn').addEventListener('click', () => this.focusTimer.skip());
+        document.getElementById('timerStopBtn').addEventListener('click', () => this.handleTimerStop());
+        document.getElementById('focusSettings').addEventListener('change', () => this.saveTimerSettings());
+
+        // Sleep timer
+        document.getElementById('sleepStartBtn').addEventListener('click', () => this.handleSleepStart());
+        document.getElementById('sleepCancelBtn').addEventListener('click', () => this.handleSleepCancel());
+
+        // Timeline
+        document.getElementById('timelineStartBtn').addEventListener('click', () => this.handleTimelineStart());
+        document.getElementById('timelineStopBtn').addEventListener('click', () => this.handleTimelineStop());
+        document.getElementById('timelineLoopMinutes').addEventListener('change', () => this.updateShareLink());
+
+        // Offline render
+        document.getElementById('renderBtn').addEventListener('click', () => this.handleRender());
+
+        // Live recording
+        document.getElementById('recordBtn').addEventListener('click', () => this.handleRecordToggle());
+
+        // Keyboard shortcuts and the command palette
+        document.getElementById('commandPaletteBtn').addEventListener('click', () => this.openCommandPalette());
+        document.getElementById('shortcutList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-shortcut]');
+            if (button) {
+                this.handleShortcutRebind(button.dataset.shortcut);
+            }
+        });
+        document.getElementById('shortcutResetBtn').addEventListener('click', () => {
+            this.shortcuts.reset();
+            this.savePlaybackSettings();
+            this.renderShortcuts();
+        });
+
+        // Shared links pasted into an open tab
+        window.addEventListener('hashchange', () => this.loadFromShareLink());
+
+        document.getElementById('copyLinkBtn').addEventListener('click', () => this.copyShareLink());
     }
 
     /**
@@ -142,31 +432,21 @@ class AudioGeneratorApp {
             // Initialize audio engine if not already done
             if (!this.audioEngine.isInitialized) {
                 await this.audioEngine.initialize();
-                this.updateStatus();
             }
 
-            // Initialize layers if not created
-            this.layers.forEach(layerId => {
-                if (!this.audioEngine.layers.has(layerId)) {
-                    const layerElement = document.querySelector(`[data-layer="${layerId}"]`);
-                    const volumeSlider = layerElement.querySelector('.volume-slider');
-                    const volume = parseFloat(volumeSlider.value) / 100;
-                    this.audioEngine.createLayer(layerId, volume);
-                }
-            });
-
             // Play all layers that have audio selected
             this.layers.forEach(layerId => {
-                const layerElement = document.querySelector(`[data-layer="${layerId}"]`);
-                const audioSelect = layerElement.querySelector('.audio-select');
-                const selectedSound = audioSelect.value;
+                this.ensureEngineLayer(layerId);
 
-                if (selectedSound) {
-                    this.playLayer(layerId, layerId, selectedSound);
+                const { sound } = this.getLayerConfig(layerId);
+                if (sound) {
+                    this.playLayer(layerId, sound);
                 }
             });
 
-            this.updateStatus();
+            this.startTimeline();
+            this.startDrift();
+            this.videoSync.release();
         } catch (error) {
             console.error('Error playing all layers:', error);
             alert('Failed to start audio. Please check your browser permissions.');
@@ -177,19 +457,9 @@ class AudioGeneratorApp {
      * Handle Stop All button
      */
     handleStopAll() {
+        this.timelinePlayer.stop();
+        this.driftPlayer.stop();
         this.audioEngine.stopAll();
-
-        // Update UI
-        this.layers.forEach(layerId => {
-            const layerElement = document.querySelector(`[data-layer="${layerId}"]`);
-            layerElement.classList.remove('active');
-
-            const toggleBtn = layerElement.querySelector('.btn-toggle');
-            toggleBtn.classList.remove('playing');
-            toggleBtn.querySelector('.icon').textContent = '▶';
-        });
-
-        this.updateStatus();
     }
 
     /**
@@ -200,36 +470,28 @@ class AudioGeneratorApp {
             // Initialize audio engine if needed
             if (!this.audioEngine.isInitialized) {
                 await this.audioEngine.initialize();
-                this.updateStatus();
             }
 
-            // Create layer if it doesn't exist
-            if (!this.audioEngine.layers.has(layerId)) {
-                const layerElement = document.querySelector(`[data-layer="${layerId}"]`);
-                const volumeSlider = layerElement.querySelector('.volume-slider');
-                const volume = parseFloat(volumeSlider.value) / 100;
-                this.audioEngine.createLayer(layerId, volume);
-            }
+            this.ensureEngineLayer(layerId);
 
             const layerInfo = this.audioEngine.getLayerInfo(layerId);
-            const layerElement = document.querySelector(`[data-layer="${layerId}"]`);
-            const audioSelect = layerElement.querySelector('.audio-select');
-            const selectedSound = audioSelect.value;
+            const { sound } = this.getLayerConfig(layerId);
 
             if (layerInfo.isPlaying) {
                 // Stop the layer
                 this.audioEngine.stopLayer(layerId);
-                this.updateLayerUI(layerId, false);
+                this.driftPlayer.removeTrack(layerId);
+                this.showLayerError(layerId, null);
             } else {
                 // Play the layer
-                if (selectedSound) {
-                    this.playLayer(layerId, layerId, selectedSound);
+                if (sound) {
+                    this.playLayer(layerId, sound);
+                    this.driftPlayer.setTrack(this.getDriftTrack(layerId));
+                    this.videoSync.release();
                 } else {
                     alert('Please select an audio first');
                 }
             }
-
-            this.updateStatus();
         } catch (error) {
             console.error(`Error toggling layer ${layerId}:`, error);
             alert('Failed to toggle audio layer. Please try again.');
@@ -239,231 +501,2924 @@ class AudioGeneratorApp {
     /**
      * Play a specific layer
      */
-    async playLayer(layerId, soundType, soundName) {
+    async playLayer(layerId, sound) {
+        const [soundType, soundName] = this.parseSound(sound);
+        this.showLayerError(layerId, null);
+
         await this.audioEngine.loadAndPlayAudio(layerId, soundType, soundName);
-        this.updateLayerUI(layerId, true);
-        this.updateStatus();
     }
 
     /**
-     * Update layer UI state
+     * Show or clear the error badge on a layer card
      */
-    updateLayerUI(layerId, isPlaying) {
-        const layerElement = document.querySelector(`[data-layer="${layerId}"]`);
-        const toggleBtn = layerElement.querySelector('.btn-toggle');
+    showLayerError(layerId, error) {
+        const layerElement = this.getLayerElement(layerId);
+        if (!layerElement) return;
 
-        if (isPlaying) {
-            layerElement.classList.add('active');
-            toggleBtn.classList.add('playing');
-            toggleBtn.querySelector('.icon').textContent = '⏸';
-        } else {
-            layerElement.classList.remove('active');
-            toggleBtn.classList.remove('playing');
-            toggleBtn.querySelector('.icon').textContent = '▶';
-        }
+        const badge = layerElement.querySelector('.layer-error');
+        badge.classList.toggle('hidden', !error);
+        if (!error) return;
+
+        const substitutes = {
+            procedural: 'playing a synthesised version instead',
+            tone: 'playing a placeholder tone instead'
+        };
+
+        const text = error.fallback ? `${error.message}, ${substitutes[error.fallback]}` : error.message;
+        badge.querySelector('.layer-error-text').textContent = text;
+        badge.classList.toggle('substituted', Boolean(error.fallback));
     }
 
     /**
-     * Handle audio selection change
+     * Try loading a failed layer's sound again
      */
-    handleAudioSelect(layerId, event) {
-        const selectedSound = event.target.value;
+    async retryLayer(layerId) {
+        const { sound } = this.getLayerConfig(layerId);
+        if (!sound) {
+            this.showLayerError(layerId, null);
+            return;
+        }
 
-        if (!selectedSound) return;
+        if (!this.audioEngine.isInitialized) {
+            await this.audioEngine.initialize();
+        }
+        this.ensureEngineLayer(layerId);
+        await this.playLayer(layerId, sound);
+    }
 
-        // If the layer is currently playing, switch to new audio
-        const layerInfo = this.audioEngine.getLayerInfo(layerId);
-        if (layerInfo && layerInfo.isPlaying) {
-            this.playLayer(layerId, layerId, selectedSound);
+    /**
+     * Split a "category/name" sound id
+     */
+    parseSound(sound) {
+        const [soundType, soundName] = sound.split('/');
+        return [soundType, soundName];
+    }
+
+    /**
+     * Create the engine layer for a mixer channel if it doesn't exist yet
+     */
+    ensureEngineLayer(layerId) {
+        if (!this.audioEngine.layers.has(layerId)) {
+            const config = this.getLayerConfig(layerId);
+            this.audioEngine.createLayer(layerId, config.volume, config.effects);
+            this.audioEngine.setLayerBrainwave(layerId, config.brainwave);
+            this.speechDucker.refresh();
         }
     }
 
     /**
-     * Handle layer volume change
+     * Get the layer card element for a channel
      */
-    handleLayerVolumeChange(layerId, event) {
-        const volume = parseFloat(event.target.value) / 100;
-        const layerElement = document.querySelector(`[data-layer="${layerId}"]`);
-        const volumeValue = layerElement.querySelector('.volume-value');
+    getLayerElement(layerId) {
+        return document.querySelector(`.audio-layer[data-layer="${layerId}"]`);
+    }
 
-        volumeValue.textContent = `${event.target.value}%`;
+    /**
+     * Read a channel's sound, volume, effects, timeline, drift and brainwave settings
+     * from its controls. Each of the last four is left out while it changes nothing.
+     */
+    getLayerConfig(layerId) {
+        const layerElement = this.getLayerElement(layerId);
+        const audioSelect = layerElement.querySelector('.audio-select');
+        const volumeSlider = layerElement.querySelector('.volume-slider');
+
+        const config = {
+            sound: audioSelect.value || null,
+            volume: parseFloat(volumeSlider.value) / 100
+        };
 
-        if (this.audioEngine.layers.has(layerId)) {
-            this.audioEngine.setLayerVolume(layerId, volume);
+        const effects = this.getLayerEffects(layerId);
+        if (!LayerEffects.isDefault(effects)) {
+            config.effects = effects;
+        }
+
+        const timeline = this.getLayerTimeline(layerId);
+        if (!TimelinePlayer.isEmpty(timeline)) {
+            config.timeline = timeline;
+        }
+
+        const drift = this.getLayerDrift(layerId);
+        if (!DriftPlayer.isEmpty(drift)) {
+            config.drift = drift;
+        }
+
+        const brainwave = this.getLayerBrainwave(layerId);
+        if (!BrainwaveTones.isDefault(brainwave)) {
+            config.brainwave = brainwave;
         }
+
+        return config;
     }
 
     /**
-     * Handle master volume change
+     * Write a channel's sound, volume, effects, timeline, drift and brainwave settings to its controls
      */
-    handleMasterVolumeChange(event) {
-        const volume = parseFloat(event.target.value) / 100;
-        document.getElementById('masterVolumeValue').textContent = `${event.target.value}%`;
+    setLayerControls(layerId, config) {
+        const layerElement = this.getLayerElement(layerId);
+        const audioSelect = layerElement.querySelector('.audio-select');
+        const volumeSlider = layerElement.querySelector('.volume-slider');
+        const volumeValue = layerElement.querySelector('.volume-value');
 
-        if (this.audioEngine.isInitialized) {
-            this.audioEngine.setMasterVolume(volume);
-        }
+        const volumePercent = Math.round(config.volume * 100);
+        volumeSlider.value = volumePercent;
+        volumeValue.textContent = `${volumePercent}%`;
+
+        this.setSoundSelect(audioSelect, config.sound);
+        this.setLayerBrainwaveControls(layerId, config.brainwave);
+        this.updateLayerHeader(layerId);
+        this.setLayerEffectControls(layerId, config.effects);
+        this.setLayerTimelineControls(layerId, config.timeline);
+        this.setLayerDriftControls(layerId, config.drift);
     }
 
     /**
-     * Handle video play
+     * Read a channel's effect settings from the effects panel
      */
-    handleVideoPlay() {
-        const syncEnabled = document.getElementById('syncVideo').checked;
-        if (syncEnabled && this.audioEngine.isInitialized) {
-            // Resume audio context
-            this.audioEngine.resume();
-        }
+    getLayerEffects(layerId) {
+        const controls = this.getEffectControls(layerId);
+
+        return LayerEffects.normalize({
+            low: parseFloat(controls.low.value),
+            mid: parseFloat(controls.mid.value),
+            high: parseFloat(controls.high.value),
+            filter: controls.filter.value,
+            cutoff: this.sliderToCutoff(controls.cutoff.value),
+            pan: parseFloat(controls.pan.value) / 100,
+            reverb: parseFloat(controls.reverb.value) / 100,
+            space: controls.space.value
+        });
     }
 
     /**
-     * Handle video pause
+     * Write effect settings to a channel's effects panel (defaults when none are given)
      */
-    handleVideoPause() {
-        const syncEnabled = document.getElementById('syncVideo').checked;
-        if (syncEnabled) {
-            // Optionally pause audio layers
-            // this.handleStopAll();
-        }
+    setLayerEffectControls(layerId, effects) {
+        const settings = LayerEffects.normalize(effects);
+        const controls = this.getEffectControls(layerId);
+
+        controls.low.value = settings.low;
+        controls.mid.value = settings.mid;
+        controls.high.value = settings.high;
+        controls.filter.value = settings.filter;
+        controls.cutoff.value = this.cutoffToSlider(settings.cutoff);
+        controls.pan.value = Math.round(settings.pan * 100);
+        controls.reverb.value = Math.round(settings.reverb * 100);
+        controls.space.value = settings.space;
+
+        this.updateEffectLabels(layerId, settings);
     }
 
     /**
-     * Update video sync setting
+     * Get a channel's effect inputs keyed by their data-effect name
      */
-    updateVideoSync(enabled) {
-        console.log(`Video sync ${enabled ? 'enabled' : 'disabled'}`);
-        // Additional sync logic can be added here
+    getEffectControls(layerId) {
+        const controls = {};
+        this.getLayerElement(layerId).querySelectorAll('[data-effect]').forEach(control => {
+            controls[control.dataset.effect] = control;
+        });
+        return controls;
     }
 
     /**
-     * Load a preset configuration
+     * Show effect values next to their sliders and mark cards with effects in use
      */
-    async loadPreset(presetName) {
-        if (!this.presets[presetName]) {
-            console.error(`Preset not found: ${presetName}`);
-            return;
-        }
+    updateEffectLabels(layerId, settings) {
+        const layerElement = this.getLayerElement(layerId);
+        const formatGain = (value) => `${value > 0 ? '+' : ''}${value} dB`;
+        const formatPan = (value) => {
+            const percent = Math.round(Math.abs(value) * 100);
+            if (percent === 0) return 'C';
+            return `${value < 0 ? 'L' : 'R'}${percent}`;
+        };
+        const formatCutoff = (value) => (value >= 1000 ? `${(value / 1000).toFixed(1)} kHz` : `${value} Hz`);
+
+        const labels = {
+            low: formatGain(settings.low),
+            mid: formatGain(settings.mid),
+            high: formatGain(settings.high),
+            cutoff: formatCutoff(settings.cutoff),
+            pan: formatPan(settings.pan),
+            reverb: `${Math.round(settings.reverb * 100)}%`
+        };
 
-        console.log(`Loading preset: ${presetName}`);
+        Object.entries(labels).forEach(([effect, text]) => {
+            layerElement.querySelector(`[data-effect-value="${effect}"]`).textContent = text;
+        });
 
-        const preset = this.presets[presetName];
+        layerElement.querySelector('[data-effect="cutoff"]').disabled = settings.filter === 'off';
+        layerElement.querySelector('[data-action="effects"]').classList.toggle('in-use', !LayerEffects.isDefault(settings));
+    }
 
-        // Initialize audio engine if needed
-        if (!this.audioEngine.isInitialized) {
-            await this.audioEngine.initialize();
-            this.updateStatus();
+    /**
+     * Map the cutoff slider (0-1000) onto a logarithmic frequency scale
+     */
+    sliderToCutoff(value) {
+        const ratio = LayerEffects.MAX_CUTOFF / LayerEffects.MIN_CUTOFF;
+        return Math.round(LayerEffects.MIN_CUTOFF * Math.pow(ratio, parseFloat(value) / 1000));
+    }
+
+    cutoffToSlider(cutoff) {
+        const ratio = LayerEffects.MAX_CUTOFF / LayerEffects.MIN_CUTOFF;
+        return Math.round(1000 * Math.log(cutoff / LayerEffects.MIN_CUTOFF) / Math.log(ratio));
+    }
+
+    /**
+     * Handle any effect control on a layer card
+     */
+    handleLayerEffectsChange(layerId) {
+        const effects = this.getLayerEffects(layerId);
+        this.updateEffectLabels(layerId, effects);
+
+        if (this.audioEngine.layers.has(layerId)) {
+            this.audioEngine.setLayerEffects(layerId, effects);
         }
 
-        // Stop all current layers
-        this.handleStopAll();
+        this.updateShareLink();
+    }
 
-        // Apply preset to each layer
-        for (const layerId of this.layers) {
-            const config = preset[layerId];
-            if (!config) continue;
+    /**
+     * Read a channel's brainwave settings from its brainwave panel
+     */
+    getLayerBrainwave(layerId) {
+        const controls = this.getBrainwaveControls(layerId);
 
-            const layerElement = document.querySelector(`[data-layer="${layerId}"]`);
-            const audioSelect = layerElement.querySelector('.audio-select');
-            const volumeSlider = layerElement.querySelector('.volume-slider');
-            const volumeValue = layerElement.querySelector('.volume-value');
+        return BrainwaveTones.normalize({
+            carrier: parseFloat(controls.carrier.value),
+            beat: parseFloat(controls.beat.value),
+            waveform: controls.waveform.value
+        });
+    }
 
-            // Set volume
-            const volumePercent = Math.round(config.volume * 100);
-            volumeSlider.value = volumePercent;
-            volumeValue.textContent = `${volumePercent}%`;
+    /**
+     * Write brainwave settings to a channel's brainwave panel (defaults when none are given)
+     */
+    setLayerBrainwaveControls(layerId, brainwave) {
+        const settings = BrainwaveTones.normalize(brainwave);
+        const controls = this.getBrainwaveControls(layerId);
 
-            // Create layer with new volume
-            if (!this.audioEngine.layers.has(layerId)) {
-                this.audioEngine.createLayer(layerId, config.volume);
-            } else {
-                this.audioEngine.setLayerVolume(layerId, config.volume);
-            }
+        controls.carrier.value = settings.carrier;
+        controls.beat.value = settings.beat;
+        controls.waveform.value = settings.waveform;
 
-            // Set audio selection and play if sound is specified
-            if (config.sound) {
-                audioSelect.value = config.sound;
-                await this.playLayer(layerId, layerId, config.sound);
-            } else {
-                audioSelect.value = '';
-            }
-        }
+        this.updateBrainwaveLabels(layerId, settings);
+    }
 
-        // Update preset UI
-        this.currentPreset = presetName;
-        document.querySelectorAll('.preset-btn').forEach(btn => {
-            btn.classList.remove('active');
-            if (btn.dataset.preset === presetName) {
-                btn.classList.add('active');
-            }
+    /**
+     * Get a channel's brainwave inputs keyed by their data-brainwave name
+     */
+    getBrainwaveControls(layerId) {
+        const controls = {};
+        this.getLayerElement(layerId).querySelectorAll('[data-brainwave]').forEach(control => {
+            controls[control.dataset.brainwave] = control;
         });
+        return controls;
+    }
 
-        this.updateStatus();
+    /**
+     * Show brainwave values next to their sliders and pick the matching target band
+     */
+    updateBrainwaveLabels(layerId, settings) {
+        const layerElement = this.getLayerElement(layerId);
+
+        layerElement.querySelector('[data-brainwave-value="carrier"]').textContent = `${settings.carrier} Hz`;
+        layerElement.querySelector('[data-brainwave-value="beat"]').textContent = `${settings.beat} Hz`;
+        this.getBrainwaveControls(layerId).preset.value = BrainwaveTones.findPreset(settings.beat) || '';
     }
 
     /**
-     * Save custom preset
+     * Handle any control on a layer's brainwave panel; a target band sets the beat
      */
-    saveCustomPreset() {
-        const customPreset = {};
+    handleLayerBrainwaveChange(layerId, control) {
+        const controls = this.getBrainwaveControls(layerId);
+        const preset = BrainwaveTones.PRESETS[controls.preset.value];
+        if (control === controls.preset && preset) {
+            controls.beat.value = preset.beat;
+        }
 
-        this.layers.forEach(layerId => {
-            const layerElement = document.querySelector(`[data-layer="${layerId}"]`);
-            const audioSelect = layerElement.querySelector('.audio-select');
-            const volumeSlider = layerElement.querySelector('.volume-slider');
+        const brainwave = this.getLayerBrainwave(layerId);
+        this.updateBrainwaveLabels(layerId, brainwave);
 
-            customPreset[layerId] = {
-                sound: audioSelect.value || null,
-                volume: parseFloat(volumeSlider.value) / 100
-            };
-        });
+        if (this.audioEngine.layers.has(layerId)) {
+            this.audioEngine.setLayerBrainwave(layerId, brainwave);
+        }
+
+        this.updateShareLink();
+    }
 
-        // Save to localStorage
-        localStorage.setItem('audioGeneratorCustomPreset', JSON.stringify(customPreset));
-        this.presets['custom'] = customPreset;
+    /**
+     * Read a channel's timeline from its timeline panel (times in seconds)
+     */
+    getLayerTimeline(layerId) {
+        const timeline = { keyframes: [], events: [] };
 
-        alert('Custom preset saved successfully!');
+        this.getLayerElement(layerId).querySelectorAll('.timeline-point').forEach(point => {
+            const time = Math.max(parseFloat(point.querySelector('[data-timeline="time"]').value) || 0, 0) * 60;
 
-        // Mark custom preset as active
-        document.querySelectorAll('.preset-btn').forEach(btn => {
-            btn.classList.remove('active');
-            if (btn.dataset.preset === 'custom') {
-                btn.classList.add('active');
+            if (point.dataset.kind === 'keyframe') {
+                const volume = parseFloat(point.querySelector('[data-timeline="volume"]').value) / 100;
+                timeline.keyframes.push({ time, volume });
+            } else {
+                timeline.events.push({ time, sound: point.querySelector('[data-timeline="sound"]').value || null });
             }
         });
+
+        return TimelinePlayer.normalize(timeline);
     }
 
     /**
-     * Start visualization loop
+     * Rebuild a channel's timeline panel, with keyframes and sound changes in time order
      */
-    startVisualization() {
-        const drawWaveform = (layerId) => {
-            const layerElement = document.querySelector(`[data-layer="${layerId}"]`);
-            const canvas = layerElement.querySelector('.waveform');
-            const ctx = canvas.getContext('2d');
+    setLayerTimelineControls(layerId, timeline) {
+        const { keyframes, events } = TimelinePlayer.normalize(timeline);
+        const points = [
+            ...keyframes.map(keyframe => ({ kind: 'keyframe', ...keyframe })),
+            ...events.map(event => ({ kind: 'event', ...event }))
+        ].sort((a, b) => a.time - b.time);
 
-            const data = this.audioEngine.getAnalyserData(layerId);
+        this.getLayerElement(layerId).querySelector('.timeline-points').innerHTML = '';
+        points.forEach(point => this.addTimelinePoint(layerId, point.kind, point));
 
-            // Clear canvas
-            ctx.fillStyle = 'rgb(51, 65, 85)';
-            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        this.updateTimelineLabels(layerId);
+    }
 
-            if (data) {
-                ctx.lineWidth = 2;
-                ctx.strokeStyle = 'rgb(99, 102, 241)';
-                ctx.beginPath();
+    /**
+     * Append a volume keyframe or sound change row to a channel's timeline panel
+     */
+    addTimelinePoint(layerId, kind, point) {
+        const template = document.getElementById('timelinePointTemplate');
+        const row = template.content.firstElementChild.cloneNode(true);
+        row.dataset.kind = kind;
 
-                const sliceWidth = canvas.width / data.length;
-                let x = 0;
+        row.querySelector('[data-timeline="time"]').value = Math.round(point.time / 60 * 100) / 100;
 
-                for (let i = 0; i < data.length; i++) {
-                    const v = data[i] / 128.0;
-                    const y = (v * canvas.height) / 2;
+        if (kind === 'keyframe') {
+            row.querySelector('.timeline-kind').textContent = 'Volume';
+            row.querySelector('[data-timeline="volume"]').value = Math.round(point.volume * 100);
+            row.querySelector('[data-timeline="sound"]').remove();
+        } else {
+            row.querySelector('.timeline-kind').textContent = 'Sound';
+            row.querySelector('[data-timeline="volume"]').remove();
+            row.querySelector('[data-timeline-value]').remove();
+
+            const select = row.querySelector('[data-timeline="sound"]');
+            this.renderSoundOptions(select);
+            select.options[0].textContent = 'Silence';
+            this.setSoundSelect(select, point.sound);
+        }
 
-                    if (i === 0) {
-                        ctx.moveTo(x, y);
-                    } else {
-                        ctx.lineTo(x, y);
-                    }
+        this.getLayerElement(layerId).querySelector('.timeline-points').appendChild(row);
+        return row;
+    }
+
+    /**
+     * Show keyframe volumes and mark cards with a timeline
+     */
+    updateTimelineLabels(layerId) {
+        const layerElement = this.getLayerElement(layerId);
+        const points = layerElement.querySelectorAll('.timeline-point');
+
+        points.forEach(point => {
+            const value = point.querySelector('[data-timeline-value]');
+            if (value) {
+                value.textContent = `${point.querySelector('[data-timeline="volume"]').value}%`;
+            }
+        });
+
+        layerElement.querySelector('.timeline-empty').classList.toggle('hidden', points.length > 0);
+        layerElement.querySelector('[data-action="timeline"]').classList.toggle('in-use', points.length > 0);
+    }
+
+    /**
+     * Handle any control on a layer's timeline panel
+     */
+    handleLayerTimelineChange(layerId) {
+        this.updateTimelineLabels(layerId);
+        this.updateShareLink();
+    }
+
+    /**
+     * Add a timeline row a few minutes after the channel's last one
+     */
+    handleAddTimelinePoint(layerId, kind) {
+        const { sound, volume, timeline } = this.getLayerConfig(layerId);
+        const time = (timeline ? TimelinePlayer.duration([timeline]) : 0) + 5 * 60;
+
+        const row = this.addTimelinePoint(layerId, kind, {
+            time: Math.min(time, TimelinePlayer.MAX_TIME),
+            volume,
+            sound
+        });
+        row.querySelector('[data-timeline="time"]').focus();
+
+        this.updateTimelineLabels(layerId);
+    }
+
+    /**
+     * Read a channel's drift settings from its drift panel
+     */
+    getLayerDrift(layerId) {
+        const controls = this.getDriftControls(layerId);
+        const number = (name) => parseFloat(controls[name].value);
+        const drift = { seed: Math.floor(number('seed')) };
+
+        if (controls.volume.checked) {
+            drift.volume = [number('volumeMin') / 100, number('volumeMax') / 100];
+        }
+        if (controls.pan.checked) {
+            drift.pan = [number('panMin') / 100, number('panMax') / 100];
+        }
+        if (controls.cutoff.checked) {
+            drift.cutoff = [number('cutoffMin'), number('cutoffMax')];
+        }
+        if (controls.swap.checked) {
+            drift.swap = number('swapMinutes');
+        }
+
+        return DriftPlayer.normalize(drift);
+    }
+
+    /**
+     * Write drift settings to a channel's drift panel (nothing ticked and a fresh seed when none are given)
+     */
+    setLayerDriftControls(layerId, drift) {
+        const settings = DriftPlayer.normalize(drift);
+        const controls = this.getDriftControls(layerId);
+        const ranges = {
+            volume: { scale: 100, fallback: [0.2, 0.6] },
+            pan: { scale: 100, fallback: [-0.5, 0.5] },
+            cutoff: { scale: 1, fallback: [400, 4000] }
+        };
+
+        Object.entries(ranges).forEach(([name, { scale, fallback }]) => {
+            const [min, max] = settings[name] || fallback;
+            controls[name].checked = Boolean(settings[name]);
+            controls[`${name}Min`].value = Math.round(min * scale);
+            controls[`${name}Max`].value = Math.round(max * scale);
+        });
+
+        controls.swap.checked = Boolean(settings.swap);
+        controls.swapMinutes.value = settings.swap || 20;
+        controls.seed.value = settings.seed;
+
+        this.updateDriftLabels(layerId);
+    }
+
+    /**
+     * Get a channel's drift inputs keyed by their data-drift name
+     */
+    getDriftControls(layerId) {
+        const controls = {};
+        this.getLayerElement(layerId).querySelectorAll('[data-drift]').forEach(control => {
+            controls[control.dataset.drift] = control;
+        });
+        return controls;
+    }
+
+    /**
+     * Disable the limits of settings that don't drift and mark cards with drift on
+     */
+    updateDriftLabels(layerId) {
+        const controls = this.getDriftControls(layerId);
+
+        ['volume', 'pan', 'cutoff'].forEach(name => {
+            controls[`${name}Min`].disabled = !controls[name].checked;
+            controls[`${name}Max`].disabled = !controls[name].checked;
+        });
+        controls.swapMinutes.disabled = !controls.swap.checked;
+
+        const inUse = ['volume', 'pan', 'cutoff', 'swap'].some(name => controls[name].checked);
+        this.getLayerElement(layerId).querySelector('[data-action="drift"]').classList.toggle('in-use', inUse);
+    }
+
+    /**
+     * Handle any control on a layer's drift panel; a playing layer starts over from its seed
+     */
+    handleLayerDriftChange(layerId) {
+        this.updateDriftLabels(layerId);
+
+        const layerInfo = this.audioEngine.getLayerInfo(layerId);
+        if (layerInfo && layerInfo.isPlaying) {
+            this.driftPlayer.setTrack(this.getDriftTrack(layerId));
+        }
+
+        this.updateShareLink();
+    }
+
+    /**
+     * Add a mixer channel, optionally right after another one
+     */
+    addLayer(config = { sound: null, volume: 0.5 }, afterLayerId = null) {
+        const layerId = `layer-${++this.layerCounter}`;
+        const template = document.getElementById('layerTemplate');
+        const layerElement = template.content.firstElementChild.cloneNode(true);
+
+        layerElement.dataset.layer = layerId;
+        this.renderSoundOptions(layerElement.querySelector('.audio-select'));
+        layerElement.querySelector('[data-action="duck"]').classList.toggle('hidden', this.speechDucker.settings.target !== 'layers');
+
+        const container = document.querySelector('.layers-container');
+        const index = afterLayerId ? this.layers.indexOf(afterLayerId) + 1 : this.layers.length;
+
+        if (index > 0 && index < this.layers.length) {
+            container.insertBefore(layerElement, this.getLayerElement(this.layers[index]));
+        } else {
+            container.appendChild(layerElement);
+        }
+        this.layers.splice(index, 0, layerId);
+
+        this.setLayerControls(layerId, config);
+        this.renumberLayers();
+
+        return layerId;
+    }
+
+    /**
+     * Remove a mixer channel and its engine layer
+     */
+    removeLayer(layerId) {
+        const index = this.layers.indexOf(layerId);
+        if (index === -1) return;
+
+        this.driftPlayer.removeTrack(layerId);
+        this.speechDucker.setLayer(layerId, false);
+        this.audioEngine.removeLayer(layerId);
+        this.getLayerElement(layerId).remove();
+        this.layers.splice(index, 1);
+
+        this.renumberLayers();
+    }
+
+    /**
+     * Move a mixer channel up or down
+     */
+    moveLayer(layerId, offset) {
+        const index = this.layers.indexOf(layerId);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= this.layers.length) return;
+
+        const container = document.querySelector('.layers-container');
+        const layerElement = this.getLayerElement(layerId);
+        const targetElement = this.getLayerElement(this.layers[target]);
+
+        container.insertBefore(layerElement, offset < 0 ? targetElement : targetElement.nextSibling);
+        this.layers.splice(index, 1);
+        this.layers.splice(target, 0, layerId);
+
+        this.renumberLayers();
+    }
+
+    /**
+     * Handle the add layer button
+     */
+    handleAddLayer() {
+        const layerId = this.addLayer();
+        this.getLayerElement(layerId).querySelector('.audio-select').focus();
+        this.updateShareLink();
+    }
+
+    /**
+     * Handle buttons on a layer card
+     */
+    handleLayerAction(action, layerId, button = null) {
+        switch (action) {
+            case 'toggle':
+                this.handleLayerToggle(layerId);
+                return;
+            case 'retry':
+                this.retryLayer(layerId);
+                return;
+            case 'effects': {
+                const layerElement = this.getLayerElement(layerId);
+                const open = !layerElement.querySelector('.layer-effects').classList.toggle('hidden');
+                layerElement.querySelector('[data-action="effects"]').setAttribute('aria-expanded', open);
+                return;
+            }
+            case 'reset-effects':
+                this.setLayerEffectControls(layerId, null);
+                this.handleLayerEffectsChange(layerId);
+                return;
+            case 'timeline': {
+                const layerElement = this.getLayerElement(layerId);
+                const open = !layerElement.querySelector('.layer-timeline').classList.toggle('hidden');
+                layerElement.querySelector('[data-action="timeline"]').setAttribute('aria-expanded', open);
+                return;
+            }
+            case 'add-keyframe':
+                this.handleAddTimelinePoint(layerId, 'keyframe');
+                break;
+            case 'add-event':
+                this.handleAddTimelinePoint(layerId, 'event');
+                break;
+            case 'remove-point':
+                button.closest('.timeline-point').remove();
+                this.updateTimelineLabels(layerId);
+                break;
+            case 'clear-timeline':
+                this.setLayerTimelineControls(layerId, null);
+                break;
+            case 'drift': {
+                const layerElement = this.getLayerElement(layerId);
+                const open = !layerElement.querySelector('.layer-drift').classList.toggle('hidden');
+                layerElement.querySelector('[data-action="drift"]').setAttribute('aria-expanded', open);
+                return;
+            }
+            case 'new-seed':
+                this.getDriftControls(layerId).seed.value = DriftPlayer.randomSeed();
+                this.handleLayerDriftChange(layerId);
+                return;
+            case 'duck': {
+                const ducked = button.classList.toggle('in-use');
+                button.setAttribute('aria-pressed', ducked);
+                this.speechDucker.setLayer(layerId, ducked);
+                return;
+            }
+            case 'duplicate': {
+                const config = this.getLayerConfig(layerId);
+                const copyId = this.addLayer(config, layerId);
+                const layerInfo = this.audioEngine.getLayerInfo(layerId);
+                if (layerInfo && layerInfo.isPlaying && config.sound) {
+                    this.ensureEngineLayer(copyId);
+                    this.playLayer(copyId, config.sound);
+                    this.driftPlayer.setTrack(this.getDriftTrack(copyId));
+                }
+                break;
+            }
+            case 'remove':
+                this.removeLayer(layerId);
+                break;
+            case 'move-up':
+                this.moveLayer(layerId, -1);
+                break;
+            case 'move-down':
+                this.moveLayer(layerId, 1);
+                break;
+            default:
+                console.warn(`Unknown layer action: ${action}`);
+                return;
+        }
+
+        this.updateShareLink();
+    }
+
+    /**
+     * Fill a layer's sound dropdown with every category in the library
+     */
+    renderSoundOptions(select) {
+        select.innerHTML = '';
+        select.add(new Option('Select Sound', ''));
+
+        Object.entries(this.audioEngine.audioLibrary).forEach(([category, sounds]) => {
+            if (Object.keys(sounds).length === 0) return;
+
+            const group = document.createElement('optgroup');
+            group.label = this.categories[category]?.label || category;
+
+            Object.keys(sounds).forEach(soundName => {
+                const sound = `${category}/${soundName}`;
+                const info = this.audioEngine.getSoundInfo(sound);
+                const option = new Option(info?.label || soundName, sound);
+
+                // Credit the recording where the manifest gives one
+                const credit = [info?.attribution, info?.license].filter(Boolean).join(', ');
+                if (credit) {
+                    option.title = credit;
+                }
+                group.appendChild(option);
+            });
+
+            select.appendChild(group);
+        });
+    }
+
+    /**
+     * Select a sound, keeping one that isn't in the library (such as a user file
+     * stored on another device) as a placeholder so the mix still saves it
+     */
+    setSoundSelect(select, sound) {
+        select.value = sound || '';
+        if (!sound || select.value === sound) return;
+
+        const [, soundName] = this.parseSound(sound);
+        select.add(new Option(`${soundName} (not on this device)`, sound));
+        select.value = sound;
+    }
+
+    /**
+     * Re-list the sounds in every layer and timeline dropdown after the library
+     * changed. Selections of a removed sound are cleared.
+     */
+    refreshSoundOptions(removedSound = null) {
+        const selects = document.querySelectorAll('.layers-container .audio-select, .layers-container [data-timeline="sound"]');
+        selects.forEach(select => {
+            const value = select.value;
+            const emptyLabel = select.options[0].textContent;
+
+            this.renderSoundOptions(select);
+            select.options[0].textContent = emptyLabel;
+            this.setSoundSelect(select, value === removedSound ? null : value);
+        });
+
+        this.layers.forEach(layerId => {
+            this.driftPlayer.setSound(layerId, this.getLayerConfig(layerId).sound);
+            this.updateLayerHeader(layerId);
+        });
+    }
+
+    /**
+     * Show the selected sound's category on the layer card
+     */
+    updateLayerHeader(layerId) {
+        const layerElement = this.getLayerElement(layerId);
+        const { sound } = this.getLayerConfig(layerId);
+        const category = sound ? this.categories[this.parseSound(sound)[0]] : null;
+
+        layerElement.querySelector('.layer-icon').textContent = category ? category.icon : '🎚️';
+        layerElement.querySelector('.layer-name').textContent = category ? category.label : 'Empty Layer';
+
+        // Brainwave tones get their own controls, and binaural beats a reminder to use headphones
+        const [soundType, soundName] = sound ? this.parseSound(sound) : [];
+        layerElement.querySelector('.layer-brainwave').classList.toggle('hidden', soundType !== 'brainwave');
+        layerElement.querySelector('.brainwave-headphones').classList.toggle('hidden', soundName !== 'binaural');
+    }
+
+    /**
+     * Refresh channel numbers and move button states after a reorder
+     */
+    renumberLayers() {
+        this.layers.forEach((layerId, index) => {
+            const layerElement = this.getLayerElement(layerId);
+            layerElement.querySelector('.layer-number').textContent = index + 1;
+            layerElement.querySelector('[data-action="move-up"]').disabled = index === 0;
+            layerElement.querySelector('[data-action="move-down"]').disabled = index === this.layers.length - 1;
+        });
+    }
+
+    /**
+     * Update layer UI state
+     */
+    updateLayerUI(layerId, isPlaying) {
+        const layerElement = this.getLayerElement(layerId);
+        const toggleBtn = layerElement.querySelector('.btn-toggle');
+
+        if (isPlaying) {
+            layerElement.classList.add('active');
+            toggleBtn.classList.add('playing');
+            toggleBtn.querySelector('.icon').textContent = '⏸';
+        } else {
+            layerElement.classList.remove('active');
+            toggleBtn.classList.remove('playing');
+            toggleBtn.querySelector('.icon').textContent = '▶';
+        }
+    }
+
+    /**
+     * Handle audio selection change
+     */
+    handleAudioSelect(layerId, event) {
+        const selectedSound = event.target.value;
+
+        this.driftPlayer.setSound(layerId, selectedSound || null);
+        this.updateLayerHeader(layerId);
+        this.showLayerError(layerId, null);
+        this.updateShareLink();
+
+        if (!selectedSound) return;
+
+        this.cacheChosenSounds();
+
+        // If the layer is currently playing, switch to new audio
+        const layerInfo = this.audioEngine.getLayerInfo(layerId);
+        if (layerInfo && layerInfo.isPlaying) {
+            this.playLayer(layerId, selectedSound);
+        }
+    }
+
+    /**
+     * Handle layer volume change
+     */
+    handleLayerVolumeChange(layerId, event) {
+        const volume = parseFloat(event.target.value) / 100;
+        const layerElement = this.getLayerElement(layerId);
+        const volumeValue = layerElement.querySelector('.volume-value');
+
+        volumeValue.textContent = `${event.target.value}%`;
+
+        if (this.audioEngine.layers.has(layerId)) {
+            this.audioEngine.setLayerVolume(layerId, volume);
+        }
+
+        this.updateShareLink();
+    }
+
+    /**
+     * Handle master volume change
+     */
+    handleMasterVolumeChange(event) {
+        const volume = parseFloat(event.target.value) / 100;
+        document.getElementById('masterVolumeValue').textContent = `${event.target.value}%`;
+
+        if (this.audioEngine.isInitialized) {
+            this.audioEngine.setMasterVolume(volume);
+        }
+
+        this.updateShareLink();
+    }
+
+    /**
+     * Make the layers follow the video player, with the saved sync modes
+     */
+    setupVideoSync() {
+        this.videoElement = document.getElementById('mainVideo');
+        this.videoSync = new VideoSync(this.audioEngine, this.videoElement);
+        this.videoSync.onTimelineSync = (position, rate) => {
+            if (this.timelinePlayer.isRunning) {
+                this.timelinePlayer.seek(position, rate);
+            }
+        };
+
+        const settings = VideoSync.normalize(this.loadPlaybackSettings().videoSync);
+        const controls = this.getVideoSyncControls();
+
+        document.getElementById('syncVideo').checked = settings.enabled;
+        controls.pause.checked = settings.pause;
+        controls.duck.checked = settings.duck;
+        controls.duckLevel.value = Math.round(settings.duckLevel * 100);
+        controls.fade.checked = settings.fade;
+        controls.fadeTime.value = settings.fadeTime;
+        controls.timeline.checked = settings.timeline;
+
+        this.videoSync.set(settings);
+        this.updateVideoSyncControls();
+    }
+
+    /**
+     * Get the video sync mode inputs keyed by their data-video-sync name
+     */
+    getVideoSyncControls() {
+        const controls = {};
+        document.querySelectorAll('[data-video-sync]').forEach(control => {
+            controls[control.dataset.videoSync] = control;
+        });
+        return controls;
+    }
+
+    /**
+     * Handle the video sync switch and any of its modes
+     */
+    handleVideoSyncChange() {
+        const controls = this.getVideoSyncControls();
+
+        this.videoSync.set({
+            enabled: document.getElementById('syncVideo').checked,
+            pause: controls.pause.checked,
+            duck: controls.duck.checked,
+            duckLevel: (parseFloat(controls.duckLevel.value) || 0) / 100,
+            fade: controls.fade.checked,
+            fadeTime: parseFloat(controls.fadeTime.value) || 0,
+            timeline: controls.timeline.checked
+        });
+
+        this.updateVideoSyncControls();
+        this.savePlaybackSettings();
+    }
+
+    /**
+     * Dim the modes while sync is off, and the numbers of modes that are off
+     */
+    updateVideoSyncControls() {
+        const { enabled, duck, fade } = this.videoSync.settings;
+        const controls = this.getVideoSyncControls();
+
+        document.getElementById('videoSyncModes').classList.toggle('disabled', !enabled);
+        controls.duckLevel.disabled = !duck;
+        controls.fadeTime.disabled = !fade;
+    }
+
+    /**
+     * Create the speech ducker with the saved settings; it always starts off
+     */
+    setupSpeechDucker() {
+        this.speechDucker = new SpeechDucker(this.audioEngine);
+        this.speechDucker.onTick = (state) => this.updateDuckDisplay(state);
+
+        const settings = this.speechDucker.set(this.loadPlaybackSettings().ducker);
+        document.getElementById('duckTarget').value = settings.target;
+        document.getElementById('duckThreshold').value = settings.threshold;
+        document.getElementById('duckDepth').value = settings.depth;
+        document.getElementById('duckAttack').value = Math.round(settings.attack * 1000);
+        document.getElementById('duckRelease').value = Math.round(settings.release * 1000);
+        this.updateDuckTargetControls();
+
+        // The video's sound is analysed through the audio context, so wake it with the video
+        this.videoElement.addEventListener('play', () => {
+            if (this.speechDucker.source === 'video') {
+                this.audioEngine.resume();
+            }
+        });
+    }
+
+    /**
+     * Start listening to the chosen speech source, or stop
+     */
+    async handleDuckSourceChange(source) {
+        try {
+            if (source !== 'off' && !this.audioEngine.isInitialized) {
+                await this.audioEngine.initialize();
+            }
+            await this.speechDucker.setSource(source, this.videoElement);
+        } catch (error) {
+            console.error('Failed to start speech ducking:', error);
+            alert(`Could not listen to the ${source}: ${error.message}`);
+            this.speechDucker.stop();
+            document.getElementById('duckSource').value = 'off';
+        }
+    }
+
+    /**
+     * Handle changes to the ducking target, threshold, depth and timing
+     */
+    handleDuckSettingsChange() {
+        this.speechDucker.set({
+            target: document.getElementById('duckTarget').value,
+            threshold: parseFloat(document.getElementById('duckThreshold').value),
+            depth: parseFloat(document.getElementById('duckDepth').value),
+            attack: parseFloat(document.getElementById('duckAttack').value) / 1000,
+            release: parseFloat(document.getElementById('duckRelease').value) / 1000
+        });
+
+        this.updateDuckTargetControls();
+        this.savePlaybackSettings();
+    }
+
+    /**
+     * Show the per-layer duck buttons only while chosen layers are ducked
+     */
+    updateDuckTargetControls() {
+        const chooseLayers = this.speechDucker.settings.target === 'layers';
+        document.querySelectorAll('.audio-layer [data-action="duck"]').forEach(button => {
+            button.classList.toggle('hidden', !chooseLayers);
+        });
+    }
+
+    /**
+     * Show the speech level and whether the mix is ducked
+     */
+    updateDuckDisplay(state) {
+        const status = document.getElementById('duckStatus');
+        if (!state.isActive) {
+            status.textContent = '';
+            return;
+        }
+
+        const level = state.level <= LoudnessMeter.FLOOR ? 'silence' : `${Math.round(state.level)} dB`;
+        status.textContent = `Speech: ${level}${state.isDucking ? ' · ducking' : ''}`;
+    }
+
+    /**
+     * Load the sound library from the sounds.json manifest and report entries
+     * that were left out, and built-in presets using sounds it doesn't have
+     */
+    async loadSoundLibrary() {
+        let manifest;
+        try {
+            manifest = await SoundManifest.load();
+        } catch (error) {
+            console.error('Failed to load the sound library:', error);
+            this.showNotice('The sound library could not be loaded, so only your own sounds are available.', [error.message]);
+            return;
+        }
+
+        this.audioEngine.setLibrary(manifest);
+
+        const categories = {};
+        manifest.categories.forEach(({ id, label, icon }) => {
+            categories[id] = { label, icon };
+        });
+        this.categories = { ...categories, [UserSoundStore.CATEGORY]: this.categories[UserSoundStore.CATEGORY] };
+
+        const errors = [...manifest.errors];
+        const presets = Object.entries(this.presets).map(([name, preset]) => [`Preset "${name}"`, preset.layers]);
+        presets.concat([['The default mix', this.defaultLayers]]).forEach(([label, layers]) => {
+            layers.forEach(({ sound }) => {
+                if (!sound) return;
+                const [soundType, soundName] = this.parseSound(sound);
+                if (this.audioEngine.audioLibrary[soundType]?.[soundName] === undefined) {
+                    errors.push(`${label} uses "${sound}", which is not in the library`);
+                }
+            });
+        });
+
+        console.log(`Sound library: ${manifest.sounds.length} sounds in ${manifest.categories.length} categories`);
+        if (errors.length > 0) {
+            errors.forEach(error => console.warn(`Sound library: ${error}`));
+            this.showNotice(`There are problems with the sound library (${SoundManifest.URL}).`, errors);
+        }
+    }
+
+    /**
+     * Open the stored sound files and add them to the library
+     */
+    async setupUserSounds() {
+        this.userSounds = new UserSoundStore();
+
+        try {
+            const sounds = await this.userSounds.open();
+            sounds.forEach(record => this.registerUserSound(record));
+        } catch (error) {
+            console.error('Failed to open sound storage:', error);
+        }
+
+        this.renderUserSounds();
+    }
+
+    /**
+     * Make a stored file playable as "user/<id>"
+     */
+    registerUserSound(record, buffer = null) {
+        this.audioEngine.addSound(UserSoundStore.CATEGORY, record.id, this.userSounds.getUrl(record.id), buffer, {
+            label: record.name
+        });
+    }
+
+    /**
+     * Decode and store audio files, then select the first on a layer if given
+     */
+    async addUserSounds(files, layerId = null) {
+        if (files.length === 0) return;
+
+        if (!this.userSounds.isAvailable) {
+            alert('Audio files cannot be stored in this browser (IndexedDB is unavailable).');
+            return;
+        }
+
+        const added = [];
+        const rejected = [];
+
+        try {
+            if (!this.audioEngine.isInitialized) {
+                await this.audioEngine.initialize();
+            }
+        } catch (error) {
+            console.error('Failed to initialize audio for decoding:', error);
+            alert('Failed to initialize audio. Please try again.');
+            return;
+        }
+
+        for (const file of files) {
+            if (!UserSoundStore.isSupported(file)) {
+                rejected.push(`${file.name}: not an mp3, ogg, wav or flac file`);
+                continue;
+            }
+            if (file.size > UserSoundStore.MAX_SIZE) {
+                rejected.push(`${file.name}: larger than ${this.formatBytes(UserSoundStore.MAX_SIZE)}`);
+                continue;
+            }
+
+            try {
+                const buffer = await this.audioEngine.decodeAudioFile(file);
+                const record = await this.userSounds.add(file, buffer.duration);
+                this.registerUserSound(record, buffer);
+                added.push(record);
+                console.log(`Stored sound ${record.name} as user/${record.id}`);
+            } catch (error) {
+                console.error(`Failed to add ${file.name}:`, error);
+                rejected.push(`${file.name}: ${error.message}`);
+            }
+        }
+
+        if (added.length > 0) {
+            this.refreshSoundOptions();
+            this.renderUserSounds();
+        }
+
+        if (layerId && added.length > 0) {
+            const select = this.getLayerElement(layerId).querySelector('.audio-select');
+            select.value = `${UserSoundStore.CATEGORY}/${added[0].id}`;
+            select.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+
+        if (rejected.length > 0) {
+            alert(`Some files could not be added:\n${rejected.join('\n')}`);
+        }
+    }
+
+    /**
+     * Delete a stored file; layers using it are stopped and cleared
+     */
+    async removeUserSound(soundId) {
+        const record = this.userSounds.get(soundId);
+        if (!record) return;
+
+        if (!confirm(`Remove "${record.name}"? Presets that use it will play without it.`)) return;
+
+        try {
+            await this.userSounds.remove(soundId);
+        } catch (error) {
+            console.error(`Failed to remove ${record.name}:`, error);
+            alert(`Could not remove "${record.name}": ${error.message}`);
+            return;
+        }
+
+        this.audioEngine.removeSound(UserSoundStore.CATEGORY, soundId);
+
+        this.refreshSoundOptions(`${UserSoundStore.CATEGORY}/${soundId}`);
+        this.renderUserSounds();
+        this.updateShareLink();
+    }
+
+    /**
+     * List the stored files and how much space they take
+     */
+    async renderUserSounds() {
+        const list = document.getElementById('userSoundList');
+        const usageText = document.getElementById('userSoundUsage');
+        list.innerHTML = '';
+
+        if (!this.userSounds.isAvailable) {
+            document.getElementById('userSoundFile').disabled = true;
+            usageText.textContent = 'Not available in this browser';
+            return;
+        }
+
+        this.userSounds.list().forEach(record => {
+            const item = document.createElement('li');
+            item.className = 'user-sound';
+
+            const name = document.createElement('span');
+            name.className = 'user-sound-name';
+            name.textContent = record.name;
+            name.title = `${UserSoundStore.CATEGORY}/${record.id}`;
+
+            const details = document.createElement('span');
+            details.className = 'user-sound-details';
+            details.textContent = `${this.formatDuration(record.duration * 1000)} · ${this.formatBytes(record.size)}`;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'preset-action';
+            removeBtn.dataset.soundAction = 'remove';
+            removeBtn.dataset.soundId = record.id;
+            removeBtn.textContent = 'Remove';
+            removeBtn.setAttribute('aria-label', `Remove ${record.name}`);
+
+            item.append(name, details, removeBtn);
+            list.appendChild(item);
+        });
+
+        const usage = await this.userSounds.getUsage();
+        const count = this.userSounds.list().length;
+        let text = `${count} ${count === 1 ? 'file' : 'files'}, ${this.formatBytes(usage.bytes)}`;
+        if (usage.used !== null && usage.quota) {
+            text += ` · site storage ${this.formatBytes(usage.used)} of ${this.formatBytes(usage.quota)}`;
+        }
+        usageText.textContent = text;
+    }
+
+    /**
+     * Register the service worker that runs the app offline, and drop downloaded
+     * sounds the library no longer lists
+     */
+    async setupOffline() {
+        const status = document.getElementById('offlineStatus');
+        const autoCheckbox = document.getElementById('offlineAuto');
+        autoCheckbox.checked = this.loadPlaybackSettings().offlineAuto ?? true;
+
+        if (!OfflineSounds.isSupported()) {
+            status.textContent = 'Offline use needs a browser with service workers, and the app served over HTTPS or from localhost.';
+            autoCheckbox.disabled = true;
+            return;
+        }
+
+        const offlineSounds = new OfflineSounds();
+        try {
+            await offlineSounds.register();
+        } catch (error) {
+            console.error('Failed to register the service worker:', error);
+            status.textContent = `Offline use is not available: ${error.message}`;
+            autoCheckbox.disabled = true;
+            return;
+        }
+        this.offlineSounds = offlineSounds;
+
+        // A new version of the app has taken over from the one on this page
+        const hadController = Boolean(navigator.serviceWorker.controller);
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (hadController) {
+                this.showNotice('A new version of the app is ready. Reload the page to use it.');
+            }
+        });
+
+        // With no library (it failed to load) there is nothing to compare against
+        const sounds = this.getOfflineSounds();
+        if (sounds.length > 0) {
+            try {
+                const removed = await this.offlineSounds.prune(sounds.map(({ path }) => path));
+                if (removed > 0) {
+                    console.log(`Removed ${removed} offline sound ${removed === 1 ? 'file' : 'files'} no longer in the library`);
+                }
+            } catch (error) {
+                console.warn('Could not tidy up offline sounds:', error);
+            }
+        }
+
+        status.textContent = 'The app works without a network once loaded. Downloaded sounds play offline and are updated whenever you are online.';
+        document.getElementById('offlineDownloadAllBtn').disabled = false;
+        document.getElementById('offlineRemoveAllBtn').disabled = false;
+        this.renderOfflineSounds();
+    }
+
+    /**
+     * Library sounds that play from a file, which can be downloaded: { sound, path, label }
+     */
+    getOfflineSounds() {
+        const sounds = [];
+        Object.entries(this.audioEngine.audioLibrary).forEach(([category, entries]) => {
+            if (category === UserSoundStore.CATEGORY) return;
+            Object.entries(entries).forEach(([name, path]) => {
+                if (!path) return;
+                const sound = `${category}/${name}`;
+                const info = this.audioEngine.getSoundInfo(sound);
+                sounds.push({ sound, path, label: info ? info.label : name });
+            });
+        });
+        return sounds;
+    }
+
+    /**
+     * Show which library sounds are available offline, with a button to download or remove each
+     */
+    async renderOfflineSounds() {
+        if (!this.offlineSounds) return;
+
+        let cached;
+        try {
+            cached = await this.offlineSounds.getCached();
+        } catch (error) {
+            console.error('Failed to read offline sounds:', error);
+            return;
+        }
+
+        const list = document.getElementById('offlineSoundList');
+        list.innerHTML = '';
+
+        const sounds = this.getOfflineSounds();
+        let available = 0;
+        sounds.forEach(({ sound, path, label }) => {
+            const category = this.categories[this.parseSound(sound)[0]];
+            const isCached = cached.has(OfflineSounds.toUrl(path));
+            const isDownloading = this.offlineDownloads.has(sound);
+            if (isCached) available++;
+
+            const item = document.createElement('li');
+            item.className = 'user-sound';
+            item.classList.toggle('offline', isCached);
+
+            const name = document.createElement('span');
+            name.className = 'user-sound-name';
+            name.textContent = category ? `${category.icon} ${label}` : label;
+            name.title = sound;
+
+            const details = document.createElement('span');
+            details.className = 'user-sound-details';
+            if (isDownloading) {
+                details.textContent = 'Downloading…';
+            } else if (!isCached && this.offlineSounds.isMissing(path)) {
+                details.textContent = 'Not on the server';
+            } else {
+                details.textContent = isCached ? 'Available offline' : 'Needs the network';
+            }
+
+            const button = document.createElement('button');
+            button.className = 'preset-action';
+            button.dataset.offlineAction = isCached ? 'remove' : 'download';
+            button.dataset.sound = sound;
+            button.textContent = isCached ? 'Remove' : 'Download';
+            button.disabled = isDownloading;
+            button.setAttribute('aria-label', `${button.textContent} ${label} ${isCached ? 'from' : 'for'} offline use`);
+
+            item.append(name, details, button);
+            list.appendChild(item);
+        });
+
+        let text = `${available} of ${sounds.length} sounds available offline`;
+        if (this.offlineDownloads.size > 0) {
+            text += ` · downloading ${this.offlineDownloads.size}`;
+        }
+        try {
+            const bytes = await this.offlineSounds.getUsage();
+            text += ` · ${this.formatBytes(bytes)}`;
+        } catch (error) {
+            console.warn('Could not measure offline sounds:', error);
+        }
+        document.getElementById('offlineUsage').textContent = text;
+    }
+
+    /**
+     * Handle download/remove on an offline sound
+     */
+    async handleOfflineAction(action, sound) {
+        switch (action) {
+            case 'download':
+                await this.downloadOfflineSounds([sound]);
+                break;
+            case 'remove': {
+                const entry = this.getOfflineSounds().find(item => item.sound === sound);
+                if (!entry) return;
+                try {
+                    await this.offlineSounds.remove(entry.path);
+                } catch (error) {
+                    console.error(`Failed to remove offline copy of ${sound}:`, error);
+                    alert(`Could not remove "${entry.label}": ${error.message}`);
+                }
+                this.renderOfflineSounds();
+                break;
+            }
+            default:
+                console.warn(`Unknown offline action: ${action}`);
+        }
+    }
+
+    /**
+     * Download library sounds for offline use one at a time, skipping ones
+     * already kept. Failures are alerted unless quiet, and only logged if so;
+     * quiet downloads also skip files the server didn't have.
+     */
+    async downloadOfflineSounds(sounds, { quiet = false } = {}) {
+        if (!this.offlineSounds) return;
+
+        let cached;
+        try {
+            cached = await this.offlineSounds.getCached();
+        } catch (error) {
+            console.error('Failed to read offline sounds:', error);
+            if (!quiet) {
+                alert(`Could not download sounds: ${error.message}`);
+            }
+            return;
+        }
+
+        const pending = this.getOfflineSounds().filter(({ sound, path }) =>
+            sounds.includes(sound) && !this.offlineDownloads.has(sound) && !cached.has(OfflineSounds.toUrl(path)) &&
+            !(quiet && this.offlineSounds.isMissing(path)));
+        if (pending.length === 0) return;
+
+        pending.forEach(({ sound }) => this.offlineDownloads.add(sound));
+        this.renderOfflineSounds();
+
+        const failed = [];
+        for (const { sound, path, label } of pending) {
+            try {
+                await this.offlineSounds.download(path);
+                console.log(`Downloaded ${sound} for offline use`);
+            } catch (error) {
+                console.warn(`Failed to download ${sound} for offline use:`, error);
+                failed.push(`${label}: ${error.message}`);
+            }
+            this.offlineDownloads.delete(sound);
+            this.renderOfflineSounds();
+        }
+
+        if (failed.length > 0 && !quiet) {
+            alert(`Some sounds could not be downloaded:\n${failed.join('\n')}`);
+        }
+    }
+
+    /**
+     * Remove every downloaded sound
+     */
+    async removeOfflineSounds() {
+        if (!confirm('Remove all downloaded sounds? They will need the network to play again.')) return;
+
+        try {
+            await this.offlineSounds.prune([]);
+        } catch (error) {
+            console.error('Failed to remove offline sounds:', error);
+            alert(`Could not remove the downloaded sounds: ${error.message}`);
+        }
+        this.renderOfflineSounds();
+    }
+
+    /**
+     * Keep the sounds of the current mix and the user's presets available
+     * offline, including timeline sound changes and, for layers that swap
+     * sounds as they drift, the rest of their category
+     */
+    cacheChosenSounds() {
+        if (!this.offlineSounds || !document.getElementById('offlineAuto').checked) return;
+
+        const sounds = new Set();
+        const mixes = [this.getCurrentMix(), ...this.presetStore.list().map(preset => preset.layers)];
+        mixes.forEach(layers => layers.forEach(config => {
+            if (config.sound) {
+                sounds.add(config.sound);
+            }
+            (config.timeline?.events || []).forEach(event => {
+                if (event.sound) {
+                    sounds.add(event.sound);
+                }
+            });
+            if (config.drift?.swap && config.sound) {
+                const [category] = this.parseSound(config.sound);
+                Object.keys(this.audioEngine.audioLibrary[category] || {})
+                    .forEach(name => sounds.add(`${category}/${name}`));
+            }
+        }));
+
+        this.downloadOfflineSounds(Array.from(sounds), { quiet: true });
+    }
+
+    /**
+     * Resolve a built-in or user preset to its layer list
+     */
+    getPresetLayers(presetName) {
+        if (this.presets[presetName]) {
+            return this.presets[presetName].layers;
+        }
+
+        const userPreset = this.presetStore.get(presetName);
+        return userPreset ? userPreset.layers : null;
+    }
+
+    /**
+     * Load a preset configuration
+     */
+    async loadPreset(presetName) {
+        const preset = this.getPresetLayers(presetName);
+        if (!preset) {
+            console.error(`Preset not found: ${presetName}`);
+            return;
+        }
+
+        console.log(`Loading preset: ${presetName}`);
+
+        await this.applyMix(preset);
+
+        this.setActivePreset(presetName);
+    }
+
+    /**
+     * Apply a layer list to the mixer, optionally starting playback
+     */
+    async applyMix(mix, { autoplay = true } = {}) {
+        // Initialize audio engine if needed
+        if (autoplay && !this.audioEngine.isInitialized) {
+            await this.audioEngine.initialize();
+        }
+
+        // Reuse existing channels, adding or removing to match the mix
+        while (this.layers.length > mix.length) {
+            this.removeLayer(this.layers[this.layers.length - 1]);
+        }
+        while (this.layers.length < mix.length) {
+            this.addLayer();
+        }
+
+        for (let i = 0; i < mix.length; i++) {
+            const layerId = this.layers[i];
+            const config = mix[i];
+
+            this.setLayerControls(layerId, config);
+
+            // Create layer with new volume
+            if (this.audioEngine.isInitialized) {
+                if (!this.audioEngine.layers.has(layerId)) {
+                    this.audioEngine.createLayer(layerId, config.volume, config.effects);
+                    this.speechDucker.refresh();
+                } else {
+                    this.audioEngine.setLayerVolume(layerId, config.volume);
+                    this.audioEngine.setLayerEffects(layerId, LayerEffects.normalize(config.effects));
+                }
+                this.audioEngine.setLayerBrainwave(layerId, BrainwaveTones.normalize(config.brainwave));
+            }
+
+            // Play if sound is specified; a channel that was already playing crossfades
+            if (config.sound && autoplay) {
+                await this.playLayer(layerId, config.sound);
+            } else if (this.audioEngine.isInitialized) {
+                this.audioEngine.stopLayer(layerId);
+            }
+        }
+
+        // The new mix's timeline and drift start over from 0:00 (or any old ones stop)
+        if (autoplay) {
+            this.startTimeline();
+            this.startDrift();
+        }
+
+        this.updateShareLink();
+        this.cacheChosenSounds();
+    }
+
+    /**
+     * Highlight the active preset button
+     */
+    setActivePreset(presetName) {
+        this.currentPreset = presetName;
+        document.querySelectorAll('.preset-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.preset === presetName);
+        });
+        this.updateMediaSession();
+    }
+
+    /**
+     * Capture the current mixer channels as a layer list
+     */
+    getCurrentMix() {
+        return this.layers.map(layerId => this.getLayerConfig(layerId));
+    }
+
+    /**
+     * Save the current mix as a new named preset
+     */
+    saveCurrentAsPreset() {
+        const name = this.promptPresetName('Name this preset:', '');
+        if (!name) return;
+
+        try {
+            const existing = this.presetStore.findByName(name);
+            let preset;
+
+            if (existing) {
+                if (!confirm(`A preset named "${existing.name}" already exists. Overwrite it?`)) return;
+                preset = this.presetStore.overwrite(existing.id, this.getCurrentMix());
+            } else {
+                preset = this.presetStore.create(name, this.getCurrentMix());
+            }
+
+            this.renderUserPresets();
+            this.setActivePreset(preset.id);
+            this.cacheChosenSounds();
+        } catch (error) {
+            console.error('Error saving preset:', error);
+            alert('Failed to save preset. Browser storage may be full or disabled.');
+        }
+    }
+
+    /**
+     * Handle rename/overwrite/duplicate/delete on a user preset
+     */
+    handleUserPresetAction(action, presetId) {
+        const preset = this.presetStore.get(presetId);
+        if (!preset) return;
+
+        try {
+            switch (action) {
+                case 'rename': {
+                    const name = this.promptPresetName('Rename preset:', preset.name);
+                    if (!name) return;
+
+                    const existing = this.presetStore.findByName(name);
+                    const replaced = existing && existing.id !== presetId ? existing : null;
+                    if (replaced && !confirm(`A preset named "${replaced.name}" already exists. Replace it?`)) return;
+
+                    // Rename first so a failed save loses neither preset
+                    this.presetStore.rename(presetId, name);
+                    if (replaced) {
+                        this.presetStore.delete(replaced.id);
+                        if (this.currentPreset === replaced.id) {
+                            this.currentPreset = null;
+                        }
+                    }
+                    break;
+                }
+                case 'overwrite':
+                    if (!confirm(`Replace "${preset.name}" with the current mix?`)) return;
+                    this.presetStore.overwrite(presetId, this.getCurrentMix());
+                    this.setActivePreset(presetId);
+                    break;
+                case 'duplicate':
+                    this.presetStore.duplicate(presetId);
+                    break;
+                case 'export':
+                    this.exportSoundscape(presetId);
+                    return;
+                case 'delete':
+                    if (!confirm(`Delete preset "${preset.name}"?`)) return;
+                    this.presetStore.delete(presetId);
+                    if (this.currentPreset === presetId) {
+                        this.currentPreset = null;
+                    }
+                    break;
+                default:
+                    console.warn(`Unknown preset action: ${action}`);
+                    return;
+            }
+        } catch (error) {
+            console.error(`Error running preset action ${action}:`, error);
+            alert('Failed to update preset. Browser storage may be full or disabled.');
+        }
+
+        this.renderUserPresets();
+        this.cacheChosenSounds();
+    }
+
+    /**
+     * Ask for a preset name, returning null if cancelled or empty
+     */
+    promptPresetName(message, defaultValue) {
+        const name = prompt(message, defaultValue);
+        if (name === null) return null;
+
+        const trimmed = name.trim();
+        if (!trimmed) {
+            alert('Preset name cannot be empty.');
+            return null;
+        }
+        return trimmed;
+    }
+
+    /**
+     * Render user presets next to the built-in ones
+     */
+    renderUserPresets() {
+        const grid = document.querySelector('.presets-grid');
+        const saveBtn = document.getElementById('savePresetBtn');
+
+        grid.querySelectorAll('.user-preset').forEach(el => el.remove());
+
+        const actions = [
+            { action: 'rename', icon: '✏️', title: 'Rename' },
+            { action: 'overwrite', icon: '💾', title: 'Overwrite with current mix' },
+            { action: 'duplicate', icon: '⧉', title: 'Duplicate' },
+            { action: 'export', icon: '📤', title: 'Export as file' },
+            { action: 'delete', icon: '🗑', title: 'Delete' }
+        ];
+
+        this.presetStore.list().forEach(preset => {
+            const card = document.createElement('div');
+            card.className = 'user-preset';
+
+            const presetBtn = document.createElement('button');
+            presetBtn.className = 'preset-btn';
+            presetBtn.dataset.preset = preset.id;
+            presetBtn.classList.toggle('active', this.currentPreset === preset.id);
+
+            const icon = document.createElement('span');
+            icon.className = 'preset-icon';
+            icon.textContent = '⭐';
+
+            const name = document.createElement('span');
+            name.className = 'preset-name';
+            name.textContent = preset.name;
+
+            presetBtn.append(icon, name);
+
+            const actionBar = document.createElement('div');
+            actionBar.className = 'preset-actions';
+
+            actions.forEach(({ action, icon: actionIcon, title }) => {
+                const btn = document.createElement('button');
+                btn.className = 'preset-action';
+                btn.dataset.presetAction = action;
+                btn.dataset.presetId = preset.id;
+                btn.title = title;
+                btn.setAttribute('aria-label', `${title} ${preset.name}`);
+                btn.textContent = actionIcon;
+                actionBar.appendChild(btn);
+            });
+
+            card.append(presetBtn, actionBar);
+            grid.insertBefore(card, saveBtn);
+        });
+
+        this.renderPresetSelects();
+    }
+
+    /**
+     * Refresh every dropdown that lists presets
+     */
+    renderPresetSelects() {
+        this.renderPresetOptions(document.getElementById('exportSource'), new Option('Current mix', 'current'));
+        this.renderPresetOptions(document.getElementById('timerWorkPreset'), new Option('Keep current mix', ''));
+        this.renderPresetOptions(document.getElementById('timerBreakPreset'), new Option('Keep current mix', ''));
+    }
+
+    /**
+     * Fill a select with built-in and user presets, keeping its selection
+     */
+    renderPresetOptions(select, firstOption) {
+        const selected = select.value;
+
+        select.innerHTML = '';
+        select.add(firstOption);
+
+        const builtIn = document.createElement('optgroup');
+        builtIn.label = 'Quick Presets';
+        Object.keys(this.presets).forEach(presetId => {
+            builtIn.appendChild(new Option(this.getPresetDisplayName(presetId), presetId));
+        });
+        select.appendChild(builtIn);
+
+        const userPresets = this.presetStore.list();
+        if (userPresets.length > 0) {
+            const group = document.createElement('optgroup');
+            group.label = 'My Presets';
+            userPresets.forEach(preset => group.appendChild(new Option(preset.name, preset.id)));
+            select.appendChild(group);
+        }
+
+        select.value = selected;
+        if (!select.value) {
+            select.value = firstOption.value;
+        }
+    }
+
+    /**
+     * Get the display name of a built-in or user preset
+     */
+    getPresetDisplayName(presetName) {
+        const userPreset = this.presetStore.get(presetName);
+        if (userPreset) {
+            return userPreset.name;
+        }
+
+        const label = document.querySelector(`.preset-btn[data-preset="${presetName}"] .preset-name`);
+        return label ? label.textContent : presetName;
+    }
+
+    /**
+     * Capture master volume, engine settings and the timeline loop length
+     */
+    getMixerState() {
+        const { enableCrossfade, fadeDuration, loopLayers } = this.audioEngine.config;
+        const timelineLoop = this.readNumberInput('timelineLoopMinutes') * 60;
+
+        return {
+            master: {
+                volume: parseFloat(document.getElementById('masterVolume').value) / 100
+            },
+            settings: { enableCrossfade, fadeDuration, loopLayers, timelineLoop }
+        };
+    }
+
+    /**
+     * Apply master volume and engine settings, keeping the controls in step
+     */
+    applyMixerState({ master, settings }) {
+        if (master && master.volume !== undefined) {
+            const masterVolume = document.getElementById('masterVolume');
+            masterVolume.value = Math.round(master.volume * 100);
+            this.handleMasterVolumeChange({ target: masterVolume });
+        }
+
+        if (settings) {
+            if (settings.enableCrossfade !== undefined) {
+                document.getElementById('crossfade').checked = settings.enableCrossfade;
+            }
+            if (settings.fadeDuration !== undefined) {
+                document.getElementById('fadeDuration').value = Math.round(settings.fadeDuration * 1000);
+            }
+            if (settings.loopLayers !== undefined) {
+                document.getElementById('loopLayers').checked = settings.loopLayers;
+            }
+
+            if (settings.timelineLoop !== undefined) {
+                document.getElementById('timelineLoopMinutes').value = Math.round(settings.timelineLoop / 60 * 100) / 100;
+            }
+
+            // Only the settings a soundscape shares reach the engine; device settings stay local
+            const engineSettings = {};
+            ['enableCrossfade', 'fadeDuration', 'loopLayers'].forEach(key => {
+                if (settings[key] !== undefined) {
+                    engineSettings[key] = settings[key];
+                }
+            });
+            this.audioEngine.updateConfig(engineSettings);
+        }
+    }
+
+    /**
+     * Export the live mix or a preset as a .json soundscape file
+     */
+    exportSoundscape(source) {
+        let soundscape;
+
+        if (source === 'current') {
+            const name = this.currentPreset ? this.getPresetDisplayName(this.currentPreset) : 'My Soundscape';
+            soundscape = this.soundscapeFile.create(name, this.getCurrentMix(), this.getMixerState());
+        } else {
+            const layers = this.getPresetLayers(source);
+            if (!layers) {
+                console.error(`Preset not found: ${source}`);
+                return;
+            }
+            soundscape = this.soundscapeFile.create(this.getPresetDisplayName(source), layers);
+        }
+
+        this.soundscapeFile.download(soundscape);
+        this.showPresetMessage(`Exported "${soundscape.name}"`);
+    }
+
+    /**
+     * Import a soundscape file as a new user preset and load it
+     */
+    async importSoundscape(file) {
+        let soundscape;
+        try {
+            soundscape = await this.soundscapeFile.readFile(file);
+        } catch (error) {
+            console.error(`Error importing ${file.name}:`, error);
+            const errors = error instanceof SoundscapeValidationError ? error.errors : [error.message];
+            this.showPresetMessage(`Could not import ${file.name}`, errors);
+            return;
+        }
+
+        const name = soundscape.name || file.name.replace(/(\.soundscape)?\.json$/i, '');
+
+        let preset;
+        try {
+            preset = this.presetStore.create(name, soundscape.layers);
+        } catch (error) {
+            console.error('Error saving imported preset:', error);
+            this.showPresetMessage(`Could not save "${name}"`, ['Browser storage may be full or disabled.']);
+            return;
+        }
+
+        this.renderUserPresets();
+        this.applyMixerState(soundscape);
+        await this.loadPreset(preset.id);
+
+        this.showPresetMessage(`Imported "${preset.name}"`);
+    }
+
+    /**
+     * Show the result of an import/export, with error details if any
+     */
+    showPresetMessage(text, errors = []) {
+        const message = document.getElementById('presetMessage');
+        message.innerHTML = '';
+        message.classList.remove('hidden');
+        message.classList.toggle('error', errors.length > 0);
+
+        const summary = document.createElement('p');
+        summary.textContent = text;
+        message.appendChild(summary);
+
+        if (errors.length > 0) {
+            const list = document.createElement('ul');
+            errors.forEach(error => {
+                const item = document.createElement('li');
+                item.textContent = error;
+                list.appendChild(item);
+            });
+            message.appendChild(list);
+        }
+    }
+
+    /**
+     * Rebuild the mix from the URL hash, or load the default mix if the link
+     * can't be read. Returns false if there is no link.
+     */
+    async loadFromShareLink() {
+        let soundscape;
+        try {
+            soundscape = this.shareLink.decode(window.location.hash);
+            if (!soundscape) return false;
+
+            const errors = this.soundscapeFile.validate(soundscape);
+            if (errors.length > 0) {
+                throw new SoundscapeValidationError(errors);
+            }
+        } catch (error) {
+            console.warn('Ignoring invalid share link:', error);
+            const errors = error instanceof SoundscapeValidationError ? error.errors : [error.message];
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+
+            // Also reached from hashchange, when a link is pasted into the open app
+            await this.applyMix(this.defaultLayers, { autoplay: this.audioEngine.isInitialized });
+            this.setActivePreset(null);
+            this.showNotice('The shared link could not be read, so the default mix was loaded.', errors);
+            return true;
+        }
+
+        console.log('Loading mix from share link');
+
+        this.applyMixerState(soundscape);
+        await this.applyMix(soundscape.layers, { autoplay: this.audioEngine.isInitialized });
+        this.setActivePreset(null);
+
+        if (!this.audioEngine.isInitialized) {
+            this.showNotice('Shared mix loaded. Press "Play All Layers" to start.');
+        }
+        return true;
+    }
+
+    /**
+     * Mirror the mixer state into the URL hash without adding history entries
+     */
+    updateShareLink() {
+        if (!this.shareLink) return;
+
+        clearTimeout(this.shareLinkTimer);
+        this.shareLinkTimer = setTimeout(() => {
+            const hash = this.shareLink.encode({
+                layers: this.getCurrentMix(),
+                ...this.getMixerState()
+            });
+            history.replaceState(null, '', `#${hash}`);
+        }, 250);
+    }
+
+    /**
+     * Copy the share link for the current mix to the clipboard
+     */
+    async copyShareLink() {
+        const hash = this.shareLink.encode({
+            layers: this.getCurrentMix(),
+            ...this.getMixerState()
+        });
+        history.replaceState(null, '', `#${hash}`);
+
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            this.showPresetMessage('Share link copied to clipboard');
+        } catch (error) {
+            console.error('Error copying share link:', error);
+            this.showPresetMessage('Could not copy the link. Copy it from the address bar instead.', [error.message]);
+        }
+    }
+
+    /**
+     * Show a dismissable notice at the top of the control panel
+     */
+    showNotice(text, details = []) {
+        const notice = document.getElementById('appNotice');
+        notice.querySelector('.notice-text').textContent = text;
+
+        const list = notice.querySelector('.notice-details');
+        list.innerHTML = '';
+        details.forEach(detail => {
+            const item = document.createElement('li');
+            item.textContent = detail;
+            list.appendChild(item);
+        });
+
+        notice.classList.toggle('warning', details.length > 0);
+        notice.classList.remove('hidden');
+    }
+
+    /**
+     * Restore device-level playback settings
+     */
+    setupPlaybackSettings() {
+        const saved = this.loadPlaybackSettings();
+
+        const fallbackMode = document.getElementById('fallbackMode');
+        fallbackMode.value = saved.fallback || this.audioEngine.config.fallback;
+        fallbackMode.value = fallbackMode.value || 'procedural';
+
+        const gaplessLoop = document.getElementById('gaplessLoop');
+        gaplessLoop.checked = saved.bufferedPlayback ?? this.audioEngine.config.bufferedPlayback;
+
+        const limiter = document.getElementById('limiter');
+        limiter.checked = saved.limiter ?? this.audioEngine.config.limiter;
+
+        const normalizeLevels = document.getElementById('normalizeLevels');
+        normalizeLevels.checked = saved.normalize ?? this.audioEngine.config.normalize;
+
+        this.audioEngine.updateConfig({
+            fallback: fallbackMode.value,
+            bufferedPlayback: gaplessLoop.checked,
+            limiter: limiter.checked,
+            normalize: normalizeLevels.checked
+        });
+    }
+
+    /**
+     * Read the saved device-level playback settings
+     */
+    loadPlaybackSettings() {
+        try {
+            return JSON.parse(localStorage.getItem(this.settingsStorageKey)) || {};
+        } catch (error) {
+            console.error('Failed to read playback settings:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Persist device-level playback settings (not part of a soundscape)
+     */
+    savePlaybackSettings() {
+        const settings = {
+            fallback: this.audioEngine.config.fallback,
+            bufferedPlayback: this.audioEngine.config.bufferedPlayback,
+            limiter: this.audioEngine.config.limiter,
+            normalize: this.audioEngine.config.normalize,
+            videoSync: this.videoSync.settings,
+            ducker: this.speechDucker.settings,
+            shortcuts: this.shortcuts.getOverrides(),
+            offlineAuto: document.getElementById('offlineAuto').checked
+        };
+
+        try {
+            localStorage.setItem(this.settingsStorageKey, JSON.stringify(settings));
+        } catch (error) {
+            console.error('Failed to save playback settings:', error);
+        }
+    }
+
+    /**
+     * Render the current mix offline and download it as a WAV file
+     */
+    async handleRender() {
+        const renderBtn = document.getElementById('renderBtn');
+        const status = document.getElementById('renderStatus');
+
+        const mix = this.getCurrentMix();
+        if (!mix.some(layer => layer.sound)) {
+            alert('Choose a sound on at least one layer before rendering.');
+            return;
+        }
+
+        const minutes = this.readNumberInput('renderMinutes');
+        const fade = this.readNumberInput('renderFade');
+        const bitDepth = parseInt(document.getElementById('renderBitDepth').value, 10);
+
+        renderBtn.disabled = true;
+        status.textContent = 'Rendering…';
+
+        try {
+            if (!this.audioEngine.isInitialized) {
+                await this.audioEngine.initialize();
+            }
+
+            const { buffer, warnings } = await this.audioEngine.renderOffline(mix, {
+                duration: minutes * 60,
+                masterVolume: parseFloat(document.getElementById('masterVolume').value) / 100,
+                fadeIn: fade,
+                fadeOut: fade,
+                onProgress: (progress) => {
+                    status.textContent = `Rendering… ${Math.round(progress * 100)}%`;
+                }
+            });
+
+            status.textContent = 'Encoding…';
+            const blob = WavEncoder.encode(buffer, bitDepth);
+            const name = this.currentPreset ? this.getPresetDisplayName(this.currentPreset) : 'My Soundscape';
+            this.downloadBlob(blob, `${this.soundscapeFile.slugify(name)}-${minutes}min.wav`);
+
+            status.textContent = `Saved ${minutes} min, ${bitDepth}-bit (${this.formatBytes(blob.size)})`;
+            if (warnings.length > 0) {
+                console.warn('Rendered with substitutions:', warnings);
+                status.textContent += ` · ${warnings.length} sound(s) substituted`;
+                status.title = warnings.join('\n');
+            } else {
+                status.title = '';
+            }
+        } catch (error) {
+            console.error('Offline render failed:', error);
+            status.textContent = '';
+            alert(`Could not render the mix: ${error.message}`);
+        } finally {
+            renderBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Create the live recorder and list the formats this browser can record
+     */
+    setupRecorder() {
+        this.recorder = new MasterRecorder(this.audioEngine);
+        this.recorder.onTick = (state) => this.updateRecordDisplay(state);
+        this.recorder.onLimit = () => this.saveRecording('The recording reached the 1 GB limit for WAV files, so it was stopped and saved.');
+
+        const select = document.getElementById('recordFormat');
+        const formats = MasterRecorder.supportedFormats();
+        formats.forEach(format => select.add(new Option(MasterRecorder.FORMATS[format].label, format)));
+
+        if (formats.length === 0) {
+            select.add(new Option('Not supported in this browser', ''));
+            select.disabled = true;
+            document.getElementById('recordBtn').disabled = true;
+        }
+    }
+
+    /**
+     * Start recording the output, or stop and download the recording
+     */
+    async handleRecordToggle() {
+        const recordBtn = document.getElementById('recordBtn');
+
+        if (this.recorder.isRecording) {
+            await this.saveRecording();
+            return;
+        }
+
+        try {
+            if (!this.audioEngine.isInitialized) {
+                await this.audioEngine.initialize();
+            }
+            this.recordLimitWarned = false;
+            await this.recorder.start(document.getElementById('recordFormat').value);
+        } catch (error) {
+            console.error('Failed to start recording:', error);
+            alert(`Could not start recording: ${error.message}`);
+        }
+    }
+
+    /**
+     * Stop recording and download the file, with an optional notice saying why
+     */
+    async saveRecording(notice = null) {
+        if (!this.recorder.isRecording) return;
+
+        const recordBtn = document.getElementById('recordBtn');
+        recordBtn.disabled = true;
+        try {
+            const { blob, extension, durationMs } = await this.recorder.stop();
+            const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+            this.downloadBlob(blob, `recording-${stamp}.${extension}`);
+            console.log(`Saved ${this.formatDuration(durationMs)} recording (${this.formatBytes(blob.size)})`);
+            if (notice) {
+                this.showNotice(notice);
+            }
+        } catch (error) {
+            console.error('Failed to save recording:', error);
+            alert(`Could not save the recording: ${error.message}`);
+        } finally {
+            recordBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Show recording time and size in the status bar and flip the record button
+     */
+    updateRecordDisplay(state) {
+        const recordBtn = document.getElementById('recordBtn');
+        recordBtn.classList.toggle('recording', state.isRecording);
+        recordBtn.querySelector('.icon').textContent = state.isRecording ? '⏹' : '⏺';
+        recordBtn.querySelector('.label').textContent = state.isRecording ? 'Stop Recording' : 'Record';
+        document.getElementById('recordFormat').disabled = state.isRecording;
+
+        document.getElementById('recordStatusItem').classList.toggle('hidden', !state.isRecording);
+        if (!state.isRecording) return;
+
+        let text = `${this.formatDuration(state.elapsedMs)} · ${this.formatBytes(state.bytes)}`;
+        if (state.remainingMs !== null && state.remainingMs < this.recordLimitWarning) {
+            text += ` · stops in ${this.formatDuration(Math.max(0, state.remainingMs))}`;
+            if (!this.recordLimitWarned) {
+                this.recordLimitWarned = true;
+                this.showNotice('The WAV recording will stop and be saved in 5 minutes, when it reaches the 1 GB limit. Record as WebM for longer sessions.');
+            }
+        }
+        document.getElementById('recordStatus').textContent = text;
+    }
+
+    /**
+     * Listen for the saved keyboard shortcuts and set up the command palette
+     */
+    setupShortcuts() {
+        this.shortcuts = new KeyboardShortcuts();
+        this.shortcuts.set(this.loadPlaybackSettings().shortcuts);
+        this.shortcuts.onCommand = (commandId) => this.runCommand(commandId);
+        this.shortcuts.attach(document);
+
+        this.commandPalette = new CommandPalette(document.getElementById('commandPalette'));
+        this.renderShortcuts();
+    }
+
+    /**
+     * Run a keyboard or palette command (ids in KeyboardShortcuts.COMMANDS)
+     */
+    runCommand(commandId) {
+        const toggleLayer = /^toggle-layer-(\d+)$/.exec(commandId);
+        if (toggleLayer) {
+            const layerId = this.layers[Number(toggleLayer[1]) - 1];
+            if (layerId) {
+                this.handleLayerToggle(layerId);
+            }
+            return;
+        }
+
+        switch (commandId) {
+            case 'command-palette':
+                this.openCommandPalette();
+                break;
+            case 'play-pause':
+                if (this.audioEngine.getActiveLayersCount() > 0) {
+                    this.handleStopAll();
+                } else {
+                    this.handlePlayAll();
+                }
+                break;
+            case 'play-all':
+                this.handlePlayAll();
+                break;
+            case 'stop-all':
+                this.handleStopAll();
+                break;
+            case 'layer-volume-up':
+            case 'layer-volume-down': {
+                const layerId = this.getSelectedLayer();
+                if (!layerId) return;
+                const slider = this.getLayerElement(layerId).querySelector('.volume-slider');
+                this.nudgeSlider(slider, commandId === 'layer-volume-up' ? 1 : -1);
+                break;
+            }
+            case 'master-volume-up':
+            case 'master-volume-down':
+                this.nudgeSlider(document.getElementById('masterVolume'), commandId === 'master-volume-up' ? 1 : -1);
+                break;
+            case 'next-preset':
+                this.cyclePreset(1);
+                break;
+            case 'previous-preset':
+                this.cyclePreset(-1);
+                break;
+            case 'focus-timer':
+                if (this.focusTimer.isActive) {
+                    this.handleTimerPause();
+                } else {
+                    this.handleTimerStart();
+                }
+                break;
+            case 'add-layer':
+                this.handleAddLayer();
+                break;
+            case 'save-preset':
+                this.saveCurrentAsPreset();
+                break;
+            case 'copy-link':
+                this.copyShareLink();
+                break;
+            default:
+                console.warn(`Unknown command: ${commandId}`);
+        }
+    }
+
+    /**
+     * Step a volume slider up or down and let its input handler apply it
+     */
+    nudgeSlider(slider, direction) {
+        const value = parseFloat(slider.value) + direction * this.volumeStep;
+        slider.value = Math.min(Math.max(value, parseFloat(slider.min)), parseFloat(slider.max));
+        slider.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    /**
+     * Mark the layer keyboard nudges and palette sounds go to
+     */
+    selectLayer(layerId) {
+        this.selectedLayerId = layerId;
+        this.layers.forEach(id => {
+            this.getLayerElement(id).classList.toggle('selected', id === layerId);
+        });
+    }
+
+    /**
+     * The selected layer, or the first one if it was removed
+     */
+    getSelectedLayer() {
+        return this.layers.includes(this.selectedLayerId) ? this.selectedLayerId : (this.layers[0] || null);
+    }
+
+    /**
+     * Load the next or previous preset, built-in ones first, then the user's
+     */
+    cyclePreset(offset) {
+        const presetIds = [...Object.keys(this.presets), ...this.presetStore.list().map(preset => preset.id)];
+        if (presetIds.length === 0) return;
+
+        const index = presetIds.indexOf(this.currentPreset);
+        let next;
+        if (index === -1) {
+            next = offset > 0 ? 0 : presetIds.length - 1;
+        } else {
+            next = (index + offset + presetIds.length) % presetIds.length;
+        }
+        this.loadPreset(presetIds[next]);
+    }
+
+    /**
+     * Open the command palette, or close it if it is open
+     */
+    openCommandPalette() {
+        if (this.commandPalette.isOpen) {
+            this.commandPalette.close();
+            return;
+        }
+        this.commandPalette.open(this.getPaletteItems());
+    }
+
+    /**
+     * Everything the palette can search: actions, then presets, then sounds
+     */
+    getPaletteItems() {
+        const items = KeyboardShortcuts.COMMANDS
+            .filter(({ id }) => id !== 'command-palette')
+            .map(({ id, label }) => ({
+                label,
+                group: 'Action',
+                keywords: id.split('-'),
+                shortcut: KeyboardShortcuts.format(this.shortcuts.bindings[id]),
+                run: () => this.runCommand(id)
+            }));
+
+        const presetIds = [...Object.keys(this.presets), ...this.presetStore.list().map(preset => preset.id)];
+        presetIds.forEach(presetId => {
+            const layers = this.getPresetLayers(presetId);
+            items.push({
+                label: this.getPresetDisplayName(presetId),
+                group: 'Preset',
+                keywords: ['preset', ...layers.filter(({ sound }) => sound).map(({ sound }) => this.getSoundLabel(sound))],
+                run: () => this.loadPreset(presetId)
+            });
+        });
+
+        Object.entries(this.audioEngine.audioLibrary).forEach(([category, sounds]) => {
+            const categoryLabel = this.categories[category] ? this.categories[category].label : category;
+            Object.keys(sounds).forEach(name => {
+                const sound = `${category}/${name}`;
+                const info = this.audioEngine.getSoundInfo(sound);
+                items.push({
+                    label: this.getSoundLabel(sound),
+                    group: categoryLabel,
+                    keywords: ['sound', categoryLabel, name, ...(info ? info.tags : [])],
+                    run: () => this.playSoundOnLayer(sound)
+                });
+            });
+        });
+
+        return items;
+    }
+
+    /**
+     * A sound's name as listed in the dropdowns
+     */
+    getSoundLabel(sound) {
+        const info = this.audioEngine.getSoundInfo(sound);
+        return info ? info.label : this.parseSound(sound)[1];
+    }
+
+    /**
+     * Put a sound on the selected layer (or a new one if there are none) and play it
+     */
+    playSoundOnLayer(sound) {
+        const layerId = this.getSelectedLayer() || this.addLayer();
+        const select = this.getLayerElement(layerId).querySelector('.audio-select');
+        this.selectLayer(layerId);
+
+        this.setSoundSelect(select, sound);
+        select.dispatchEvent(new Event('change', { bubbles: true }));
+
+        const layerInfo = this.audioEngine.getLayerInfo(layerId);
+        if (!layerInfo || !layerInfo.isPlaying) {
+            this.handleLayerToggle(layerId);
+        }
+    }
+
+    /**
+     * List every command with its key, and show the palette's key on its button
+     */
+    renderShortcuts() {
+        const list = document.getElementById('shortcutList');
+        list.innerHTML = '';
+
+        KeyboardShortcuts.COMMANDS.forEach(({ id, label }) => {
+            const combo = this.shortcuts.bindings[id];
+            const item = document.createElement('li');
+            item.className = 'shortcut';
+
+            const name = document.createElement('span');
+            name.className = 'shortcut-label';
+            name.textContent = label;
+
+            const button = document.createElement('button');
+            button.className = 'shortcut-key';
+            button.dataset.shortcut = id;
+            button.textContent = combo ? KeyboardShortcuts.format(combo) : 'None';
+            if (id === this.rebindingCommand) {
+                button.textContent = 'Press a key…';
+                button.classList.add('capturing');
+            }
+            button.title = 'Click, then press the new key (Backspace for none, Esc to keep)';
+            button.setAttribute('aria-label', `${label}: ${combo ? KeyboardShortcuts.format(combo) : 'no key'}. Change`);
+
+            item.append(name, button);
+            list.appendChild(item);
+        });
+
+        const paletteKey = this.shortcuts.bindings['command-palette'];
+        const hint = document.querySelector('#commandPaletteBtn kbd');
+        hint.textContent = KeyboardShortcuts.format(paletteKey);
+        hint.classList.toggle('hidden', !paletteKey);
+    }
+
+    /**
+     * Wait for a new key for a command and save it; the command that had
+     * that key loses it
+     */
+    async handleShortcutRebind(commandId) {
+        const capture = this.shortcuts.capture();
+        this.rebindingCommand = commandId;
+        this.renderShortcuts();
+
+        const combo = await capture;
+        if (this.rebindingCommand === commandId) {
+            this.rebindingCommand = null;
+        }
+        if (combo !== undefined) {
+            const previous = this.shortcuts.bind(commandId, combo);
+            this.savePlaybackSettings();
+            if (previous) {
+                const label = KeyboardShortcuts.COMMANDS.find(({ id }) => id === previous).label;
+                this.showNotice(`${KeyboardShortcuts.format(combo)} was taken from "${label}", which now has no key.`);
+            }
+        }
+
+        this.renderShortcuts();
+    }
+
+    /**
+     * Let the OS media keys and lock screen play, stop and change presets
+     */
+    setupMediaSession() {
+        if (!MediaSessionControls.isSupported()) return;
+
+        this.mediaSession = new MediaSessionControls();
+        this.mediaSession.setHandlers({
+            play: () => this.handlePlayAll(),
+            pause: () => this.handleStopAll(),
+            stop: () => this.handleStopAll(),
+            previoustrack: () => this.cyclePreset(-1),
+            nexttrack: () => this.cyclePreset(1)
+        });
+    }
+
+    /**
+     * Show the preset and the playing layers' sounds in the OS media controls,
+     * as playing only while the engine is actually producing sound
+     */
+    updateMediaSession() {
+        if (!this.mediaSession) return;
+
+        const sounds = this.layers
+            .filter(layerId => {
+                const layerInfo = this.audioEngine.getLayerInfo(layerId);
+                return layerInfo && layerInfo.isPlaying;
+            })
+            .map(layerId => this.getLayerConfig(layerId).sound)
+            .filter(Boolean);
+        const isRunning = this.audioEngine.isInitialized && this.audioEngine.audioContext.state === 'running';
+
+        this.mediaSession.update({
+            title: this.currentPreset ? this.getPresetDisplayName(this.currentPreset) : 'Custom Mix',
+            artist: sounds.length > 0 ? sounds.map(sound => this.getSoundLabel(sound)).join(' · ') : 'No layers playing',
+            isPlaying: sounds.length > 0 && isRunning
+        });
+    }
+
+    /**
+     * Format a byte count as KB, MB or GB
+     */
+    formatBytes(bytes) {
+        if (bytes < 1024 * 1024) {
+            return `${Math.round(bytes / 1024)} KB`;
+        }
+        if (bytes < 1024 * 1024 * 1024) {
+            return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        }
+        return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+    }
+
+    /**
+     * Offer a Blob as a file download
+     */
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Create the focus timer and restore its saved settings
+     */
+    setupFocusTimer() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(this.timerStorageKey)) || {};
+        } catch (error) {
+            console.error('Failed to read focus timer settings:', error);
+        }
+
+        const settings = {
+            workMinutes: 25,
+            shortBreakMinutes: 5,
+            longBreakMinutes: 15,
+            cycles: 4,
+            workPreset: 'deep-focus',
+            breakPreset: 'nature-retreat',
+            ...saved
+        };
+
+        document.getElementById('timerWork').value = settings.workMinutes;
+        document.getElementById('timerShortBreak').value = settings.shortBreakMinutes;
+        document.getElementById('timerLongBreak').value = settings.longBreakMinutes;
+        document.getElementById('timerCycles').value = settings.cycles;
+
+        // Fall back to "keep current mix" if a saved user preset was deleted
+        const workPreset = document.getElementById('timerWorkPreset');
+        const breakPreset = document.getElementById('timerBreakPreset');
+        workPreset.value = settings.workPreset;
+        workPreset.value = workPreset.value || '';
+        breakPreset.value = settings.breakPreset;
+        breakPreset.value = breakPreset.value || '';
+
+        this.focusTimer = new FocusTimer(this.getTimerSettings());
+        this.focusTimer.onPhaseChange = (phase, state) => this.handleTimerPhaseChange(phase, state);
+        this.focusTimer.onTick = (state) => this.updateTimerDisplay(state);
+        this.focusTimer.onComplete = () => this.handleTimerComplete();
+    }
+
+    /**
+     * Read focus timer settings from the controls
+     */
+    getTimerSettings() {
+        return {
+            workMinutes: this.readNumberInput('timerWork'),
+            shortBreakMinutes: this.readNumberInput('timerShortBreak'),
+            longBreakMinutes: this.readNumberInput('timerLongBreak'),
+            cycles: this.readNumberInput('timerCycles'),
+            workPreset: document.getElementById('timerWorkPreset').value,
+            breakPreset: document.getElementById('timerBreakPreset').value
+        };
+    }
+
+    /**
+     * Read a number input, clamping it to its min/max
+     */
+    readNumberInput(id) {
+        const input = document.getElementById(id);
+        const min = parseFloat(input.min);
+        const max = parseFloat(input.max);
+        const value = parseFloat(input.value);
+        const clamped = Math.min(Math.max(Number.isNaN(value) ? min : value, min), max);
+
+        input.value = clamped;
+        return clamped;
+    }
+
+    /**
+     * Persist focus timer settings and apply them from the next phase
+     */
+    saveTimerSettings() {
+        const settings = this.getTimerSettings();
+        this.focusTimer.updateConfig(settings);
+
+        try {
+            localStorage.setItem(this.timerStorageKey, JSON.stringify(settings));
+        } catch (error) {
+            console.error('Failed to save focus timer settings:', error);
+        }
+    }
+
+    /**
+     * Start a new focus session
+     */
+    async handleTimerStart() {
+        try {
+            if (!this.audioEngine.isInitialized) {
+                await this.audioEngine.initialize();
+            }
+
+            this.saveTimerSettings();
+            this.focusTimer.start();
+            this.updateTimerControls();
+        } catch (error) {
+            console.error('Error starting focus session:', error);
+            alert('Failed to start audio. Please check your browser permissions.');
+        }
+    }
+
+    /**
+     * Pause or resume the focus session
+     */
+    handleTimerPause() {
+        if (this.focusTimer.isPaused) {
+            this.focusTimer.resume();
+        } else {
+            this.focusTimer.pause();
+        }
+        this.updateTimerControls();
+    }
+
+    /**
+     * End the focus session early
+     */
+    handleTimerStop() {
+        this.focusTimer.stop();
+        this.updateTimerControls();
+        this.updateTimerDisplay(this.focusTimer.getState());
+    }
+
+    /**
+     * Chime and switch presets at each work/break boundary
+     */
+    async handleTimerPhaseChange(phase, state) {
+        console.log(`Focus timer: ${phase} (cycle ${state.cycle}/${state.cycles})`);
+
+        this.audioEngine.playChime(phase === 'work' ? 784 : 523.25);
+
+        const presetName = phase === 'work'
+            ? this.focusTimer.config.workPreset
+            : this.focusTimer.config.breakPreset;
+
+        if (presetName) {
+            await this.loadPreset(presetName);
+        }
+    }
+
+    /**
+     * Wrap up when the long break ends
+     */
+    handleTimerComplete() {
+        this.audioEngine.playChime(659.25);
+        this.updateTimerControls();
+        this.updateTimerDisplay(this.focusTimer.getState());
+        this.showNotice('Focus session complete. Nice work!');
+    }
+
+    /**
+     * Enable the timer buttons that apply to the current state
+     */
+    updateTimerControls() {
+        const isActive = this.focusTimer.isActive;
+        const pauseBtn = document.getElementById('timerPauseBtn');
+
+        document.getElementById('timerStartBtn').disabled = isActive;
+        pauseBtn.disabled = !isActive;
+        document.getElementById('timerSkipBtn').disabled = !isActive;
+        document.getElementById('timerStopBtn').disabled = !isActive;
+
+        pauseBtn.querySelector('.icon').textContent = this.focusTimer.isPaused ? '▶' : '⏸';
+        pauseBtn.querySelector('.label').textContent = this.focusTimer.isPaused ? 'Resume' : 'Pause';
+    }
+
+    /**
+     * Show the remaining time in the status bar
+     */
+    updateTimerDisplay(state) {
+        const statusItem = document.getElementById('timerStatusItem');
+        statusItem.classList.toggle('hidden', !state.phase);
+        if (!state.phase) return;
+
+        const label = {
+            'work': `Work ${state.cycle}/${state.cycles}`,
+            'short-break': 'Short Break',
+            'long-break': 'Long Break'
+        }[state.phase];
+
+        document.getElementById('timerStatus').textContent =
+            `${label} · ${this.formatDuration(state.remainingMs)}${state.isPaused ? ' (paused)' : ''}`;
+    }
+
+    /**
+     * Create the sleep timer
+     */
+    setupSleepTimer() {
+        this.sleepTimer = new SleepTimer(this.audioEngine);
+        this.sleepTimer.onTick = (state) => this.updateSleepDisplay(state);
+        this.sleepTimer.onExpire = () => this.handleSleepExpire();
+    }
+
+    /**
+     * Start the sleep countdown
+     */
+    async handleSleepStart() {
+        try {
+            if (!this.audioEngine.isInitialized) {
+                await this.audioEngine.initialize();
+            }
+
+            const minutes = this.readNumberInput('sleepMinutes');
+            const fadeMinutes = this.readNumberInput('sleepFadeMinutes');
+
+            this.sleepTimer.start(minutes, fadeMinutes);
+            this.updateSleepControls();
+        } catch (error) {
+            console.error('Error starting sleep timer:', error);
+            alert('Failed to start audio. Please check your browser permissions.');
+        }
+    }
+
+    /**
+     * Cancel the sleep countdown and restore the volume
+     */
+    handleSleepCancel() {
+        this.sleepTimer.cancel();
+        this.updateSleepControls();
+    }
+
+    /**
+     * Reset the sleep controls once the timer has stopped playback
+     */
+    handleSleepExpire() {
+        console.log('Sleep timer finished; playback stopped');
+
+        this.updateSleepControls();
+    }
+
+    /**
+     * Enable the sleep timer buttons that apply to the current state
+     */
+    updateSleepControls() {
+        const isActive = this.sleepTimer.isActive;
+        document.getElementById('sleepStartBtn').disabled = isActive;
+        document.getElementById('sleepCancelBtn').disabled = !isActive;
+    }
+
+    /**
+     * Show the sleep countdown in the status bar
+     */
+    updateSleepDisplay(state) {
+        document.getElementById('sleepStatusItem').classList.toggle('hidden', !state.isActive);
+        if (!state.isActive) return;
+
+        document.getElementById('sleepStatus').textContent =
+            `${this.formatDuration(state.remainingMs)}${state.isFading ? ' (fading)' : ''}`;
+    }
+
+    /**
+     * Create the timeline player
+     */
+    setupTimeline() {
+        this.timelinePlayer = new TimelinePlayer(this.audioEngine);
+        this.timelinePlayer.onSoundChange = (layerId, sound) => this.handleScheduledSoundChange(layerId, sound);
+        this.timelinePlayer.onTick = (state) => this.updateTimelineDisplay(state);
+    }
+
+    /**
+     * Play every layer's timeline from 0:00, returning false if none has one
+     */
+    startTimeline() {
+        const tracks = this.layers.map(layerId => {
+            const { sound, volume, timeline } = this.getLayerConfig(layerId);
+            if (timeline) {
+                this.ensureEngineLayer(layerId);
+            }
+            return { layerId, timeline, sound, volume };
+        });
+
+        // Join a playing video at its position
+        const loopLength = this.readNumberInput('timelineLoopMinutes') * 60;
+        const started = this.timelinePlayer.start(tracks, { loopLength, ...this.videoSync.getTimelinePosition() });
+
+        this.updateTimelineControls();
+        return started;
+    }
+
+    /**
+     * Handle the Start Timeline button
+     */
+    async handleTimelineStart() {
+        try {
+            if (!this.audioEngine.isInitialized) {
+                await this.audioEngine.initialize();
+            }
+
+            if (!this.startTimeline()) {
+                alert('Add a volume keyframe or sound change to a layer first (⏱ on the layer card).');
+            }
+        } catch (error) {
+            console.error('Error starting timeline:', error);
+            alert('Failed to start audio. Please check your browser permissions.');
+        }
+    }
+
+    /**
+     * Stop the timeline, leaving the layers playing at their mixer settings
+     */
+    handleTimelineStop() {
+        this.timelinePlayer.stop();
+        this.updateTimelineControls();
+    }
+
+    /**
+     * Switch a layer's sound when its timeline or drift calls for it
+     */
+    handleScheduledSoundChange(layerId, sound) {
+        if (!this.layers.includes(layerId)) return;
+
+        this.driftPlayer.setSound(layerId, sound);
+
+        const audioSelect = this.getLayerElement(layerId).querySelector('.audio-select');
+        audioSelect.value = sound || '';
+        this.updateLayerHeader(layerId);
+        this.showLayerError(layerId, null);
+
+        if (sound) {
+            this.ensureEngineLayer(layerId);
+            this.playLayer(layerId, sound);
+        } else {
+            this.audioEngine.stopLayer(layerId);
+        }
+    }
+
+    /**
+     * Create the drift player
+     */
+    setupDrift() {
+        this.driftPlayer = new DriftPlayer(this.audioEngine);
+        this.driftPlayer.onSoundChange = (layerId, sound) => this.handleScheduledSoundChange(layerId, sound);
+    }
+
+    /**
+     * Start every playing layer's drift from its seed
+     */
+    startDrift() {
+        const tracks = this.layers
+            .filter(layerId => this.getLayerConfig(layerId).sound)
+            .map(layerId => this.getDriftTrack(layerId));
+
+        this.driftPlayer.start(tracks);
+    }
+
+    /**
+     * A layer's drift as a DriftPlayer track. Volume keyframes on its timeline
+     * take priority over volume drift.
+     */
+    getDriftTrack(layerId) {
+        const { sound, timeline, drift } = this.getLayerConfig(layerId);
+        if (drift && timeline && timeline.keyframes.length > 0) {
+            delete drift.volume;
+        }
+
+        return { layerId, drift, sound };
+    }
+
+    /**
+     * Enable the timeline buttons that apply to the current state
+     */
+    updateTimelineControls() {
+        const isRunning = this.timelinePlayer.isRunning;
+        document.getElementById('timelineStopBtn').disabled = !isRunning;
+    }
+
+    /**
+     * Show the timeline position in the status bar
+     */
+    updateTimelineDisplay(state) {
+        document.getElementById('timelineStatusItem').classList.toggle('hidden', !state.isRunning);
+        this.updateTimelineControls();
+        if (!state.isRunning) return;
+
+        const pass = state.loop && state.cycle > 0 ? ` (pass ${state.cycle + 1})` : '';
+        document.getElementById('timelineStatus').textContent =
+            `${this.formatDuration(state.position * 1000)} / ${this.formatDuration(state.length * 1000)}${pass}`;
+    }
+
+    /**
+     * Format milliseconds as m:ss (or h:mm:ss)
+     */
+    formatDuration(ms) {
+        const totalSeconds = Math.ceil(ms / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+
+        return hours > 0
+            ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+            : `${minutes}:${seconds}`;
+    }
+
+    /**
+     * Start visualization loop
+     */
+    startVisualization() {
+        const drawWaveform = (layerId) => {
+            const layerElement = this.getLayerElement(layerId);
+            const canvas = layerElement.querySelector('.waveform');
+            const ctx = canvas.getContext('2d');
+
+            const data = this.audioEngine.getAnalyserData(layerId);
+
+            // Clear canvas
+            ctx.fillStyle = 'rgb(51, 65, 85)';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+            if (data) {
+                ctx.lineWidth = 2;
+                ctx.strokeStyle = 'rgb(99, 102, 241)';
+                ctx.beginPath();
+
+                const sliceWidth = canvas.width / data.length;
+                let x = 0;
+
+                for (let i = 0; i < data.length; i++) {
+                    const v = data[i] / 128.0;
+                    const y = (v * canvas.height) / 2;
+
+                    if (i === 0) {
+                        ctx.moveTo(x, y);
+                    } else {
+                        ctx.lineTo(x, y);
+                    }
 
                     x += sliceWidth;
                 }
@@ -484,6 +3439,33 @@ class AudioGeneratorApp {
         animate();
     }
 
+    /**
+     * Refresh the output loudness readout a few times a second
+     */
+    startLevelMeter() {
+        this.levelMeterId = setInterval(() => this.updateLevelMeter(), 250);
+    }
+
+    /**
+     * Show the master output's loudness and whether the limiter is working
+     */
+    updateLevelMeter() {
+        const readout = document.getElementById('loudnessStatus');
+        const levels = this.audioEngine.getActiveLayersCount() > 0 ? this.audioEngine.getMasterLevels() : null;
+
+        if (!levels || levels.loudness <= LoudnessMeter.FLOOR) {
+            readout.textContent = '–';
+            readout.classList.remove('limiting');
+            readout.title = '';
+            return;
+        }
+
+        const limiting = levels.reduction < -1;
+        readout.textContent = `${levels.loudness.toFixed(1)} LUFS · ${levels.rms.toFixed(1)} dB RMS${limiting ? ' · limiting' : ''}`;
+        readout.classList.toggle('limiting', limiting);
+        readout.title = `Peak ${levels.peak.toFixed(1)} dBFS, limiter ${levels.reduction.toFixed(1)} dB`;
+    }
+
     /**
      * Update status display
      */
@@ -493,22 +3475,69 @@ class AudioGeneratorApp {
 
         document.getElementById('activeLayers').textContent = activeLayers;
         document.getElementById('playbackStatus').textContent = isPlaying ? 'Playing' : 'Stopped';
-        document.getElementById('audioContextStatus').textContent = this.audioEngine.isInitialized
-            ? 'Initialized'
-            : 'Not Initialized';
+        let contextStatus = 'Not Initialized';
+        if (this.audioEngine.isInitialized) {
+            contextStatus = this.audioEngine.audioContext.state === 'suspended' ? 'Suspended' : 'Initialized';
+        }
+        document.getElementById('audioContextStatus').textContent = contextStatus;
+
+        this.updateMediaSession();
     }
 
     /**
      * Cleanup
      */
     dispose() {
+        if (this.focusTimer) {
+            this.focusTimer.stop();
+        }
+
+        if (this.sleepTimer) {
+            this.sleepTimer.cancel();
+        }
+
+        if (this.timelinePlayer) {
+            this.timelinePlayer.stop();
+        }
+
+        if (this.driftPlayer) {
+            this.driftPlayer.stop();
+        }
+
+        if (this.videoSync) {
+            this.videoSync.dispose();
+        }
+
+        if (this.speechDucker) {
+            this.speechDucker.stop();
+        }
+
         if (this.animationFrameId) {
             cancelAnimationFrame(this.animationFrameId);
         }
 
+        clearInterval(this.levelMeterId);
+
+        if (this.recorder && this.recorder.isRecording) {
+            this.recorder.stop();
+        }
+
+        if (this.userSounds) {
+            this.userSounds.close();
+        }
+
+        if (this.shortcuts) {
+            this.shortcuts.detach();
+        }
+
         if (this.audioEngine) {
             this.audioEngine.dispose();
         }
+
+        // After the engine, whose last events would fill the controls in again
+        if (this.mediaSession) {
+            this.mediaSession.dispose();
+        }
     }
 }
 
@@ -3,53 +3,86 @@
  * Built with Web Audio API for sophisticated audio mixing and control
  */
 
+class AudioLoadError extends Error {
+    constructor(reason, { layerId, sound, status = null } = {}) {
+        super(AudioLoadError.MESSAGES[reason] || AudioLoadError.MESSAGES.unknown);
+        this.name = 'AudioLoadError';
+        this.reason = reason;
+        this.layerId = layerId;
+        this.sound = sound;
+        this.status = status;
+
+        // What the layer is playing instead: 'procedural', 'tone' or null (silence)
+        this.fallback = null;
+    }
+}
+
+AudioLoadError.MESSAGES = {
+    'not-found': 'Audio file not found (404)',
+    'http': 'Server refused the audio file',
+    'decode': 'Audio file could not be decoded',
+    'autoplay': 'Playback blocked by the browser until you interact with the page',
+    'cors': 'Audio file blocked by cross-origin (CORS) policy',
+    'network': 'Network error while loading audio',
+    'unknown': 'Audio could not be played'
+};
+
 class AudioEngine {
     constructor() {
         this.audioContext = null;
         this.masterGain = null;
+        this.duckGain = null;
+        this.syncGain = null;
+        this.masterFadeGain = null;
+        this.limiter = null;
+        this.limiterTrim = null;
+        this.loudnessMeter = null;
+        this.rmsMeter = null;
         this.layers = new Map();
         this.isInitialized = false;
         this.noiseGenerators = new Map();
+        this.bufferCache = new Map();
+        // Shared convolution reverbs by space, built on first use
+        this.reverbs = new Map();
+        // Measured RMS level (dBFS) of each sound, for normalisation
+        this.soundLevels = new Map();
+        this.proceduralSounds = new ProceduralSounds(noiseType => this.getNoiseBuffer(noiseType));
+
+        // Event listeners by type (see AudioEngine.EVENTS)
+        this.listeners = new Map();
 
         // Configuration
         this.config = {
             fadeDuration: 1.0,
             enableCrossfade: true,
             loopLayers: true,
-            sampleRate: 44100
+            sampleRate: 44100,
+            // What to play when a sound can't be loaded: 'procedural', 'tone' or 'silence'
+            fallback: 'procedural',
+            // Decode files into memory for gapless loops instead of streaming them
+            bufferedPlayback: true,
+            loopCrossfade: 1.5,
+            bufferCacheSize: 6,
+            // Length of generated noise loops in seconds
+            noiseLength: 10,
+            // Catch peaks on the master bus before they clip
+            limiter: true,
+            // Level every sound to normalizeTarget dBFS RMS, by at most maxNormalizeGain dB
+            normalize: false,
+            normalizeTarget: -20,
+            maxNormalizeGain: 12,
+            // Seconds of a streamed or synthesised sound to measure before levelling it
+            normalizeMeasureTime: 4
         };
 
-        // Audio file paths mapping
+        // Audio file paths by category and sound (null for generated sounds),
+        // filled in from the sounds.json manifest by setLibrary()
         this.audioLibrary = {
-            nature: {
-                rain: 'assets/audio/nature/rain.mp3',
-                forest: 'assets/audio/nature/forest.mp3',
-                ocean: 'assets/audio/nature/ocean.mp3',
-                stream: 'assets/audio/nature/stream.mp3',
-                birds: 'assets/audio/nature/birds.mp3'
-            },
-            music: {
-                piano: 'assets/audio/music/piano.mp3',
-                ambient: 'assets/audio/music/ambient.mp3',
-                guitar: 'assets/audio/music/guitar.mp3',
-                strings: 'assets/audio/music/strings.mp3',
-                lofi: 'assets/audio/music/lofi.mp3'
-            },
-            noise: {
-                white: null, // Generated
-                pink: null,  // Generated
-                brown: null, // Generated
-                fan: 'assets/audio/noise/fan.mp3',
-                cafe: 'assets/audio/noise/cafe.mp3'
-            },
-            ambient: {
-                space: 'assets/audio/ambient/space.mp3',
-                temple: 'assets/audio/ambient/temple.mp3',
-                wind: 'assets/audio/ambient/wind.mp3',
-                tibetan: 'assets/audio/ambient/tibetan.mp3',
-                meditation: 'assets/audio/ambient/meditation.mp3'
-            }
+            // The user's own files, added at runtime (see addSound())
+            user: {}
         };
+        // Manifest details (label, gain, loop points, license...) by "category/name"
+        this.soundInfo = new Map();
     }
 
     /**
@@ -62,13 +95,34 @@ class AudioEngine {
             // Create AudioContext
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
 
-            // Create master gain node
+            // Master chain: master gain -> speech ducking -> sync stage (video ducking
+            // and fades) -> limiter -> stage reserved for long fades -> output
             this.masterGain = this.audioContext.createGain();
-            this.masterGain.connect(this.audioContext.destination);
+            this.duckGain = this.audioContext.createGain();
+            this.syncGain = this.audioContext.createGain();
+            this.masterGain.connect(this.duckGain);
+            this.duckGain.connect(this.syncGain);
+            this.masterFadeGain = this.audioContext.createGain();
+            this.limiter = this.createLimiter();
+            this.limiterTrim = this.audioContext.createGain();
+            this.limiterTrim.gain.value = this._limiterMakeupCompensation(this.limiter);
+            this.limiter.connect(this.limiterTrim);
+            this.limiterTrim.connect(this.masterFadeGain);
+            this._connectMasterChain();
+            this.masterFadeGain.connect(this.audioContext.destination);
             this.masterGain.gain.value = 0.7;
 
+            // Meters read what actually reaches the speakers
+            this.loudnessMeter = new LoudnessMeter(this.audioContext, this.masterFadeGain);
+            this.rmsMeter = new LoudnessMeter(this.audioContext, this.masterFadeGain, { weighted: false });
+
+            this.audioContext.addEventListener('statechange', () => {
+                this._emit('contextstatechange', { state: this.audioContext.state });
+            });
+
             this.isInitialized = true;
             console.log('Audio Engine initialized successfully');
+            this._emit('contextstatechange', { state: this.audioContext.state });
 
             return true;
         } catch (error) {
@@ -77,6 +131,110 @@ class AudioEngine {
         }
     }
 
+    /**
+     * Build the master limiter: a fast, hard-knee, high-ratio compressor
+     */
+    createLimiter(context = this.audioContext) {
+        const limiter = context.createDynamicsCompressor();
+        limiter.threshold.value = -3;
+        limiter.knee.value = 0;
+        limiter.ratio.value = 20;
+        limiter.attack.value = 0.003;
+        limiter.release.value = 0.25;
+        return limiter;
+    }
+
+    /**
+     * DynamicsCompressorNode adds makeup gain of 0.6 x its full-scale reduction;
+     * undo it so switching the limiter on doesn't make quiet mixes louder
+     */
+    _limiterMakeupCompensation(limiter) {
+        const threshold = limiter.threshold.value;
+        const fullScaleReduction = -threshold * (1 - 1 / limiter.ratio.value);
+        return LoudnessMeter.toGain(-0.6 * fullScaleReduction);
+    }
+
+    /**
+     * Route the master bus through the limiter, or around it when it is turned off
+     */
+    _connectMasterChain() {
+        this.syncGain.disconnect();
+        this.syncGain.connect(this.config.limiter ? this.limiter : this.masterFadeGain);
+    }
+
+    /**
+     * Feed the final output (after master volume, limiter and fades) to another node,
+     * e.g. a recorder
+     */
+    connectOutput(node) {
+        this.masterFadeGain.connect(node);
+    }
+
+    /**
+     * Stop feeding the final output to a node connected with connectOutput()
+     */
+    disconnectOutput(node) {
+        try {
+            this.masterFadeGain.disconnect(node);
+        } catch (e) {
+            // Not connected
+        }
+    }
+
+    /**
+     * Current output levels in dB: approximate momentary loudness (LUFS),
+     * RMS and peak, and how far the limiter is pulling the level down
+     */
+    getMasterLevels() {
+        if (!this.isInitialized) return null;
+
+        const { loudness: rms, peak } = this.rmsMeter.read();
+        return {
+            loudness: this.loudnessMeter.read().loudness,
+            rms,
+            peak,
+            reduction: this.config.limiter ? this.limiter.reduction : 0
+        };
+    }
+
+    /**
+     * Subscribe to an engine event
+     */
+    on(type, handler) {
+        if (!AudioEngine.EVENTS.includes(type)) {
+            throw new Error(`Unknown audio engine event: ${type}`);
+        }
+
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(handler);
+    }
+
+    /**
+     * Unsubscribe from an engine event
+     */
+    off(type, handler) {
+        const handlers = this.listeners.get(type);
+        if (handlers) {
+            handlers.delete(handler);
+        }
+    }
+
+    _emit(type, detail) {
+        const handlers = this.listeners.get(type);
+        if (!handlers) return;
+
+        // One failing listener shouldn't stop the others or the engine
+        handlers.forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`Error in ${type} listener:`, error);
+            }
+        });
+    }
+
     /**
      * Resume audio context (required for user interaction)
      */
@@ -86,10 +244,19 @@ class AudioEngine {
         }
     }
 
+    /**
+     * Suspend the audio context to release the audio device
+     */
+    async suspend() {
+        if (this.audioContext && this.audioContext.state === 'running') {
+            await this.audioContext.suspend();
+        }
+    }
+
     /**
      * Create a new audio layer
      */
-    createLayer(layerId, volume = 0.6) {
+    createLayer(layerId, volume = 0.6, effects = null) {
         if (!this.isInitialized) {
             throw new Error('Audio engine not initialized');
         }
@@ -101,91 +268,729 @@ class AudioEngine {
 
         const layer = {
             id: layerId,
-            audioElement: null,
-            sourceNode: null,
+            // The sound currently playing (see _createSource); older ones fade out on their own
+            source: null,
             gainNode: this.audioContext.createGain(),
+            // Lowered by the speech ducker, apart from the volume and its automation
+            duckGain: this.audioContext.createGain(),
+            effects: new LayerEffects(this.audioContext, space => this.getReverb(space)),
             analyserNode: this.audioContext.createAnalyser(),
             currentSound: null,
             isPlaying: false,
             volume: volume,
-            noiseBuffer: null,
-            noiseSource: null
+            loadId: 0,
+            error: null,
+            // Carrier, beat and waveform used whenever the layer plays a brainwave tone
+            brainwave: BrainwaveTones.normalize()
         };
 
         // Configure analyser for visualization
         layer.analyserNode.fftSize = 256;
         layer.analyserNode.smoothingTimeConstant = 0.8;
 
-        // Set initial volume
+        // Set initial volume and effects
         layer.gainNode.gain.value = volume;
+        if (effects) {
+            layer.effects.set(effects, 0);
+        }
 
-        // Connect nodes: source -> gain -> analyser -> master
-        layer.gainNode.connect(layer.analyserNode);
+        // Connect nodes: source -> source gain -> gain -> duck -> effects -> analyser -> master
+        // (the effects' reverb send feeds a shared reverb that goes straight to master)
+        layer.gainNode.connect(layer.duckGain);
+        layer.duckGain.connect(layer.effects.input);
+        layer.effects.output.connect(layer.analyserNode);
         layer.analyserNode.connect(this.masterGain);
 
-        this.layers.set(layerId, layer);
-        console.log(`Created layer: ${layerId}`);
+        this.layers.set(layerId, layer);
+        console.log(`Created layer: ${layerId}`);
+
+        return layer;
+    }
+
+    /**
+     * Remove a layer, fading it out first if it is playing
+     */
+    removeLayer(layerId) {
+        const layer = this.layers.get(layerId);
+        if (!layer) return;
+
+        // Detach from the map right away so the id can't be reused mid-fade
+        this.layers.delete(layerId);
+
+        const fadeTime = layer.isPlaying ? this._fadeTime() : 0;
+        this._stopLayer(layer);
+
+        const teardown = () => {
+            layer.gainNode.disconnect();
+            layer.duckGain.disconnect();
+            layer.effects.disconnect();
+            layer.analyserNode.disconnect();
+            console.log(`Removed layer: ${layerId}`);
+        };
+
+        if (fadeTime > 0) {
+            setTimeout(teardown, fadeTime * 1000);
+        } else {
+            teardown();
+        }
+    }
+
+    /**
+     * Load and play audio for a specific layer
+     */
+    async loadAndPlayAudio(layerId, soundType, soundName) {
+        await this.resume();
+
+        const layer = this.layers.get(layerId);
+        if (!layer) {
+            throw new Error(`Layer ${layerId} not found`);
+        }
+
+        // Supersede any load still in flight; the current sound keeps playing
+        // until the new one is ready, then they crossfade
+        layer.loadId++;
+        layer.error = null;
+
+        // Check if this is a generated noise
+        if (soundType === 'noise' && ['white', 'pink', 'brown'].includes(soundName)) {
+            await this.generateAndPlayNoise(layerId, soundName);
+            return;
+        }
+
+        if (soundType === 'brainwave' && BrainwaveTones.MODES.includes(soundName)) {
+            this.playBrainwave(layerId, soundName);
+            return;
+        }
+
+        // Get audio file path
+        const audioPath = this.audioLibrary[soundType]?.[soundName];
+        if (!audioPath) {
+            this._failLoad(layer, new AudioLoadError('not-found'), soundType, soundName);
+            return;
+        }
+
+        if (this.config.bufferedPlayback) {
+            await this.playBuffered(layerId, soundType, soundName, audioPath);
+        } else {
+            await this.playMediaElement(layerId, soundType, soundName, audioPath);
+        }
+    }
+
+    /**
+     * Stream a sound file through an audio element
+     */
+    async playMediaElement(layerId, soundType, soundName, audioPath) {
+        const layer = this.layers.get(layerId);
+        const loadId = layer.loadId;
+
+        // Create audio element
+        const audio = new Audio(audioPath);
+        audio.loop = this.config.loopLayers;
+        audio.crossOrigin = 'anonymous';
+
+        const source = this._createSource(layer, `${soundType}/${soundName}`);
+        source.audioElement = audio;
+
+        try {
+            // Create media element source
+            source.node = this.audioContext.createMediaElementSource(audio);
+            source.node.connect(source.trim);
+
+            // Plays silently on its own gain stage until it is faded in
+            await audio.play();
+        } catch (error) {
+            const loadError = await this._diagnoseLoadError(error, audio, audioPath);
+
+            // Release the failed element before falling back
+            this._releaseSource(source, 0);
+
+            // Give up if the layer moved on to another sound while we were checking
+            if (!this._isCurrentLoad(layer, loadId)) return;
+
+            this._failLoad(layer, loadError, soundType, soundName);
+            return;
+        }
+
+        if (!this._isCurrentLoad(layer, loadId)) {
+            this._releaseSource(source, 0);
+            return;
+        }
+
+        this._startSource(layer, source);
+        console.log(`Playing audio: ${layer.currentSound} on layer ${layerId}`);
+    }
+
+    /**
+     * Decode a sound file into memory and loop it seamlessly
+     */
+    async playBuffered(layerId, soundType, soundName, audioPath) {
+        const layer = this.layers.get(layerId);
+        const loadId = layer.loadId;
+
+        let entry;
+        try {
+            entry = await this.loadBuffer(audioPath);
+        } catch (error) {
+            if (!this._isCurrentLoad(layer, loadId)) return;
+            this._failLoad(layer, error, soundType, soundName);
+            return;
+        }
+
+        // Stopped, switched or removed while decoding
+        if (!this._isCurrentLoad(layer, loadId)) return;
+
+        const source = this._createSource(layer, `${soundType}/${soundName}`);
+        source.bufferPath = audioPath;
+        source.buffer = entry.buffer;
+        source.node = this.audioContext.createBufferSource();
+
+        if (this.config.loopLayers) {
+            source.node.buffer = this._getLoopBuffer(entry, source.sound);
+        } else {
+            source.node.buffer = entry.buffer;
+        }
+        source.node.loop = this.config.loopLayers;
+        source.node.connect(source.trim);
+
+        // A sound that isn't looping stops the layer when it ends
+        source.node.onended = () => {
+            if (layer.source === source) {
+                this.stopLayer(layerId);
+            }
+        };
+
+        source.node.start();
+        this._startSource(layer, source);
+
+        console.log(`Playing buffered audio: ${layer.currentSound} on layer ${layerId}`);
+    }
+
+    /**
+     * Fetch and decode a sound file, sharing the result between layers
+     */
+    loadBuffer(audioPath) {
+        if (this.bufferCache.has(audioPath)) {
+            // Re-insert so the least recently used entries are pruned first
+            const entry = this.bufferCache.get(audioPath);
+            this.bufferCache.delete(audioPath);
+            this.bufferCache.set(audioPath, entry);
+            return entry;
+        }
+
+        const loading = this._decodeFile(audioPath);
+        this.bufferCache.set(audioPath, loading);
+        this._pruneBufferCache();
+
+        // Let a failed load be retried
+        loading.catch(() => this.bufferCache.delete(audioPath));
+
+        return loading;
+    }
+
+    async _decodeFile(audioPath) {
+        const response = await this._fetchAudio(audioPath);
+        const data = await response.arrayBuffer();
+
+        try {
+            const buffer = await this.audioContext.decodeAudioData(data);
+            return { buffer, loopBuffer: null };
+        } catch (error) {
+            throw new AudioLoadError('decode', { status: response.status });
+        }
+    }
+
+    /**
+     * Replace the library with the sounds of a SoundManifest, keeping the
+     * user's own files. The library object itself is kept, as others hold it.
+     */
+    setLibrary(manifest) {
+        const user = this.audioLibrary.user || {};
+        Object.keys(this.audioLibrary).forEach(category => delete this.audioLibrary[category]);
+        Object.assign(this.audioLibrary, manifest.toLibrary(), { user });
+
+        Array.from(this.soundInfo.keys())
+            .filter(sound => !sound.startsWith('user/'))
+            .forEach(sound => this.soundInfo.delete(sound));
+        manifest.sounds.forEach(entry => this.soundInfo.set(entry.sound, entry));
+    }
+
+    /**
+     * Details of a library sound ({ label, gain, loop, license, attribution, tags... }), or null
+     */
+    getSoundInfo(sound) {
+        return this.soundInfo.get(sound) || null;
+    }
+
+    /**
+     * Decode an audio file or blob, e.g. to check a file before storing it
+     */
+    async decodeAudioFile(file) {
+        const data = await file.arrayBuffer();
+
+        try {
+            return await this.audioContext.decodeAudioData(data);
+        } catch (error) {
+            throw new AudioLoadError('decode', { sound: file.name });
+        }
+    }
+
+    /**
+     * Add a sound to the library at runtime. A buffer that is already decoded
+     * is cached so the first play doesn't decode it again.
+     */
+    addSound(soundType, soundName, audioPath, buffer = null, info = {}) {
+        this.audioLibrary[soundType] = this.audioLibrary[soundType] || {};
+        this.audioLibrary[soundType][soundName] = audioPath;
+        this.soundInfo.set(`${soundType}/${soundName}`, { label: soundName, gain: 0, loop: null, tags: [], ...info });
+
+        if (buffer) {
+            this.bufferCache.set(audioPath, Promise.resolve({ buffer, loopBuffer: null }));
+            this._pruneBufferCache();
+        }
+    }
+
+    /**
+     * Remove a sound from the library, stopping any layer that is playing it
+     */
+    removeSound(soundType, soundName) {
+        const audioPath = this.audioLibrary[soundType]?.[soundName];
+        if (audioPath === undefined) return;
+
+        const sound = `${soundType}/${soundName}`;
+        this.layers.forEach(layer => {
+            if (layer.currentSound === sound) {
+                this._stopLayer(layer);
+            }
+        });
+
+        delete this.audioLibrary[soundType][soundName];
+        this.soundInfo.delete(sound);
+        this.bufferCache.delete(audioPath);
+        this.soundLevels.delete(sound);
+    }
+
+    /**
+     * Drop decoded files beyond the cache size that no layer is playing
+     */
+    _pruneBufferCache() {
+        const inUse = new Set();
+        this.layers.forEach(layer => {
+            if (layer.source && layer.source.bufferPath) {
+                inUse.add(layer.source.bufferPath);
+            }
+        });
+
+        for (const audioPath of this.bufferCache.keys()) {
+            if (this.bufferCache.size <= this.config.bufferCacheSize) break;
+            if (!inUse.has(audioPath)) {
+                this.bufferCache.delete(audioPath);
+            }
+        }
+    }
+
+    /**
+     * The seamless loop of a decoded file, between the sound's manifest loop
+     * points if it has them, built once per file
+     */
+    _getLoopBuffer(entry, sound) {
+        if (!entry.loopBuffer) {
+            const loop = this.getSoundInfo(sound)?.loop;
+            const buffer = loop ? this._sliceBuffer(entry.buffer, loop.start, loop.end) : entry.buffer;
+            entry.loopBuffer = this.createLoopBuffer(buffer, this.config.loopCrossfade);
+        }
+        return entry.loopBuffer;
+    }
+
+    /**
+     * Copy the part of a buffer between two times (s), or the whole buffer if
+     * that part is empty
+     */
+    _sliceBuffer(buffer, start, end) {
+        const from = Math.min(Math.round(start * buffer.sampleRate), buffer.length);
+        const to = Math.min(Math.round(end * buffer.sampleRate), buffer.length);
+        if (to - from < 2) return buffer;
+
+        const slice = this.audioContext.createBuffer(buffer.numberOfChannels, to - from, buffer.sampleRate);
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            slice.copyToChannel(buffer.getChannelData(channel).subarray(from, to), channel);
+        }
+        return slice;
+    }
+
+    /**
+     * Build a loop of a buffer whose end blends into its start.
+     * The last `overlap` seconds are crossfaded over the first, so the loop
+     * is that much shorter and has no boundary.
+     */
+    createLoopBuffer(buffer, overlap) {
+        // Never let the seam take more than half the sound
+        const fadeLength = Math.min(Math.floor(overlap * buffer.sampleRate), Math.floor(buffer.length / 2));
+        if (fadeLength < 2) return buffer;
+
+        const length = buffer.length - fadeLength;
+        const loop = this.audioContext.createBuffer(buffer.numberOfChannels, length, buffer.sampleRate);
+
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            const input = buffer.getChannelData(channel);
+            const output = loop.getChannelData(channel);
+            output.set(input.subarray(0, length));
+
+            // Equal-power crossfade keeps the level steady through the seam
+            for (let i = 0; i < fadeLength; i++) {
+                const position = (i / fadeLength) * Math.PI / 2;
+                output[i] = input[i] * Math.sin(position) + input[length + i] * Math.cos(position);
+            }
+        }
+
+        return loop;
+    }
+
+    /**
+     * Report a failed load and start the configured fallback
+     */
+    _failLoad(layer, loadError, soundType, soundName) {
+        // A missing recording is expected (no assets ship with the app), so its recipe just plays
+        if (this._hasRecipeInstead(loadError, soundType, soundName)) {
+            console.log(`No recording for ${soundType}/${soundName}, playing its synthesised version`);
+            this.playProcedural(layer.id, soundType, soundName);
+            return;
+        }
+
+        loadError.layerId = layer.id;
+        loadError.sound = `${soundType}/${soundName}`;
+
+        // A blocked autoplay works on retry, so don't cover it with a substitute
+        if (loadError.reason !== 'autoplay') {
+            loadError.fallback = this.playFallback(layer.id, soundType, soundName);
+        }
+
+        // Without a substitute the previous sound shouldn't carry on in its place
+        if (!loadError.fallback) {
+            this.stopLayer(layer.id);
+        }
+
+        this._reportError(layer, loadError);
+    }
+
+    /**
+     * Whether a load failed only because the file is absent and the sound has a recipe
+     */
+    _hasRecipeInstead(error, soundType, soundName) {
+        return error.reason === 'not-found' && this.proceduralSounds.has(soundType, soundName);
+    }
+
+    /**
+     * Play the configured substitute for a sound that couldn't be loaded.
+     * Returns what is playing instead ('procedural', 'tone') or null for silence.
+     */
+    playFallback(layerId, soundType, soundName) {
+        const { fallback } = this.config;
+
+        if (fallback === 'procedural' && this.proceduralSounds.has(soundType, soundName)) {
+            this.playProcedural(layerId, soundType, soundName);
+            return 'procedural';
+        }
+
+        if (fallback === 'tone') {
+            this.generateTone(layerId, 220); // A3 note
+            return 'tone';
+        }
+
+        return null;
+    }
+
+    /**
+     * Work out why an audio element failed to play
+     */
+    async _diagnoseLoadError(error, audio, audioPath) {
+        if (error.name === 'NotAllowedError') {
+            return new AudioLoadError('autoplay');
+        }
+
+        const mediaError = audio.error;
+        if (mediaError && mediaError.code === mediaError.MEDIA_ERR_DECODE) {
+            return new AudioLoadError('decode');
+        }
+        if (mediaError && mediaError.code === mediaError.MEDIA_ERR_NETWORK) {
+            return new AudioLoadError('network');
+        }
+
+        // Media elements don't expose the HTTP status, so ask the server directly
+        try {
+            const response = await this._fetchAudio(audioPath, { method: 'HEAD' });
+
+            // The file is there, so the browser couldn't play its contents
+            return new AudioLoadError('decode', { status: response.status });
+        } catch (fetchError) {
+            return fetchError;
+        }
+    }
+
+    /**
+     * Fetch a sound file, turning failures into AudioLoadErrors
+     */
+    async _fetchAudio(audioPath, options = {}) {
+        let response;
+        try {
+            response = await fetch(audioPath, options);
+        } catch (error) {
+            // fetch() only rejects outright when the request is blocked or the network is down
+            throw new AudioLoadError(navigator.onLine === false ? 'network' : 'cors');
+        }
+
+        if (response.status === 404) {
+            throw new AudioLoadError('not-found', { status: 404 });
+        }
+        if (!response.ok) {
+            throw new AudioLoadError('http', { status: response.status });
+        }
+
+        return response;
+    }
+
+    /**
+     * Record a load failure on the layer and notify the app
+     */
+    _reportError(layer, error) {
+        layer.error = error;
+        console.warn(`Audio error on ${error.layerId} (${error.sound}): ${error.message}`);
+
+        this._emit('error', error);
+    }
+
+    /**
+     * A playing sound on a layer, with its own gain stage so an outgoing sound
+     * can fade out while the next one fades in. Holds whichever of `node`
+     * (buffer, oscillator or media element source), `audioElement` and
+     * procedural `voice` the sound uses.
+     */
+    _createSource(layer, sound) {
+        const gain = this.audioContext.createGain();
+        gain.gain.value = 0;
+        gain.connect(layer.gainNode);
+
+        // Sounds connect to `trim`, which levels them when normalisation is on
+        const trim = this.audioContext.createGain();
+        trim.connect(gain);
+
+        return {
+            sound, trim, gain,
+            node: null, audioElement: null, voice: null, bufferPath: null, buffer: null,
+            meter: null, measureTimer: null
+        };
+    }
+
+    /**
+     * Make a started source the layer's current sound, crossfading from the previous one
+     */
+    _startSource(layer, source) {
+        const previous = layer.source;
+        const fadeTime = this._fadeTime();
+
+        if (previous) {
+            this._releaseSource(previous, fadeTime);
+        }
+
+        this._normalizeSource(source);
+
+        if (fadeTime > 0) {
+            const curve = this._equalPowerCurve(0, 1);
+            source.gain.gain.setValueCurveAtTime(curve, this.audioContext.currentTime, fadeTime);
+        } else {
+            source.gain.gain.value = 1;
+        }
+
+        layer.source = source;
+        layer.currentSound = source.sound;
+        layer.isPlaying = true;
+        this._emit('layerstarted', { layerId: layer.id, sound: layer.currentSound });
+    }
+
+    /**
+     * Fade a source out on its own gain stage, then stop and disconnect it.
+     * Only touches this source, so it can't cut off whatever replaced it.
+     */
+    _releaseSource(source, fadeTime) {
+        this._stopMeasuring(source);
+
+        const gain = source.gain.gain;
+        const currentTime = this.audioContext.currentTime;
+        let endTime = currentTime;
+
+        if (fadeTime > 0) {
+            // Start just after the hold so the curve doesn't overlap it
+            this._holdParam(gain, currentTime);
+            const startTime = currentTime + 0.01;
+            gain.setValueCurveAtTime(this._equalPowerCurve(gain.value, 0), startTime, fadeTime);
+            endTime = startTime + fadeTime;
+        } else {
+            gain.value = 0;
+        }
+
+        // Scheduled sources stop on the audio clock
+        if (source.node && source.node.stop) {
+            try {
+                source.node.stop(endTime);
+            } catch (e) {
+                // Already stopped
+            }
+        }
+        if (source.voice) {
+            source.voice.stop(endTime);
+        }
+
+        const release = () => {
+            if (source.audioElement) {
+                source.audioElement.pause();
+                source.audioElement.currentTime = 0;
+            }
+            if (source.node) {
+                source.node.disconnect();
+            }
+            source.trim.disconnect();
+            source.gain.disconnect();
+        };
+
+        if (endTime > currentTime) {
+            setTimeout(release, (endTime - currentTime) * 1000);
+        } else {
+            release();
+        }
+    }
+
+    /**
+     * Set a source's trim gain so it plays at the normalisation target, measuring
+     * it first if its level isn't known yet. Resets the trim when normalisation is off.
+     */
+    _normalizeSource(source) {
+        const trim = source.trim.gain;
+        const key = this._levelKey(source);
+        const soundGain = this._soundGain(source.sound);
+
+        if (!this.config.normalize) {
+            this._stopMeasuring(source);
+            trim.setTargetAtTime(soundGain, this.audioContext.currentTime, 0.1);
+            return;
+        }
+
+        // Decoded files and noise can be measured straight away
+        if (!this.soundLevels.has(key) && source.buffer) {
+            this.soundLevels.set(key, LoudnessMeter.measureBuffer(source.buffer));
+        }
+
+        if (this.soundLevels.has(key)) {
+            trim.setTargetAtTime(this._normalizeGain(this.soundLevels.get(key)) * soundGain, this.audioContext.currentTime, 0.1);
+        } else if (!source.meter) {
+            this._measureSource(source, key);
+        }
+    }
+
+    /**
+     * Listen to a streamed or synthesised sound for a few seconds, then level it
+     */
+    _measureSource(source, key) {
+        const interval = 500;
+        const readings = Math.max(1, Math.round(this.config.normalizeMeasureTime * 1000 / interval));
+        let meanSquare = 0;
+        let count = 0;
+
+        // Measured before the trim, which stays at unity until the level is known
+        source.trim.gain.value = 1;
+        source.meter = new LoudnessMeter(this.audioContext, source.trim, { weighted: false, window: interval / 1000 });
+
+        source.measureTimer = setInterval(() => {
+            meanSquare += Math.pow(10, source.meter.read().loudness / 10);
+            if (++count < readings) return;
+
+            this._stopMeasuring(source);
+
+            const level = 10 * Math.log10(meanSquare / count);
+            if (level <= LoudnessMeter.FLOOR) return;
+
+            this.soundLevels.set(key, level);
+            if (this.config.normalize) {
+                // Ease into the new level so the correction isn't heard as a jump
+                source.trim.gain.setTargetAtTime(this._normalizeGain(level) * this._soundGain(source.sound), this.audioContext.currentTime, 0.5);
+            }
+        }, interval);
+    }
+
+    _stopMeasuring(source) {
+        clearInterval(source.measureTimer);
+        source.measureTimer = null;
 
-        return layer;
+        if (source.meter) {
+            source.meter.disconnect();
+            source.meter = null;
+        }
     }
 
     /**
-     * Load and play audio for a specific layer
+     * The manifest's default gain for a sound, as a gain factor
      */
-    async loadAndPlayAudio(layerId, soundType, soundName) {
-        await this.resume();
+    _soundGain(sound) {
+        const info = this.getSoundInfo(sound);
+        return info && info.gain ? LoudnessMeter.toGain(info.gain) : 1;
+    }
 
-        const layer = this.layers.get(layerId);
-        if (!layer) {
-            throw new Error(`Layer ${layerId} not found`);
-        }
+    /**
+     * Trim gain that brings a sound at `level` dBFS to the normalisation target
+     */
+    _normalizeGain(level) {
+        // Nothing to go on for a silent sound
+        if (level <= LoudnessMeter.FLOOR) return 1;
 
-        // Stop current audio if playing
-        this.stopLayer(layerId);
+        const max = this.config.maxNormalizeGain;
+        const correction = Math.min(Math.max(this.config.normalizeTarget - level, -max), max);
+        return LoudnessMeter.toGain(correction);
+    }
 
-        // Check if this is a generated noise
-        if (soundType === 'noise' && ['white', 'pink', 'brown'].includes(soundName)) {
-            await this.generateAndPlayNoise(layerId, soundName);
-            return;
-        }
+    /**
+     * Synthesised stand-ins are measured separately from the files they replace
+     */
+    _levelKey(source) {
+        return source.voice ? `procedural:${source.sound}` : source.sound;
+    }
 
-        // Get audio file path
-        const audioPath = this.audioLibrary[soundType]?.[soundName];
-        if (!audioPath) {
-            console.error(`Audio not found: ${soundType}/${soundName}`);
-            // Generate a simple tone as fallback
-            this.generateTone(layerId, 220); // A3 note
-            return;
+    /**
+     * Gain curve from one level to another where the outgoing and incoming
+     * curves sum to constant power (sine/cosine quarter waves)
+     */
+    _equalPowerCurve(from, to) {
+        const curve = new Float32Array(64);
+        for (let i = 0; i < curve.length; i++) {
+            const position = (i / (curve.length - 1)) * Math.PI / 2;
+            curve[i] = to > from
+                ? from + (to - from) * Math.sin(position)
+                : to + (from - to) * Math.cos(position);
         }
+        return curve;
+    }
 
-        try {
-            // Create audio element
-            const audio = new Audio(audioPath);
-            audio.loop = this.config.loopLayers;
-            audio.crossOrigin = 'anonymous';
-
-            // Create media element source
-            const source = this.audioContext.createMediaElementSource(audio);
-            source.connect(layer.gainNode);
+    _fadeTime() {
+        return this.config.enableCrossfade ? this.config.fadeDuration : 0;
+    }
 
-            layer.audioElement = audio;
-            layer.sourceNode = source;
-            layer.currentSound = `${soundType}/${soundName}`;
+    /**
+     * Whether a load started with loadId is still wanted
+     */
+    _isCurrentLoad(layer, loadId) {
+        return layer.loadId === loadId && this.layers.get(layer.id) === layer;
+    }
 
-            // Apply fade in if crossfade is enabled
-            if (this.config.enableCrossfade) {
-                this.fadeIn(layerId);
-            }
+    /**
+     * Synthesise a library sound on a layer
+     */
+    playProcedural(layerId, soundType, soundName) {
+        const layer = this.layers.get(layerId);
+        if (!layer) return;
 
-            await audio.play();
-            layer.isPlaying = true;
+        const source = this._createSource(layer, `${soundType}/${soundName}`);
+        source.voice = this.proceduralSounds.create(soundType, soundName, this.audioContext, source.trim);
 
-            console.log(`Playing audio: ${layer.currentSound} on layer ${layerId}`);
-        } catch (error) {
-            console.error(`Error loading audio for ${layerId}:`, error);
-            // Fallback to tone generation
-            this.generateTone(layerId, 220);
-        }
+        source.voice.start();
+        this._startSource(layer, source);
+        console.log(`Playing procedural ${layer.currentSound} on layer ${layerId}`);
     }
 
     /**
@@ -195,39 +1000,51 @@ class AudioEngine {
         const layer = this.layers.get(layerId);
         if (!layer) return;
 
-        // Generate noise buffer if not already generated
-        if (!this.noiseGenerators.has(noiseType)) {
-            const buffer = this.createNoiseBuffer(noiseType);
-            this.noiseGenerators.set(noiseType, buffer);
-        }
+        // Create buffer source
+        const source = this._createSource(layer, `noise/${noiseType}`);
+        source.buffer = this.getNoiseBuffer(noiseType);
+        source.node = this.audioContext.createBufferSource();
+        source.node.buffer = source.buffer;
+        source.node.loop = true;
+        source.node.connect(source.trim);
+
+        source.node.start(0);
+        this._startSource(layer, source);
+        console.log(`Playing ${noiseType} noise on layer ${layerId}`);
+    }
+
+    /**
+     * Play binaural beats or isochronic tones with the layer's brainwave settings
+     */
+    playBrainwave(layerId, mode) {
+        const layer = this.layers.get(layerId);
+        if (!layer) return;
 
-        const noiseBuffer = this.noiseGenerators.get(noiseType);
+        const source = this._createSource(layer, `brainwave/${mode}`);
+        source.voice = new BrainwaveTones(this.audioContext, source.trim, mode, layer.brainwave);
 
-        // Create buffer source
-        const source = this.audioContext.createBufferSource();
-        source.buffer = noiseBuffer;
-        source.loop = true;
-        source.connect(layer.gainNode);
-
-        layer.noiseSource = source;
-        layer.sourceNode = source;
-        layer.currentSound = `noise/${noiseType}`;
-        layer.isPlaying = true;
+        source.voice.start();
+        this._startSource(layer, source);
+        console.log(`Playing ${mode} tones at ${layer.brainwave.beat} Hz on layer ${layerId}`);
+    }
 
-        // Apply fade in
-        if (this.config.enableCrossfade) {
-            this.fadeIn(layerId);
+    /**
+     * Get a noise buffer, generating it on first use
+     */
+    getNoiseBuffer(noiseType) {
+        if (!this.noiseGenerators.has(noiseType)) {
+            this.noiseGenerators.set(noiseType, this.createNoiseBuffer(noiseType));
         }
 
-        source.start(0);
-        console.log(`Playing ${noiseType} noise on layer ${layerId}`);
+        return this.noiseGenerators.get(noiseType);
     }
 
     /**
      * Create noise buffer (white, pink, or brown)
      */
     createNoiseBuffer(noiseType) {
-        const bufferSize = this.audioContext.sampleRate * 2; // 2 seconds
+        // Generate a little extra to crossfade into a seamless loop
+        const bufferSize = Math.floor(this.audioContext.sampleRate * (this.config.noiseLength + this.config.loopCrossfade));
         const buffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
         const data = buffer.getChannelData(0);
 
@@ -261,7 +1078,7 @@ class AudioEngine {
             }
         }
 
-        return buffer;
+        return this.createLoopBuffer(buffer, this.config.loopCrossfade);
     }
 
     /**
@@ -271,19 +1088,57 @@ class AudioEngine {
         const layer = this.layers.get(layerId);
         if (!layer) return;
 
-        const oscillator = this.audioContext.createOscillator();
-        oscillator.type = 'sine';
-        oscillator.frequency.value = frequency;
-        oscillator.connect(layer.gainNode);
+        const source = this._createSource(layer, `tone/${frequency}Hz`);
+        source.node = this.audioContext.createOscillator();
+        source.node.type = 'sine';
+        source.node.frequency.value = frequency;
+        source.node.connect(source.trim);
 
-        layer.sourceNode = oscillator;
-        layer.currentSound = `tone/${frequency}Hz`;
-        layer.isPlaying = true;
-
-        oscillator.start();
+        source.node.start();
+        this._startSource(layer, source);
         console.log(`Playing fallback tone: ${frequency}Hz on layer ${layerId}`);
     }
 
+    /**
+     * Play a soft synthesised chime straight to the output
+     */
+    playChime(frequency = 660, volume = 0.25) {
+        if (!this.isInitialized) return;
+
+        const now = this.audioContext.currentTime;
+        const output = this.audioContext.createGain();
+        output.gain.value = volume;
+        output.connect(this.audioContext.destination);
+
+        // Inharmonic partials give a bell-like tone
+        const partials = [
+            { ratio: 1, gain: 1, decay: 2.5 },
+            { ratio: 2.76, gain: 0.4, decay: 1.2 },
+            { ratio: 5.4, gain: 0.15, decay: 0.6 }
+        ];
+
+        partials.forEach(({ ratio, gain, decay }, index) => {
+            const oscillator = this.audioContext.createOscillator();
+            oscillator.type = 'sine';
+            oscillator.frequency.value = frequency * ratio;
+
+            const envelope = this.audioContext.createGain();
+            envelope.gain.setValueAtTime(0, now);
+            envelope.gain.linearRampToValueAtTime(gain, now + 0.01);
+            envelope.gain.exponentialRampToValueAtTime(0.0001, now + decay);
+
+            oscillator.connect(envelope);
+            envelope.connect(output);
+            oscillator.start(now);
+            oscillator.stop(now + decay);
+
+            // The first partial rings longest; release the chime when it ends
+            if (index === 0) {
+                oscillator.onended = () => output.disconnect();
+            }
+        });
+    }
+
     /**
      * Stop a specific layer
      */
@@ -291,121 +1146,233 @@ class AudioEngine {
         const layer = this.layers.get(layerId);
         if (!layer) return;
 
-        // Apply fade out if crossfade is enabled
-        if (this.config.enableCrossfade && layer.isPlaying) {
-            this.fadeOut(layerId, () => {
-                this._stopLayerImmediately(layerId);
-            });
-        } else {
-            this._stopLayerImmediately(layerId);
-        }
+        this._stopLayer(layer);
     }
 
     /**
-     * Immediately stop layer without fade
+     * Stop a layer right away; its sound fades out on its own if crossfade is enabled
      */
-    _stopLayerImmediately(layerId) {
-        const layer = this.layers.get(layerId);
-        if (!layer) return;
-
-        if (layer.audioElement) {
-            layer.audioElement.pause();
-            layer.audioElement.currentTime = 0;
-            layer.audioElement = null;
-        }
+    _stopLayer(layer) {
+        // Any load still in flight is now stale
+        layer.loadId++;
 
-        if (layer.noiseSource) {
-            try {
-                layer.noiseSource.stop();
-            } catch (e) {
-                // Already stopped
-            }
-            layer.noiseSource = null;
-        }
+        if (!layer.source) return;
 
-        if (layer.sourceNode && layer.sourceNode.stop) {
-            try {
-                layer.sourceNode.stop();
-            } catch (e) {
-                // Already stopped
-            }
-        }
+        const sound = layer.currentSound;
+        this._releaseSource(layer.source, this._fadeTime());
 
-        layer.sourceNode = null;
+        layer.source = null;
         layer.currentSound = null;
         layer.isPlaying = false;
 
-        console.log(`Stopped layer: ${layerId}`);
+        console.log(`Stopped layer: ${layer.id}`);
+        this._emit('layerstopped', { layerId: layer.id, sound });
+    }
+
+    /**
+     * Set layer volume
+     */
+    setLayerVolume(layerId, volume) {
+        const layer = this.layers.get(layerId);
+        if (!layer) return;
+
+        layer.volume = volume;
+        this._emit('volumechange', { layerId, volume });
+
+        if (layer.isPlaying) {
+            const currentTime = this.audioContext.currentTime;
+            layer.gainNode.gain.cancelScheduledValues(currentTime);
+            layer.gainNode.gain.setValueAtTime(layer.gainNode.gain.value, currentTime);
+            layer.gainNode.gain.linearRampToValueAtTime(volume, currentTime + 0.05);
+        } else {
+            layer.gainNode.gain.value = volume;
+        }
     }
 
     /**
-     * Fade in effect
+     * Ramp a layer's volume linearly through { time, volume } points on the audio
+     * clock. Replaces any earlier automation unless cancel is false. A volume
+     * change from the mixer takes over again (see setLayerVolume).
      */
-    fadeIn(layerId) {
+    automateLayerVolume(layerId, points, { cancel = true } = {}) {
         const layer = this.layers.get(layerId);
         if (!layer) return;
 
+        const gain = layer.gainNode.gain;
         const currentTime = this.audioContext.currentTime;
-        const targetVolume = layer.volume;
+        if (cancel) {
+            this._holdParam(gain, currentTime);
+        }
 
-        layer.gainNode.gain.cancelScheduledValues(currentTime);
-        layer.gainNode.gain.setValueAtTime(0, currentTime);
-        layer.gainNode.gain.linearRampToValueAtTime(
-            targetVolume,
-            currentTime + this.config.fadeDuration
-        );
+        points.forEach(({ time, volume }) => {
+            gain.linearRampToValueAtTime(volume, Math.max(time, currentTime));
+        });
     }
 
     /**
-     * Fade out effect
+     * Drop a layer's volume automation and return to its mixer volume
      */
-    fadeOut(layerId, callback) {
+    cancelLayerAutomation(layerId, rampTime = 0.05) {
         const layer = this.layers.get(layerId);
         if (!layer) return;
 
+        const gain = layer.gainNode.gain;
         const currentTime = this.audioContext.currentTime;
+        this._holdParam(gain, currentTime);
+        gain.linearRampToValueAtTime(layer.volume, currentTime + rampTime);
+    }
 
-        layer.gainNode.gain.cancelScheduledValues(currentTime);
-        layer.gainNode.gain.setValueAtTime(layer.gainNode.gain.value, currentTime);
-        layer.gainNode.gain.linearRampToValueAtTime(
-            0,
-            currentTime + this.config.fadeDuration
-        );
+    /**
+     * Glide a layer's volume, pan and/or filter cutoff towards new values over
+     * rampTime seconds, leaving its mixer volume and effect settings as they are
+     */
+    driftLayer(layerId, { volume, pan, cutoff }, rampTime) {
+        const layer = this.layers.get(layerId);
+        if (!layer) return;
 
-        if (callback) {
-            setTimeout(callback, this.config.fadeDuration * 1000);
+        if (volume !== undefined) {
+            const gain = layer.gainNode.gain;
+            const currentTime = this.audioContext.currentTime;
+            this._holdParam(gain, currentTime);
+            gain.linearRampToValueAtTime(volume, currentTime + rampTime);
         }
+
+        layer.effects.modulate({ pan, cutoff }, rampTime);
     }
 
     /**
-     * Set layer volume
+     * Bring a drifting layer back to its effect settings and, unless told not to
+     * (e.g. it follows a timeline), its mixer volume
      */
-    setLayerVolume(layerId, volume) {
+    resetLayerDrift(layerId, rampTime = 1, { volume = true } = {}) {
         const layer = this.layers.get(layerId);
         if (!layer) return;
 
-        layer.volume = volume;
+        if (volume) {
+            this.cancelLayerAutomation(layerId, rampTime);
+        }
+        layer.effects.set({}, rampTime);
+    }
 
-        if (layer.isPlaying) {
-            const currentTime = this.audioContext.currentTime;
-            layer.gainNode.gain.cancelScheduledValues(currentTime);
-            layer.gainNode.gain.setValueAtTime(layer.gainNode.gain.value, currentTime);
-            layer.gainNode.gain.linearRampToValueAtTime(volume, currentTime + 0.05);
-        } else {
-            layer.gainNode.gain.value = volume;
+    /**
+     * Change some or all of a layer's effect settings (see LayerEffects.DEFAULTS)
+     */
+    setLayerEffects(layerId, effects) {
+        const layer = this.layers.get(layerId);
+        if (!layer) return;
+
+        const settings = layer.effects.set(effects);
+        this._emit('effectschange', { layerId, effects: settings });
+    }
+
+    /**
+     * Change some or all of a layer's brainwave settings (see BrainwaveTones.DEFAULTS);
+     * a brainwave tone that is playing glides to them
+     */
+    setLayerBrainwave(layerId, settings) {
+        const layer = this.layers.get(layerId);
+        if (!layer) return;
+
+        layer.brainwave = BrainwaveTones.normalize({ ...layer.brainwave, ...settings });
+        if (layer.source && layer.source.voice instanceof BrainwaveTones) {
+            layer.source.voice.set(layer.brainwave);
+        }
+    }
+
+    /**
+     * Get the shared reverb for a space, creating it on first use
+     */
+    getReverb(space) {
+        if (!this.reverbs.has(space)) {
+            this.reverbs.set(space, LayerEffects.createReverb(this.audioContext, space, this.masterGain));
         }
+        return this.reverbs.get(space);
     }
 
     /**
      * Set master volume
      */
-    setMasterVolume(volume) {
+    setMasterVolume(volume, rampTime = 0.05) {
         if (!this.masterGain) return;
 
         const currentTime = this.audioContext.currentTime;
         this.masterGain.gain.cancelScheduledValues(currentTime);
         this.masterGain.gain.setValueAtTime(this.masterGain.gain.value, currentTime);
-        this.masterGain.gain.linearRampToValueAtTime(volume, currentTime + 0.05);
+        this.masterGain.gain.linearRampToValueAtTime(volume, currentTime + rampTime);
+
+        this._emit('volumechange', { layerId: null, volume });
+    }
+
+    /**
+     * Fade the whole output to silence over a long period, starting after a delay.
+     * Runs on its own gain stage so master volume changes don't interrupt it.
+     */
+    fadeOutMaster(duration, delay = 0) {
+        if (!this.masterFadeGain) return;
+
+        const gain = this.masterFadeGain.gain;
+        const currentTime = this.audioContext.currentTime;
+        this._holdParam(gain, currentTime);
+
+        // Squared curve sounds more even than a linear gain ramp
+        const from = gain.value;
+        const curve = new Float32Array(256);
+        for (let i = 0; i < curve.length; i++) {
+            curve[i] = from * Math.pow(1 - i / (curve.length - 1), 2);
+        }
+
+        gain.setValueCurveAtTime(curve, currentTime + Math.max(delay, 0.02), duration);
+    }
+
+    /**
+     * Cancel a long master fade and bring the output back up
+     */
+    cancelMasterFade(rampTime = 1) {
+        if (!this.masterFadeGain) return;
+
+        const gain = this.masterFadeGain.gain;
+        const currentTime = this.audioContext.currentTime;
+        this._holdParam(gain, currentTime);
+        gain.linearRampToValueAtTime(1, currentTime + Math.max(rampTime, 0.01));
+    }
+
+    /**
+     * Glide the output level set by video sync (1 = unchanged) with time constant tau
+     */
+    setSyncLevel(level, tau = 0.1) {
+        if (!this.syncGain) return;
+
+        const gain = this.syncGain.gain;
+        const currentTime = this.audioContext.currentTime;
+        gain.cancelScheduledValues(currentTime);
+        gain.setTargetAtTime(Math.min(Math.max(level, 0), 1), currentTime, tau);
+    }
+
+    /**
+     * Glide the speech ducking level of a layer, or of the whole mix when layerId
+     * is null (1 = not ducked), with time constant tau
+     */
+    setDuckLevel(layerId, level, tau = 0.05) {
+        const node = layerId === null ? this.duckGain : this.layers.get(layerId)?.duckGain;
+        if (!node) return;
+
+        const gain = node.gain;
+        const currentTime = this.audioContext.currentTime;
+        gain.cancelScheduledValues(currentTime);
+        gain.setTargetAtTime(Math.min(Math.max(level, 0), 1), currentTime, tau);
+    }
+
+    /**
+     * Freeze an AudioParam at its current value, dropping later automation
+     */
+    _holdParam(param, time) {
+        if (param.cancelAndHoldAtTime) {
+            param.cancelAndHoldAtTime(time);
+        } else {
+            const value = param.value;
+            param.cancelScheduledValues(time);
+            param.setValueAtTime(value, time);
+        }
     }
 
     /**
@@ -426,11 +1393,8 @@ class AudioEngine {
      * Stop all layers
      */
     stopAll() {
-        this.layers.forEach((layer, layerId) => {
-            if (layer.isPlaying) {
-                this.stopLayer(layerId);
-            }
-        });
+        // Also cancels layers that are still loading
+        this.layers.forEach(layer => this._stopLayer(layer));
     }
 
     /**
@@ -456,8 +1420,198 @@ class AudioEngine {
             id: layer.id,
             isPlaying: layer.isPlaying,
             currentSound: layer.currentSound,
-            volume: layer.volume
+            volume: layer.volume,
+            effects: { ...layer.effects.settings },
+            brainwave: { ...layer.brainwave },
+            error: layer.error
+        };
+    }
+
+    /**
+     * Render a layer list to an AudioBuffer in an OfflineAudioContext, rebuilding
+     * the live graph: the same noise and decoded buffers, fallbacks, effects,
+     * normalisation, limiter and layer fade-ins, plus a fade in/out of the whole mix.
+     * Resolves with { buffer, warnings }.
+     */
+    async renderOffline(layers, { duration, masterVolume = 1, fadeIn = 0, fadeOut = 0, onProgress = null }) {
+        if (!this.isInitialized) {
+            throw new Error('Audio engine not initialized');
+        }
+
+        // Match the live rate so buffers render sample for sample
+        const sampleRate = this.audioContext.sampleRate;
+        const context = new OfflineAudioContext(2, Math.ceil(duration * sampleRate), sampleRate);
+        const warnings = [];
+
+        // Master chain mirrors initialize(): master gain -> limiter -> fade -> output
+        const master = context.createGain();
+        master.gain.value = masterVolume;
+
+        const fade = context.createGain();
+        fade.connect(context.destination);
+        this._scheduleRenderFades(fade.gain, duration, fadeIn, fadeOut);
+
+        if (this.config.limiter) {
+            const limiter = this.createLimiter(context);
+            const limiterTrim = context.createGain();
+            limiterTrim.gain.value = this._limiterMakeupCompensation(limiter);
+            master.connect(limiter);
+            limiter.connect(limiterTrim);
+            limiterTrim.connect(fade);
+        } else {
+            master.connect(fade);
+        }
+
+        const reverbs = new Map();
+        const getReverb = (space) => {
+            if (!reverbs.has(space)) {
+                reverbs.set(space, LayerEffects.createReverb(context, space, master));
+            }
+            return reverbs.get(space);
+        };
+
+        for (const layer of layers) {
+            if (layer.sound) {
+                await this._renderLayer(context, layer, master, getReverb, duration, warnings);
+            }
+        }
+
+        // OfflineAudioContext has no progress events, so pause every few seconds to report
+        if (onProgress) {
+            const step = Math.max(1, Math.ceil(duration / 100));
+            for (let time = step; time < duration; time += step) {
+                context.suspend(time).then(() => {
+                    onProgress(time / duration);
+                    context.resume();
+                });
+            }
+        }
+
+        const buffer = await context.startRendering();
+        if (onProgress) onProgress(1);
+
+        return { buffer, warnings };
+    }
+
+    /**
+     * Rebuild one layer (source -> source gain -> gain -> effects -> master) offline
+     */
+    async _renderLayer(context, layer, destination, getReverb, duration, warnings) {
+        const gainNode = context.createGain();
+        gainNode.gain.value = layer.volume;
+
+        const effects = new LayerEffects(context, getReverb);
+        effects.set(layer.effects || {}, 0);
+        gainNode.connect(effects.input);
+        effects.output.connect(destination);
+
+        // Fades in exactly as a sound starting live would
+        const sourceGain = context.createGain();
+        const fadeTime = this._fadeTime();
+        if (fadeTime > 0) {
+            sourceGain.gain.setValueCurveAtTime(this._equalPowerCurve(0, 1), 0, fadeTime);
+        }
+        sourceGain.connect(gainNode);
+
+        const trim = context.createGain();
+        trim.connect(sourceGain);
+
+        const source = await this._renderSound(context, layer.sound, trim, duration, warnings, layer.brainwave);
+        trim.gain.value = this._soundGain(layer.sound);
+        if (source && this.config.normalize) {
+            const key = this._levelKey(source);
+            if (!this.soundLevels.has(key) && source.buffer) {
+                this.soundLevels.set(key, LoudnessMeter.measureBuffer(source.buffer));
+            }
+            if (this.soundLevels.has(key)) {
+                trim.gain.value *= this._normalizeGain(this.soundLevels.get(key));
+            }
+        }
+    }
+
+    /**
+     * Start a sound at time 0 of an offline render, falling back like a live layer.
+     * Returns a minimal source description ({ sound, buffer, voice }) or null for silence.
+     */
+    async _renderSound(context, sound, destination, duration, warnings, brainwave = null) {
+        const [soundType, soundName] = sound.split('/');
+        const source = { sound, buffer: null, voice: null };
+
+        const playBuffer = (buffer, loop) => {
+            const node = context.createBufferSource();
+            node.buffer = buffer;
+            node.loop = loop;
+            node.connect(destination);
+            node.start(0);
         };
+
+        if (soundType === 'noise' && ['white', 'pink', 'brown'].includes(soundName)) {
+            source.buffer = this.getNoiseBuffer(soundName);
+            playBuffer(source.buffer, true);
+            return source;
+        }
+
+        if (soundType === 'brainwave' && BrainwaveTones.MODES.includes(soundName)) {
+            source.voice = new BrainwaveTones(context, destination, soundName, brainwave);
+            source.voice.start(0);
+            return source;
+        }
+
+        const audioPath = this.audioLibrary[soundType]?.[soundName];
+        try {
+            if (!audioPath) {
+                throw new AudioLoadError('not-found', { sound });
+            }
+
+            const entry = await this.loadBuffer(audioPath);
+            source.buffer = entry.buffer;
+            if (this.config.loopLayers) {
+                playBuffer(this._getLoopBuffer(entry, sound), true);
+            } else {
+                playBuffer(entry.buffer, false);
+            }
+            return source;
+        } catch (error) {
+            const { fallback } = this.config;
+            const missing = this._hasRecipeInstead(error, soundType, soundName);
+
+            if (missing || (fallback === 'procedural' && this.proceduralSounds.has(soundType, soundName))) {
+                source.voice = this.proceduralSounds.create(soundType, soundName, context, destination);
+                source.voice.start(0, duration);
+                if (!missing) {
+                    warnings.push(`${sound}: ${error.message}, rendered a synthesised version instead`);
+                }
+                return source;
+            }
+
+            if (fallback === 'tone') {
+                const oscillator = context.createOscillator();
+                oscillator.frequency.value = 220;
+                oscillator.connect(destination);
+                oscillator.start(0);
+                warnings.push(`${sound}: ${error.message}, rendered a placeholder tone instead`);
+                return { sound: 'tone/220Hz', buffer: null, voice: null };
+            }
+
+            warnings.push(`${sound}: ${error.message}, left silent`);
+            return null;
+        }
+    }
+
+    /**
+     * Equal-power fade in at the start of a render and out at the end
+     */
+    _scheduleRenderFades(param, duration, fadeIn, fadeOut) {
+        // Keep the two curves from overlapping on short renders
+        fadeIn = Math.min(fadeIn, duration * 0.45);
+        fadeOut = Math.min(fadeOut, duration * 0.45);
+
+        if (fadeIn > 0) {
+            param.setValueCurveAtTime(this._equalPowerCurve(0, 1), 0, fadeIn);
+        }
+        if (fadeOut > 0) {
+            param.setValueCurveAtTime(this._equalPowerCurve(1, 0), duration - fadeOut, fadeOut);
+        }
     }
 
     /**
@@ -476,12 +1630,28 @@ class AudioEngine {
      */
     updateConfig(config) {
         this.config = { ...this.config, ...config };
+        this._emit('configchange', { config: { ...this.config }, changes: config });
+
+        if (config.limiter !== undefined && this.isInitialized) {
+            this._connectMasterChain();
+        }
+
+        if (config.normalize !== undefined || config.normalizeTarget !== undefined) {
+            this.layers.forEach(({ source }) => {
+                if (source) this._normalizeSource(source);
+            });
+        }
 
-        // Update looping for all audio elements
+        // Update looping for all audio elements and decoded files
         if (config.loopLayers !== undefined) {
-            this.layers.forEach(layer => {
-                if (layer.audioElement) {
-                    layer.audioElement.loop = config.loopLayers;
+            this.layers.forEach(({ source }) => {
+                if (!source) return;
+
+                if (source.audioElement) {
+                    source.audioElement.loop = config.loopLayers;
+                }
+                if (source.bufferPath) {
+                    source.node.loop = config.loopLayers;
                 }
             });
         }
@@ -499,11 +1669,30 @@ class AudioEngine {
 
         this.layers.clear();
         this.noiseGenerators.clear();
+        this.bufferCache.clear();
+        this.reverbs.clear();
+        this.soundLevels.clear();
         this.isInitialized = false;
 
         console.log('Audio engine disposed');
     }
 }
 
+// Sounds the engine synthesises itself rather than loading from a file
+AudioEngine.GENERATED_SOUNDS = ['noise/white', 'noise/pink', 'noise/brown', 'brainwave/binaural', 'brainwave/isochronic'];
+
+/**
+ * Events passed to AudioEngine#on:
+ *   layerstarted       { layerId, sound }   a layer's source is audible (after load)
+ *   layerstopped       { layerId, sound }   a layer stopped; its sound fades out afterwards
+ *   volumechange       { layerId, volume }  layerId is null for the master volume
+ *   effectschange      { layerId, effects } a layer's effect settings changed
+ *   error              AudioLoadError       a layer's sound failed to load or play
+ *   contextstatechange { state }            AudioContext created, suspended, resumed or closed
+ *   configchange       { config, changes }  engine settings were updated
+ */
+AudioEngine.EVENTS = ['layerstarted', 'layerstopped', 'volumechange', 'effectschange', 'error', 'contextstatechange', 'configchange'];
+
 // Export for use in main app
 window.AudioEngine = AudioEngine;
+window.AudioLoadError = AudioLoadError;
@@ -0,0 +1,196 @@
+/**
+ * Brainwave Tones
+ * Steady tones for brainwave entrainment. Binaural beats play a slightly
+ * different carrier in each ear (merged into separate channels, so they need
+ * headphones); isochronic tones switch one carrier on and off at the beat rate.
+ *
+ * Settings: { carrier: Hz, beat: Hz, waveform: 'sine' | 'triangle' | 'square' | 'sawtooth' }
+ */
+
+class BrainwaveTones {
+    constructor(context, destination, mode, settings) {
+        this.context = context;
+        this.mode = BrainwaveTones.MODES.includes(mode) ? mode : 'binaural';
+        this.settings = BrainwaveTones.normalize(settings);
+        this.oscillators = [];
+
+        this.output = context.createGain();
+        this.output.gain.value = BrainwaveTones.LEVELS[this.settings.waveform];
+        this.output.connect(destination);
+
+        if (this.mode === 'binaural') {
+            // Left and right carriers beat against each other in the listener's head
+            this.left = this._oscillator();
+            this.right = this._oscillator();
+            this.merger = context.createChannelMerger(2);
+            this.left.connect(this.merger, 0, 0);
+            this.right.connect(this.merger, 0, 1);
+            this.merger.connect(this.output);
+        } else {
+            // A slow sine through a soft gate opens and closes the carrier
+            this.carrier = this._oscillator();
+            this.pulse = context.createGain();
+            this.pulse.gain.value = 0;
+            this.carrier.connect(this.pulse);
+            this.pulse.connect(this.output);
+
+            this.lfo = context.createOscillator();
+            this.lfo.type = 'sine';
+            this.gate = context.createWaveShaper();
+            this.gate.curve = BrainwaveTones.createGateCurve();
+            this.lfo.connect(this.gate);
+            this.gate.connect(this.pulse.gain);
+            this.oscillators.push(this.lfo);
+        }
+
+        this._setFrequencies(this.context.currentTime, 0);
+    }
+
+    /**
+     * Start the tones (like ProceduralVoice, so the engine treats it as a voice)
+     */
+    start(when = this.context.currentTime) {
+        this.oscillators.forEach(oscillator => oscillator.start(when));
+    }
+
+    /**
+     * Stop the tones, releasing the output once they are silent
+     */
+    stop(when = this.context.currentTime) {
+        this.oscillators.forEach(oscillator => {
+            try {
+                oscillator.stop(when);
+            } catch (e) {
+                // Already stopped
+            }
+        });
+
+        if (when <= this.context.currentTime) {
+            this.output.disconnect();
+        }
+    }
+
+    /**
+     * Glide to new settings; missing keys keep their current value
+     */
+    set(settings, rampTime = 0.5) {
+        this.settings = BrainwaveTones.normalize({ ...this.settings, ...settings });
+        const time = this.context.currentTime;
+
+        this.oscillators.forEach(oscillator => {
+            if (oscillator !== this.lfo) {
+                oscillator.type = this.settings.waveform;
+            }
+        });
+        this.output.gain.setTargetAtTime(BrainwaveTones.LEVELS[this.settings.waveform], time, rampTime / 3);
+        this._setFrequencies(time, rampTime);
+
+        return { ...this.settings };
+    }
+
+    _setFrequencies(time, rampTime) {
+        const { carrier, beat } = this.settings;
+        const glide = (param, value) => {
+            if (rampTime > 0) {
+                param.setTargetAtTime(value, time, rampTime / 3);
+            } else {
+                param.value = value;
+            }
+        };
+
+        if (this.mode === 'binaural') {
+            glide(this.left.frequency, carrier - beat / 2);
+            glide(this.right.frequency, carrier + beat / 2);
+        } else {
+            glide(this.carrier.frequency, carrier);
+            glide(this.lfo.frequency, beat);
+        }
+    }
+
+    _oscillator() {
+        const oscillator = this.context.createOscillator();
+        oscillator.type = this.settings.waveform;
+        this.oscillators.push(oscillator);
+        return oscillator;
+    }
+
+    /**
+     * Fill in defaults and clamp values to their ranges
+     */
+    static normalize(settings = {}) {
+        const values = { ...BrainwaveTones.DEFAULTS, ...settings };
+        const clamp = (value, min, max, fallback) =>
+            Number.isFinite(value) ? Math.min(Math.max(value, min), max) : fallback;
+
+        return {
+            carrier: clamp(values.carrier, BrainwaveTones.MIN_CARRIER, BrainwaveTones.MAX_CARRIER, BrainwaveTones.DEFAULTS.carrier),
+            beat: clamp(values.beat, BrainwaveTones.MIN_BEAT, BrainwaveTones.MAX_BEAT, BrainwaveTones.DEFAULTS.beat),
+            waveform: BrainwaveTones.WAVEFORMS.includes(values.waveform) ? values.waveform : BrainwaveTones.DEFAULTS.waveform
+        };
+    }
+
+    /**
+     * Whether settings are the defaults
+     */
+    static isDefault(settings) {
+        const values = BrainwaveTones.normalize(settings);
+        return Object.keys(BrainwaveTones.DEFAULTS).every(key => values[key] === BrainwaveTones.DEFAULTS[key]);
+    }
+
+    /**
+     * Key of the preset whose beat matches, or null
+     */
+    static findPreset(beat) {
+        return Object.keys(BrainwaveTones.PRESETS).find(key => BrainwaveTones.PRESETS[key].beat === beat) || null;
+    }
+
+    /**
+     * Map a sine (-1 to 1) to a pulse that is on for half of each cycle, with
+     * smooth edges so the carrier doesn't click
+     */
+    static createGateCurve(size = 1024) {
+        const curve = new Float32Array(size);
+        const edge = 0.3;
+
+        for (let i = 0; i < size; i++) {
+            const x = (i / (size - 1)) * 2 - 1;
+            const t = Math.min(Math.max((x + edge) / (2 * edge), 0), 1);
+            curve[i] = t * t * (3 - 2 * t);
+        }
+        return curve;
+    }
+}
+
+BrainwaveTones.MODES = ['binaural', 'isochronic'];
+BrainwaveTones.WAVEFORMS = ['sine', 'triangle', 'square', 'sawtooth'];
+
+BrainwaveTones.DEFAULTS = {
+    carrier: 200,       // Hz
+    beat: 10,           // Hz
+    waveform: 'sine'
+};
+
+BrainwaveTones.MIN_CARRIER = 60;
+BrainwaveTones.MAX_CARRIER = 1000;
+BrainwaveTones.MIN_BEAT = 0.5;
+BrainwaveTones.MAX_BEAT = 50;
+
+// Output level per waveform, so brighter waveforms aren't louder
+BrainwaveTones.LEVELS = {
+    sine: 0.5,
+    triangle: 0.5,
+    square: 0.25,
+    sawtooth: 0.3
+};
+
+// Target beat frequencies for each brainwave band
+BrainwaveTones.PRESETS = {
+    delta: { label: 'Delta', beat: 2, description: 'deep sleep' },
+    theta: { label: 'Theta', beat: 6, description: 'meditation' },
+    alpha: { label: 'Alpha', beat: 10, description: 'relaxed focus' },
+    beta: { label: 'Beta', beat: 18, description: 'alert thinking' },
+    gamma: { label: 'Gamma', beat: 40, description: 'peak concentration' }
+};
+
+// Export for use in audio engine
+window.BrainwaveTones = BrainwaveTones;
@@ -0,0 +1,246 @@
+/**
+ * Command Palette
+ * A search box over the app's actions, presets and sounds. Typing filters the
+ * list with a fuzzy match on labels (letters in order, in runs from the start
+ * of words), so "dp foc" finds "Deep Focus". Each word of the query must match
+ * the item's label, or the start of one of its keywords (such as a sound's tags).
+ *
+ * Item: { label, group, keywords, shortcut, run }
+ */
+
+class CommandPalette {
+    constructor(element) {
+        this.element = element;
+        this.input = element.querySelector('input');
+        this.list = element.querySelector('[role="listbox"]');
+        this.items = [];
+        this.results = [];
+        this.activeIndex = 0;
+        this.returnFocus = null;
+
+        this.input.addEventListener('input', () => this._filter());
+        this.input.addEventListener('keydown', (e) => this._handleKeydown(e));
+        this.list.addEventListener('mousedown', (e) => {
+            // Keep focus in the search box
+            e.preventDefault();
+        });
+        this.list.addEventListener('click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) {
+                this._run(Number(option.dataset.index));
+            }
+        });
+        element.addEventListener('click', (e) => {
+            if (e.target === element) {
+                this.close();
+            }
+        });
+    }
+
+    get isOpen() {
+        return !this.element.classList.contains('hidden');
+    }
+
+    /**
+     * Show the palette with a fresh list of items
+     */
+    open(items) {
+        this.items = items;
+        if (!this.isOpen) {
+            this.returnFocus = document.activeElement;
+        }
+
+        this.element.classList.remove('hidden');
+        this.input.value = '';
+        this._filter();
+        this.input.focus();
+    }
+
+    /**
+     * Hide the palette and give focus back to where it was
+     */
+    close() {
+        if (!this.isOpen) return;
+
+        this.element.classList.add('hidden');
+        this.list.innerHTML = '';
+        this.items = [];
+        this.results = [];
+
+        if (this.returnFocus && this.returnFocus.isConnected && this.returnFocus.focus) {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+    }
+
+    _filter() {
+        const words = this.input.value.trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+        if (words.length === 0) {
+            this.results = this.items.slice(0, CommandPalette.MAX_RESULTS);
+        } else {
+            this.results = this.items
+                .map((item, order) => ({ item, order, score: CommandPalette.match(words, item) }))
+                .filter(({ score }) => score > 0)
+                .sort((a, b) => b.score - a.score || a.order - b.order)
+                .slice(0, CommandPalette.MAX_RESULTS)
+                .map(({ item }) => item);
+        }
+
+        this.activeIndex = 0;
+        this._render();
+    }
+
+    _render() {
+        this.list.innerHTML = '';
+
+        if (this.results.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'command-palette-empty';
+            empty.textContent = 'Nothing matches';
+            this.list.appendChild(empty);
+            this.input.removeAttribute('aria-activedescendant');
+            return;
+        }
+
+        this.results.forEach((item, index) => {
+            const option = document.createElement('li');
+            option.id = `command-palette-option-${index}`;
+            option.className = 'command-palette-option';
+            option.setAttribute('role', 'option');
+            option.dataset.index = index;
+
+            const group = document.createElement('span');
+            group.className = 'command-palette-group';
+            group.textContent = item.group;
+
+            const label = document.createElement('span');
+            label.className = 'command-palette-label';
+            label.textContent = item.label;
+
+            option.append(group, label);
+
+            if (item.shortcut) {
+                const shortcut = document.createElement('kbd');
+                shortcut.textContent = item.shortcut;
+                option.appendChild(shortcut);
+            }
+
+            this.list.appendChild(option);
+        });
+
+        this._setActive(this.activeIndex);
+    }
+
+    _setActive(index) {
+        const options = this.list.querySelectorAll('[role="option"]');
+        if (options.length === 0) return;
+
+        this.activeIndex = (index + options.length) % options.length;
+        options.forEach((option, i) => option.setAttribute('aria-selected', i === this.activeIndex));
+
+        const active = options[this.activeIndex];
+        this.input.setAttribute('aria-activedescendant', active.id);
+        if (active.scrollIntoView) {
+            active.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    _handleKeydown(event) {
+        switch (event.key) {
+            case 'ArrowDown':
+                event.preventDefault();
+                this._setActive(this.activeIndex + 1);
+                break;
+            case 'ArrowUp':
+                event.preventDefault();
+                this._setActive(this.activeIndex - 1);
+                break;
+            case 'Enter':
+                event.preventDefault();
+                this._run(this.activeIndex);
+                break;
+            case 'Escape':
+                event.preventDefault();
+                event.stopPropagation();
+                this.close();
+                break;
+            case 'Tab':
+                // Focus stays in the palette while it is open
+                event.preventDefault();
+                break;
+            default:
+                break;
+        }
+    }
+
+    _run(index) {
+        const item = this.results[index];
+        if (!item) return;
+
+        this.close();
+        try {
+            item.run();
+        } catch (error) {
+            console.error(`Command "${item.label}" failed:`, error);
+        }
+    }
+
+    /**
+     * Score an item against the query words: 0 if any word matches neither
+     * its label nor its keywords
+     */
+    static match(words, item) {
+        const label = item.label.toLowerCase();
+        const keywords = (item.keywords || []).join(' ').toLowerCase().split(/\s+/);
+        let total = 0;
+
+        for (const word of words) {
+            const keywordScores = keywords
+                .filter(keyword => keyword.startsWith(word))
+                .map(keyword => CommandPalette.score(word, keyword));
+            const score = Math.max(CommandPalette.score(word, label), ...keywordScores);
+            if (score <= 0) return 0;
+            total += score;
+        }
+        return total;
+    }
+
+    /**
+     * Fuzzy score of a word against a text: 0 unless every letter of the word
+     * appears in order, each following the one before or starting a word
+     * (one stray letter is allowed)
+     */
+    static score(word, text) {
+        let score = 0;
+        let from = 0;
+        let previous = -2;
+        let stray = 0;
+
+        for (const char of word) {
+            const index = text.indexOf(char, from);
+            if (index === -1) return 0;
+
+            if (index === previous + 1) {
+                score += 3;
+            } else if (index === 0 || /[\s\-/]/.test(text[index - 1])) {
+                score += 2;
+            } else if (++stray > 1) {
+                return 0;
+            }
+            previous = index;
+            from = index + 1;
+        }
+
+        // A whole-word or prefix match beats letters scattered through the text
+        if (text.startsWith(word) || text.includes(` ${word}`)) {
+            score += word.length;
+        }
+        return score;
+    }
+}
+
+CommandPalette.MAX_RESULTS = 50;
+
+// Export for use in main app
+window.CommandPalette = CommandPalette;
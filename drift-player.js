@@ -0,0 +1,234 @@
+/**
+ * Drift Player
+ * Generative "evolving" mode: layer volume, pan and filter cutoff wander slowly
+ * between user-set bounds, and a layer can now and then swap to another sound
+ * from the same library category. Every move comes from a generator seeded per
+ * layer, so the same mix drifts the same way each time it is started.
+ *
+ * Drift format (bounds are [min, max]; leave one out to keep that setting still):
+ *   { seed, volume: [0.2, 0.6], pan: [-0.5, 0.5], cutoff: [400, 4000], swap: 20 }
+ * volume is 0-1, pan -1 (left) to 1 (right), cutoff in Hz (only heard while the
+ * layer's tone filter is on) and swap the average minutes between sound swaps.
+ */
+
+class DriftPlayer {
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+        this.tracks = new Map();
+        this.intervalId = null;
+
+        // Callbacks
+        this.onSoundChange = null;
+    }
+
+    /**
+     * Whether any layer is drifting
+     */
+    get isRunning() {
+        return this.tracks.size > 0;
+    }
+
+    /**
+     * Start drifting from each layer's seed. Tracks are { layerId, drift, sound }.
+     * Returns false if no track has drift turned on.
+     */
+    start(tracks) {
+        this.stop();
+        tracks.forEach(track => this.setTrack(track));
+        return this.isRunning;
+    }
+
+    /**
+     * Start, restart or (with empty drift) stop one layer's drift
+     */
+    setTrack({ layerId, drift, sound }) {
+        this.removeTrack(layerId);
+        if (DriftPlayer.isEmpty(drift)) return;
+
+        const settings = DriftPlayer.normalize(drift);
+        const now = this.audioEngine.audioContext.currentTime;
+        const swapRandom = DriftPlayer.createRandom(settings.seed ^ DriftPlayer.SWAP_SEED);
+
+        this.tracks.set(layerId, {
+            layerId,
+            drift: settings,
+            sound,
+            random: DriftPlayer.createRandom(settings.seed),
+            swapRandom,
+            nextStep: now,
+            nextSwap: settings.swap ? now + this._swapDelay(settings.swap, swapRandom) : Infinity
+        });
+
+        if (!this.intervalId) {
+            this.intervalId = setInterval(() => this._update(), DriftPlayer.INTERVAL);
+        }
+        this._update();
+    }
+
+    /**
+     * Stop one layer's drift and ease it back to its mixer settings
+     */
+    removeTrack(layerId) {
+        const track = this.tracks.get(layerId);
+        if (!track) return;
+
+        this.tracks.delete(layerId);
+        this.audioEngine.resetLayerDrift(layerId, DriftPlayer.RESTORE_TIME, { volume: Boolean(track.drift.volume) });
+        if (this.tracks.size === 0) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+    }
+
+    /**
+     * Tell a drifting layer which sound it is playing now, so swaps start from it
+     */
+    setSound(layerId, sound) {
+        const track = this.tracks.get(layerId);
+        if (track) {
+            track.sound = sound;
+        }
+    }
+
+    /**
+     * Stop all drift
+     */
+    stop() {
+        Array.from(this.tracks.keys()).forEach(layerId => this.removeTrack(layerId));
+    }
+
+    _update() {
+        const now = this.audioEngine.audioContext.currentTime;
+
+        this.tracks.forEach(track => {
+            if (now >= track.nextStep) {
+                this._step(track, now);
+            }
+            if (now >= track.nextSwap) {
+                this._swap(track);
+                track.nextSwap = now + this._swapDelay(track.drift.swap, track.swapRandom);
+            }
+        });
+    }
+
+    /**
+     * Pick new targets and glide towards them over a random stretch of time
+     */
+    _step(track, now) {
+        const { random, drift } = track;
+        const duration = DriftPlayer.STEP_MIN + random() * (DriftPlayer.STEP_MAX - DriftPlayer.STEP_MIN);
+        const between = ([min, max]) => min + random() * (max - min);
+        const target = {};
+
+        if (drift.volume) {
+            target.volume = between(drift.volume);
+        }
+        if (drift.pan) {
+            target.pan = between(drift.pan);
+        }
+        if (drift.cutoff) {
+            // Even steps in pitch rather than in Hz
+            const [min, max] = drift.cutoff;
+            target.cutoff = min * Math.pow(max / min, random());
+        }
+
+        this.audioEngine.driftLayer(track.layerId, target, duration);
+        track.nextStep = now + duration;
+    }
+
+    /**
+     * Swap to another sound from the same library category
+     */
+    _swap(track) {
+        if (!track.sound) return;
+
+        const [category] = track.sound.split('/');
+        const choices = Object.keys(this.audioEngine.audioLibrary[category] || {})
+            .map(soundName => `${category}/${soundName}`)
+            .filter(sound => sound !== track.sound);
+        if (choices.length === 0) return;
+
+        track.sound = choices[Math.floor(track.swapRandom() * choices.length)];
+        if (this.onSoundChange) {
+            this.onSoundChange(track.layerId, track.sound);
+        }
+    }
+
+    /**
+     * Seconds until the next swap: the average give or take half
+     */
+    _swapDelay(minutes, random) {
+        return minutes * 60 * (0.5 + random());
+    }
+
+    /**
+     * Clamp bounds to their ranges (min before max) and fill in a seed
+     */
+    static normalize(drift) {
+        const settings = { seed: DriftPlayer.isSeed(drift?.seed) ? drift.seed : DriftPlayer.randomSeed() };
+        const bounds = (value, min, max) => {
+            if (!Array.isArray(value) || value.length !== 2) return null;
+            const [low, high] = value.map(v => Math.min(Math.max(Number.isFinite(v) ? v : min, min), max));
+            return [Math.min(low, high), Math.max(low, high)];
+        };
+
+        const volume = bounds(drift?.volume, 0, 1);
+        const pan = bounds(drift?.pan, -1, 1);
+        const cutoff = bounds(drift?.cutoff, LayerEffects.MIN_CUTOFF, LayerEffects.MAX_CUTOFF);
+
+        if (volume) settings.volume = volume;
+        if (pan) settings.pan = pan;
+        if (cutoff) settings.cutoff = cutoff;
+        if (Number.isFinite(drift?.swap) && drift.swap > 0) {
+            settings.swap = Math.min(Math.max(drift.swap, DriftPlayer.MIN_SWAP), DriftPlayer.MAX_SWAP);
+        }
+
+        return settings;
+    }
+
+    /**
+     * Whether drift settings move nothing
+     */
+    static isEmpty(drift) {
+        return !drift || !(drift.volume || drift.pan || drift.cutoff || drift.swap);
+    }
+
+    static isSeed(value) {
+        return Number.isInteger(value) && value >= 0 && value <= DriftPlayer.MAX_SEED;
+    }
+
+    static randomSeed() {
+        return Math.floor(Math.random() * (DriftPlayer.MAX_SEED + 1));
+    }
+
+    /**
+     * Small seeded generator (mulberry32) returning numbers in [0, 1)
+     */
+    static createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+// Polling interval on the audio clock (ms)
+DriftPlayer.INTERVAL = 1000;
+// Each glide lasts this many seconds, picked at random
+DriftPlayer.STEP_MIN = 20;
+DriftPlayer.STEP_MAX = 60;
+// Ease back to the mixer settings when drift stops (s)
+DriftPlayer.RESTORE_TIME = 2;
+// Average minutes between sound swaps
+DriftPlayer.MIN_SWAP = 1;
+DriftPlayer.MAX_SWAP = 600;
+DriftPlayer.MAX_SEED = 0xffffffff;
+// Mixed into the seed so swaps don't follow the same numbers as the glides
+DriftPlayer.SWAP_SEED = 0x9e3779b9;
+
+// Export for use in main app
+window.DriftPlayer = DriftPlayer;
@@ -0,0 +1,181 @@
+/**
+ * Focus Timer
+ * Work/break session timer (Pomodoro style)
+ */
+
+class FocusTimer {
+    constructor(config = {}) {
+        this.config = {
+            workMinutes: 25,
+            shortBreakMinutes: 5,
+            longBreakMinutes: 15,
+            cycles: 4,
+            ...config
+        };
+
+        this.phase = null;
+        this.cycle = 0;
+        this.endTime = null;
+        this.remainingMs = 0;
+        this.intervalId = null;
+
+        // Callbacks
+        this.onPhaseChange = null;
+        this.onTick = null;
+        this.onComplete = null;
+    }
+
+    /**
+     * Whether a session is in progress (running or paused)
+     */
+    get isActive() {
+        return this.phase !== null;
+    }
+
+    /**
+     * Whether the countdown is currently paused
+     */
+    get isPaused() {
+        return this.isActive && this.intervalId === null;
+    }
+
+    /**
+     * Update timer settings (applies from the next phase)
+     */
+    updateConfig(config) {
+        this.config = { ...this.config, ...config };
+    }
+
+    /**
+     * Start a new session from the first work phase
+     */
+    start() {
+        this.stop();
+        this.cycle = 1;
+        this._enterPhase('work');
+    }
+
+    /**
+     * Pause the countdown
+     */
+    pause() {
+        if (!this.isActive || this.isPaused) return;
+
+        this.remainingMs = Math.max(0, this.endTime - Date.now());
+        clearInterval(this.intervalId);
+        this.intervalId = null;
+        this._emitTick();
+    }
+
+    /**
+     * Resume a paused countdown
+     */
+    resume() {
+        if (!this.isPaused) return;
+
+        this.endTime = Date.now() + this.remainingMs;
+        this._startInterval();
+    }
+
+    /**
+     * Jump to the next phase
+     */
+    skip() {
+        if (!this.isActive) return;
+        this._advance();
+    }
+
+    /**
+     * End the session
+     */
+    stop() {
+        clearInterval(this.intervalId);
+        this.intervalId = null;
+        this.phase = null;
+        this.cycle = 0;
+        this.endTime = null;
+        this.remainingMs = 0;
+    }
+
+    /**
+     * Length of a phase in milliseconds
+     */
+    getPhaseDuration(phase) {
+        const minutes = {
+            'work': this.config.workMinutes,
+            'short-break': this.config.shortBreakMinutes,
+            'long-break': this.config.longBreakMinutes
+        }[phase];
+
+        return minutes * 60 * 1000;
+    }
+
+    /**
+     * Current timer state for display
+     */
+    getState() {
+        return {
+            phase: this.phase,
+            cycle: this.cycle,
+            cycles: this.config.cycles,
+            remainingMs: this.remainingMs,
+            isPaused: this.isPaused
+        };
+    }
+
+    /**
+     * Move to the phase that follows the current one
+     */
+    _advance() {
+        if (this.phase === 'work') {
+            this._enterPhase(this.cycle >= this.config.cycles ? 'long-break' : 'short-break');
+        } else if (this.phase === 'short-break') {
+            this.cycle++;
+            this._enterPhase('work');
+        } else {
+            this.stop();
+            if (this.onComplete) {
+                this.onComplete();
+            }
+        }
+    }
+
+    _enterPhase(phase) {
+        clearInterval(this.intervalId);
+
+        this.phase = phase;
+        this.remainingMs = this.getPhaseDuration(phase);
+        this.endTime = Date.now() + this.remainingMs;
+
+        if (this.onPhaseChange) {
+            this.onPhaseChange(phase, this.getState());
+        }
+
+        this._startInterval();
+    }
+
+    _startInterval() {
+        clearInterval(this.intervalId);
+        this.intervalId = setInterval(() => this._tick(), 250);
+        this._tick();
+    }
+
+    _tick() {
+        // Derive from the end time so throttled background tabs stay accurate
+        this.remainingMs = Math.max(0, this.endTime - Date.now());
+        this._emitTick();
+
+        if (this.remainingMs === 0) {
+            this._advance();
+        }
+    }
+
+    _emitTick() {
+        if (this.onTick) {
+            this.onTick(this.getState());
+        }
+    }
+}
+
+// Export for use in main app
+window.FocusTimer = FocusTimer;
@@ -0,0 +1,288 @@
+/**
+ * Keyboard Shortcuts
+ * Maps key combinations to the app's commands and lets the user rebind them.
+ * A combination is written as modifiers then key, e.g. "Mod+K", "Shift+ArrowUp"
+ * or "1"; "Mod" is Cmd on a Mac and Ctrl elsewhere. Letters and digits are
+ * read from the physical key, so Shift+1 is "Shift+1" rather than "!".
+ *
+ * While the user is typing in a text field only combinations with Mod fire,
+ * and Space/Enter are left to whichever button or link has focus.
+ */
+
+class KeyboardShortcuts {
+    constructor() {
+        // Combination by command id (null for commands with no key)
+        this.bindings = { ...KeyboardShortcuts.DEFAULTS };
+        this.target = null;
+        this.listener = (event) => this._handleKeydown(event);
+        this.capturing = null;
+
+        // Callbacks
+        this.onCommand = null;
+    }
+
+    /**
+     * Start listening for shortcuts
+     */
+    attach(target = document) {
+        this.detach();
+        this.target = target;
+        target.addEventListener('keydown', this.listener);
+    }
+
+    /**
+     * Stop listening for shortcuts
+     */
+    detach() {
+        if (this.target) {
+            this.target.removeEventListener('keydown', this.listener);
+            this.target = null;
+        }
+        this.cancelCapture();
+    }
+
+    /**
+     * Apply saved bindings on top of the defaults. Unknown commands and
+     * invalid combinations are ignored.
+     */
+    set(overrides = {}) {
+        this.bindings = { ...KeyboardShortcuts.DEFAULTS };
+        Object.entries(overrides || {}).forEach(([commandId, combo]) => {
+            if (!(commandId in this.bindings)) return;
+            if (combo === null) {
+                this.bindings[commandId] = null;
+            } else if (KeyboardShortcuts.isValid(combo)) {
+                this.bind(commandId, combo);
+            }
+        });
+    }
+
+    /**
+     * Give a command a new combination (or none with null). A command that
+     * had the combination loses it; its id is returned, or null.
+     */
+    bind(commandId, combo) {
+        let previous = null;
+        if (combo !== null) {
+            previous = this.getCommand(combo);
+            if (previous && previous !== commandId) {
+                this.bindings[previous] = null;
+            } else {
+                previous = null;
+            }
+        }
+        this.bindings[commandId] = combo;
+        return previous;
+    }
+
+    /**
+     * Put every command back on its default combination
+     */
+    reset() {
+        this.bindings = { ...KeyboardShortcuts.DEFAULTS };
+    }
+
+    /**
+     * The command bound to a combination, or null
+     */
+    getCommand(combo) {
+        return Object.keys(this.bindings).find(commandId => this.bindings[commandId] === combo) || null;
+    }
+
+    /**
+     * Bindings that differ from the defaults, for saving
+     */
+    getOverrides() {
+        const overrides = {};
+        Object.entries(this.bindings).forEach(([commandId, combo]) => {
+            if (combo !== KeyboardShortcuts.DEFAULTS[commandId]) {
+                overrides[commandId] = combo;
+            }
+        });
+        return overrides;
+    }
+
+    /**
+     * Wait for the next key combination, to rebind a command. Resolves with
+     * the combination, null for Backspace/Delete (no key), or undefined if
+     * Escape is pressed or the capture is cancelled.
+     */
+    capture() {
+        this.cancelCapture();
+        return new Promise(resolve => {
+            this.capturing = resolve;
+        });
+    }
+
+    cancelCapture() {
+        if (this.capturing) {
+            const resolve = this.capturing;
+            this.capturing = null;
+            resolve(undefined);
+        }
+    }
+
+    _handleKeydown(event) {
+        const combo = KeyboardShortcuts.fromEvent(event);
+        if (!combo) return;
+
+        if (this.capturing) {
+            event.preventDefault();
+            event.stopPropagation();
+            const resolve = this.capturing;
+            this.capturing = null;
+            if (combo === 'Escape') {
+                resolve(undefined);
+            } else {
+                resolve(['Backspace', 'Delete'].includes(combo) ? null : combo);
+            }
+            return;
+        }
+
+        const commandId = this.getCommand(combo);
+        if (!commandId || this._isIgnored(event, combo)) return;
+        if (event.repeat && !KeyboardShortcuts.REPEATABLE.includes(commandId)) return;
+
+        event.preventDefault();
+        if (this.onCommand) {
+            this.onCommand(commandId);
+        }
+    }
+
+    /**
+     * Leave keys to text fields, sliders and selects, and Space/Enter to the
+     * focused button, link or media element
+     */
+    _isIgnored(event, combo) {
+        const element = event.target;
+        if (!element || !element.closest) return false;
+
+        if (KeyboardShortcuts.isEditable(element)) {
+            return !combo.startsWith('Mod+');
+        }
+
+        const key = combo.split('+').pop();
+        if (key === 'Space' || key === 'Enter') {
+            return Boolean(element.closest('button, a[href], summary, video, audio, [role="button"], [role="option"]'));
+        }
+        return false;
+    }
+
+    /**
+     * Whether keys pressed in an element are meant for it
+     */
+    static isEditable(element) {
+        if (element.isContentEditable) return true;
+        if (element.matches('textarea, select')) return true;
+        if (element.matches('input')) {
+            return !['checkbox', 'radio', 'button', 'submit', 'reset', 'file', 'color'].includes(element.type);
+        }
+        return false;
+    }
+
+    /**
+     * The combination a keydown event stands for, or null for a lone modifier
+     */
+    static fromEvent(event) {
+        if (['Control', 'Meta', 'Alt', 'Shift', 'AltGraph', 'CapsLock'].includes(event.key)) {
+            return null;
+        }
+
+        let key = event.key;
+        if (/^Key[A-Z]$/.test(event.code)) {
+            key = event.code.slice(3);
+        } else if (/^Digit[0-9]$/.test(event.code)) {
+            key = event.code.slice(5);
+        } else if (key === ' ') {
+            key = 'Space';
+        } else if (key === '+') {
+            key = 'Plus';
+        } else if (key.length === 1) {
+            key = key.toUpperCase();
+        }
+
+        const parts = [];
+        if (KeyboardShortcuts.IS_MAC ? event.metaKey : event.ctrlKey) parts.push('Mod');
+        if (event.altKey) parts.push('Alt');
+        if (event.shiftKey) parts.push('Shift');
+        parts.push(key);
+        return parts.join('+');
+    }
+
+    /**
+     * Whether a saved combination is well formed
+     */
+    static isValid(combo) {
+        return typeof combo === 'string' && /^(Mod\+)?(Alt\+)?(Shift\+)?(\S|[A-Za-z][A-Za-z0-9]+)$/.test(combo);
+    }
+
+    /**
+     * A combination as shown to the user, e.g. "Ctrl+K", "⌘K" or "Shift+↑"
+     */
+    static format(combo) {
+        if (!combo) return '';
+
+        const names = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', Escape: 'Esc', Plus: '+' };
+        const parts = combo.split('+').map((part, index, all) => {
+            if (index === all.length - 1) {
+                return names[part] || part;
+            }
+            if (KeyboardShortcuts.IS_MAC) {
+                return { Mod: '⌘', Alt: '⌥', Shift: '⇧' }[part];
+            }
+            return { Mod: 'Ctrl', Alt: 'Alt', Shift: 'Shift' }[part];
+        });
+        return parts.join(KeyboardShortcuts.IS_MAC ? '' : '+');
+    }
+}
+
+KeyboardShortcuts.IS_MAC = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+
+// Every command that can have a key, in the order they are listed
+KeyboardShortcuts.COMMANDS = [
+    { id: 'command-palette', label: 'Open command palette' },
+    { id: 'play-pause', label: 'Play or stop all layers' },
+    { id: 'play-all', label: 'Play all layers' },
+    { id: 'stop-all', label: 'Stop all layers' },
+    { id: 'toggle-layer-1', label: 'Play or stop layer 1' },
+    { id: 'toggle-layer-2', label: 'Play or stop layer 2' },
+    { id: 'toggle-layer-3', label: 'Play or stop layer 3' },
+    { id: 'toggle-layer-4', label: 'Play or stop layer 4' },
+    { id: 'layer-volume-up', label: 'Turn the selected layer up' },
+    { id: 'layer-volume-down', label: 'Turn the selected layer down' },
+    { id: 'master-volume-up', label: 'Turn the master volume up' },
+    { id: 'master-volume-down', label: 'Turn the master volume down' },
+    { id: 'next-preset', label: 'Next preset' },
+    { id: 'previous-preset', label: 'Previous preset' },
+    { id: 'focus-timer', label: 'Start or pause the focus timer' },
+    { id: 'add-layer', label: 'Add a layer' },
+    { id: 'save-preset', label: 'Save the current mix as a preset' },
+    { id: 'copy-link', label: 'Copy a link to this mix' }
+];
+
+KeyboardShortcuts.DEFAULTS = {
+    'command-palette': 'Mod+K',
+    'play-pause': 'Space',
+    'play-all': null,
+    'stop-all': null,
+    'toggle-layer-1': '1',
+    'toggle-layer-2': '2',
+    'toggle-layer-3': '3',
+    'toggle-layer-4': '4',
+    'layer-volume-up': 'ArrowUp',
+    'layer-volume-down': 'ArrowDown',
+    'master-volume-up': 'Shift+ArrowUp',
+    'master-volume-down': 'Shift+ArrowDown',
+    'next-preset': 'N',
+    'previous-preset': 'Shift+N',
+    'focus-timer': 'F',
+    'add-layer': null,
+    'save-preset': null,
+    'copy-link': null
+};
+
+// Commands that repeat while their key is held down
+KeyboardShortcuts.REPEATABLE = ['layer-volume-up', 'layer-volume-down', 'master-volume-up', 'master-volume-down'];
+
+// Export for use in main app
+window.KeyboardShortcuts = KeyboardShortcuts;
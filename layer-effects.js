@@ -0,0 +1,217 @@
+/**
+ * Layer Effects
+ * Per-layer insert chain (3-band EQ, tone filter, stereo pan) plus a send to a
+ * shared convolution reverb whose impulse responses are generated procedurally
+ */
+
+class LayerEffects {
+    constructor(context, getReverb) {
+        this.context = context;
+        this.getReverb = getReverb;
+        this.settings = { ...LayerEffects.DEFAULTS };
+
+        this.low = context.createBiquadFilter();
+        this.low.type = 'lowshelf';
+        this.low.frequency.value = 250;
+
+        this.mid = context.createBiquadFilter();
+        this.mid.type = 'peaking';
+        this.mid.frequency.value = 1000;
+        this.mid.Q.value = 0.7;
+
+        this.high = context.createBiquadFilter();
+        this.high.type = 'highshelf';
+        this.high.frequency.value = 4000;
+
+        this.filter = context.createBiquadFilter();
+        this.filter.type = 'lowpass';
+        this.filter.frequency.value = context.sampleRate / 2;
+
+        this.panner = context.createStereoPanner();
+        this.send = context.createGain();
+        this.send.gain.value = 0;
+
+        // input -> low -> mid -> high -> filter -> panner (output) -> send -> reverb
+        this.low.connect(this.mid);
+        this.mid.connect(this.high);
+        this.high.connect(this.filter);
+        this.filter.connect(this.panner);
+        this.panner.connect(this.send);
+
+        this.input = this.low;
+        this.output = this.panner;
+        this.reverb = null;
+        this.reverbSpace = null;
+    }
+
+    /**
+     * Apply effect settings; missing keys keep their current value
+     */
+    set(effects, rampTime = 0.05) {
+        const settings = LayerEffects.normalize({ ...this.settings, ...effects });
+        const time = this.context.currentTime;
+        const ramp = (param, value) => param.setTargetAtTime(value, time, rampTime / 3);
+
+        ramp(this.low.gain, settings.low);
+        ramp(this.mid.gain, settings.mid);
+        ramp(this.high.gain, settings.high);
+        ramp(this.panner.pan, settings.pan);
+        ramp(this.send.gain, settings.reverb);
+
+        // A low-pass at Nyquist passes everything, so "off" needs no rewiring
+        if (settings.filter === 'off') {
+            this.filter.type = 'lowpass';
+            ramp(this.filter.frequency, this.context.sampleRate / 2);
+        } else {
+            this.filter.type = settings.filter;
+            ramp(this.filter.frequency, settings.cutoff);
+        }
+
+        // Only hook up a reverb once the send is used, so its impulse is built lazily
+        if (settings.reverb > 0 && this.reverbSpace !== settings.space) {
+            this._connectReverb(settings.space);
+        }
+
+        this.settings = settings;
+        return { ...settings };
+    }
+
+    /**
+     * Glide pan and/or the tone filter cutoff away from the settings without
+     * changing them (set() brings them back). The cutoff only moves while the
+     * tone filter is on.
+     */
+    modulate({ pan, cutoff }, rampTime) {
+        const time = this.context.currentTime;
+
+        if (pan !== undefined) {
+            this.panner.pan.setTargetAtTime(Math.min(Math.max(pan, -1), 1), time, rampTime / 3);
+        }
+        if (cutoff !== undefined && this.settings.filter !== 'off') {
+            const frequency = Math.min(Math.max(cutoff, LayerEffects.MIN_CUTOFF), LayerEffects.MAX_CUTOFF);
+            this.filter.frequency.setTargetAtTime(frequency, time, rampTime / 3);
+        }
+    }
+
+    /**
+     * Detach every node, e.g. when the layer is removed
+     */
+    disconnect() {
+        [this.low, this.mid, this.high, this.filter, this.panner, this.send].forEach(node => node.disconnect());
+        this.reverb = null;
+        this.reverbSpace = null;
+    }
+
+    _connectReverb(space) {
+        if (this.reverb) {
+            this.send.disconnect(this.reverb);
+        }
+        this.reverb = this.getReverb(space);
+        this.reverbSpace = space;
+        this.send.connect(this.reverb);
+    }
+
+    /**
+     * Fill in defaults and clamp values to their ranges
+     */
+    static normalize(effects = {}) {
+        const settings = { ...LayerEffects.DEFAULTS, ...effects };
+        const clamp = (value, min, max, fallback) =>
+            Number.isFinite(value) ? Math.min(Math.max(value, min), max) : fallback;
+        const range = LayerEffects.EQ_RANGE;
+
+        return {
+            low: clamp(settings.low, -range, range, 0),
+            mid: clamp(settings.mid, -range, range, 0),
+            high: clamp(settings.high, -range, range, 0),
+            filter: LayerEffects.FILTERS.includes(settings.filter) ? settings.filter : 'off',
+            cutoff: clamp(settings.cutoff, LayerEffects.MIN_CUTOFF, LayerEffects.MAX_CUTOFF, LayerEffects.DEFAULTS.cutoff),
+            pan: clamp(settings.pan, -1, 1, 0),
+            reverb: clamp(settings.reverb, 0, 1, 0),
+            space: Object.prototype.hasOwnProperty.call(LayerEffects.SPACES, settings.space) ? settings.space : LayerEffects.DEFAULTS.space
+        };
+    }
+
+    /**
+     * Whether effect settings leave the sound untouched
+     */
+    static isDefault(effects) {
+        const settings = LayerEffects.normalize(effects);
+        return Object.keys(LayerEffects.DEFAULTS).every(key =>
+            settings[key] === LayerEffects.DEFAULTS[key] || (key === 'cutoff' && settings.filter === 'off'));
+    }
+
+    /**
+     * Build a reverb for one of LayerEffects.SPACES, returning its input node
+     */
+    static createReverb(context, space, destination) {
+        const convolver = context.createConvolver();
+        convolver.buffer = LayerEffects.createImpulseResponse(context, LayerEffects.SPACES[space]);
+        convolver.connect(destination);
+        return convolver;
+    }
+
+    /**
+     * Synthesise a stereo impulse response: a few early reflections followed by
+     * decorrelated noise that decays by 60 dB over the tail and darkens as it goes
+     */
+    static createImpulseResponse(context, { duration, preDelay, damping }) {
+        const sampleRate = context.sampleRate;
+        const length = Math.floor(sampleRate * (duration + preDelay));
+        const buffer = context.createBuffer(2, length, sampleRate);
+        const start = Math.floor(sampleRate * preDelay);
+
+        for (let channel = 0; channel < 2; channel++) {
+            const data = buffer.getChannelData(channel);
+            let smoothed = 0;
+
+            for (let i = start; i < length; i++) {
+                const t = (i - start) / sampleRate;
+                const envelope = Math.pow(10, -3 * t / duration);
+
+                // One-pole low-pass whose cutoff falls from `damping` to a quarter of it
+                const cutoff = damping * (1 - 0.75 * t / duration);
+                const coefficient = 1 - Math.exp(-2 * Math.PI * cutoff / sampleRate);
+                smoothed += coefficient * ((Math.random() * 2 - 1) - smoothed);
+
+                data[i] = smoothed * envelope;
+            }
+
+            // Early reflections land at slightly different times in each ear
+            for (let r = 1; r <= 6; r++) {
+                const index = start + Math.floor(sampleRate * preDelay * r * (1 + 0.15 * Math.random()));
+                if (index < length) {
+                    data[index] += (Math.random() < 0.5 ? -1 : 1) * 0.5 / r;
+                }
+            }
+        }
+
+        return buffer;
+    }
+}
+
+LayerEffects.DEFAULTS = {
+    low: 0,         // dB
+    mid: 0,         // dB
+    high: 0,        // dB
+    filter: 'off',  // 'off', 'lowpass' or 'highpass'
+    cutoff: 1000,   // Hz
+    pan: 0,         // -1 (left) to 1 (right)
+    reverb: 0,      // send level 0 to 1
+    space: 'room'   // key of LayerEffects.SPACES
+};
+
+LayerEffects.EQ_RANGE = 12;
+LayerEffects.MIN_CUTOFF = 40;
+LayerEffects.MAX_CUTOFF = 18000;
+LayerEffects.FILTERS = ['off', 'lowpass', 'highpass'];
+
+// Reverb spaces: decay time and pre-delay in seconds, damping in Hz
+LayerEffects.SPACES = {
+    room: { label: 'Room', duration: 0.8, preDelay: 0.008, damping: 7000 },
+    hall: { label: 'Hall', duration: 2.4, preDelay: 0.02, damping: 4500 },
+    cathedral: { label: 'Cathedral', duration: 5.5, preDelay: 0.035, damping: 3000 }
+};
+
+// Export for use in main app
+window.LayerEffects = LayerEffects;
@@ -0,0 +1,127 @@
+/**
+ * Loudness Meter
+ * Approximate loudness of a point in the audio graph: K-weighted LUFS
+ * (after ITU-R BS.1770, momentary window) or plain RMS, plus sample peak
+ */
+
+class LoudnessMeter {
+    constructor(context, input, { weighted = true, window = 0.4 } = {}) {
+        this.context = context;
+        this.input = input;
+        this.weighted = weighted;
+        this.nodes = [];
+
+        // Upmix mono to both sides so a mono source reads as it is heard
+        const stereo = context.createGain();
+        stereo.channelCount = 2;
+        stereo.channelCountMode = 'explicit';
+        stereo.channelInterpretation = 'speakers';
+        input.connect(stereo);
+        this.nodes.push(stereo);
+
+        this.splitter = context.createChannelSplitter(2);
+
+        let tap = stereo;
+        if (weighted) {
+            // Stand-in for the K-weighting filters: a rumble cut and a treble lift
+            const highpass = context.createBiquadFilter();
+            highpass.type = 'highpass';
+            highpass.frequency.value = 38;
+            highpass.Q.value = 0.5;
+
+            const shelf = context.createBiquadFilter();
+            shelf.type = 'highshelf';
+            shelf.frequency.value = 1500;
+            shelf.gain.value = 4;
+
+            tap.connect(highpass);
+            highpass.connect(shelf);
+            tap = shelf;
+            this.nodes.push(highpass, shelf);
+        }
+        tap.connect(this.splitter);
+
+        const fftSize = Math.min(32768, Math.pow(2, Math.ceil(Math.log2(window * context.sampleRate))));
+        this.analysers = [0, 1].map(channel => {
+            const analyser = context.createAnalyser();
+            analyser.fftSize = fftSize;
+            this.splitter.connect(analyser, channel);
+            return analyser;
+        });
+        this.samples = new Float32Array(fftSize);
+    }
+
+    /**
+     * Measure the last window: { loudness, peak } in dB (LUFS when weighted,
+     * RMS dBFS otherwise), floored at LoudnessMeter.FLOOR
+     */
+    read() {
+        let sum = 0;
+        let peak = 0;
+
+        this.analysers.forEach(analyser => {
+            analyser.getFloatTimeDomainData(this.samples);
+
+            let channelSum = 0;
+            for (let i = 0; i < this.samples.length; i++) {
+                const sample = this.samples[i];
+                channelSum += sample * sample;
+                peak = Math.max(peak, Math.abs(sample));
+            }
+            sum += channelSum / this.samples.length;
+        });
+
+        // BS.1770 sums the channels' mean squares; RMS averages them
+        const loudness = this.weighted
+            ? -0.691 + 10 * Math.log10(sum)
+            : 10 * Math.log10(sum / this.analysers.length);
+
+        return {
+            loudness: Math.max(loudness, LoudnessMeter.FLOOR),
+            peak: Math.max(LoudnessMeter.toDecibels(peak), LoudnessMeter.FLOOR)
+        };
+    }
+
+    /**
+     * Detach the meter from the graph
+     */
+    disconnect() {
+        this.input.disconnect(this.nodes[0]);
+        this.nodes.forEach(node => node.disconnect());
+        this.splitter.disconnect();
+    }
+
+    /**
+     * RMS level of a decoded buffer in dBFS, averaged over its channels.
+     * Long buffers are sampled with a stride to keep this quick.
+     */
+    static measureBuffer(buffer) {
+        const stride = Math.max(1, Math.floor(buffer.length / LoudnessMeter.MAX_SAMPLES));
+        let sum = 0;
+        let count = 0;
+
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            const data = buffer.getChannelData(channel);
+            for (let i = 0; i < data.length; i += stride) {
+                sum += data[i] * data[i];
+                count++;
+            }
+        }
+
+        return count > 0 ? Math.max(10 * Math.log10(sum / count), LoudnessMeter.FLOOR) : LoudnessMeter.FLOOR;
+    }
+
+    static toDecibels(gain) {
+        return 20 * Math.log10(gain);
+    }
+
+    static toGain(decibels) {
+        return Math.pow(10, decibels / 20);
+    }
+}
+
+LoudnessMeter.FLOOR = -70;
+LoudnessMeter.MAX_SAMPLES = 200000;
+
+// Export for use in main app
+window.LoudnessMeter = LoudnessMeter;
@@ -0,0 +1,308 @@
+/**
+ * Master Recorder
+ * Captures the live output of the audio engine to a WAV file (PCM collected
+ * by an AudioWorklet) or to WebM/Opus through MediaRecorder.
+ *
+ * WAV blocks are converted to 16-bit PCM as they arrive and gathered into
+ * Blobs, which the browser may keep out of memory. A WAV recording stops
+ * itself at MasterRecorder.MAX_WAV_BYTES.
+ */
+
+class MasterRecorder {
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+        this.format = null;
+        this.startTime = null;
+        this.intervalId = null;
+
+        // WAV capture: 16-bit PCM blocks not yet gathered into `blobs`
+        this.captureNode = null;
+        this.parts = [];
+        this.frames = 0;
+        this.limitReached = false;
+
+        // MediaRecorder capture
+        this.streamNode = null;
+        this.mediaRecorder = null;
+        this.blobs = [];
+        this.bytes = 0;
+
+        // Callbacks
+        this.onTick = null;
+        this.onLimit = null;
+    }
+
+    /**
+     * Whether a recording is in progress
+     */
+    get isRecording() {
+        return this.startTime !== null;
+    }
+
+    /**
+     * Formats this browser can record, in MasterRecorder.FORMATS order
+     */
+    static supportedFormats() {
+        return Object.keys(MasterRecorder.FORMATS).filter(format => {
+            const { mimeType } = MasterRecorder.FORMATS[format];
+            if (!mimeType) {
+                return typeof AudioWorkletNode !== 'undefined';
+            }
+            return typeof MediaRecorder !== 'undefined' && MediaRecorder.isTypeSupported(mimeType);
+        });
+    }
+
+    /**
+     * Start recording the master output in one of MasterRecorder.FORMATS
+     */
+    async start(format = 'wav') {
+        if (this.isRecording) {
+            throw new Error('Already recording');
+        }
+        if (!MasterRecorder.supportedFormats().includes(format)) {
+            throw new Error(`Recording as ${MasterRecorder.FORMATS[format]?.label || format} is not supported in this browser`);
+        }
+
+        const context = this.audioEngine.audioContext;
+        this.format = format;
+
+        if (format === 'wav') {
+            await MasterRecorder._loadWorklet(context);
+            this.parts = [];
+            this.blobs = [];
+            this.frames = 0;
+            this.limitReached = false;
+
+            this.captureNode = new AudioWorkletNode(context, 'master-recorder-capture', {
+                numberOfInputs: 1,
+                numberOfOutputs: 1,
+                channelCount: 2,
+                channelCountMode: 'explicit'
+            });
+            this.captureNode.port.onmessage = (event) => this._addBlock(event.data);
+
+            // The node outputs silence; connecting it keeps it processing in every browser
+            this.audioEngine.connectOutput(this.captureNode);
+            this.captureNode.connect(context.destination);
+        } else {
+            this.blobs = [];
+            this.bytes = 0;
+
+            this.streamNode = context.createMediaStreamDestination();
+            this.audioEngine.connectOutput(this.streamNode);
+
+            this.mediaRecorder = new MediaRecorder(this.streamNode.stream, {
+                mimeType: MasterRecorder.FORMATS[format].mimeType
+            });
+            this.mediaRecorder.addEventListener('dataavailable', (event) => {
+                if (event.data.size > 0) {
+                    this.blobs.push(event.data);
+                    this.bytes += event.data.size;
+                }
+            });
+            // Emit data every second so the size shown stays current
+            this.mediaRecorder.start(1000);
+        }
+
+        this.startTime = Date.now();
+        this.intervalId = setInterval(() => this._emitTick(), 500);
+        this._emitTick();
+    }
+
+    /**
+     * Stop recording and resolve with { blob, extension, durationMs }
+     */
+    async stop() {
+        if (!this.isRecording) return null;
+
+        const durationMs = Date.now() - this.startTime;
+        const { extension } = MasterRecorder.FORMATS[this.format];
+        let blob;
+
+        if (this.format === 'wav') {
+            // Collect the last partial chunk before detaching
+            await this._flushCapture();
+            this.audioEngine.disconnectOutput(this.captureNode);
+            this.captureNode.disconnect();
+            this.captureNode.port.onmessage = null;
+            this.captureNode = null;
+
+            const header = WavEncoder.createHeader(2, this.audioEngine.audioContext.sampleRate, 16, this.frames);
+            blob = new Blob([header, ...this.blobs, ...this.parts], { type: 'audio/wav' });
+            this.parts = [];
+            this.blobs = [];
+        } else {
+            await new Promise(resolve => {
+                this.mediaRecorder.addEventListener('stop', resolve, { once: true });
+                this.mediaRecorder.stop();
+            });
+            this.audioEngine.disconnectOutput(this.streamNode);
+            this.streamNode = null;
+            this.mediaRecorder = null;
+
+            blob = new Blob(this.blobs, { type: MasterRecorder.FORMATS[this.format].mimeType });
+            this.blobs = [];
+        }
+
+        clearInterval(this.intervalId);
+        this.intervalId = null;
+        this.startTime = null;
+        this._emitTick();
+
+        return { blob, extension, durationMs };
+    }
+
+    /**
+     * Current recording state for display
+     */
+    getState() {
+        if (!this.isRecording) {
+            return { isRecording: false, elapsedMs: 0, bytes: 0 };
+        }
+
+        const state = {
+            isRecording: true,
+            format: this.format,
+            elapsedMs: Date.now() - this.startTime,
+            bytes: this.bytes,
+            remainingMs: null
+        };
+
+        if (this.format === 'wav') {
+            const sampleRate = this.audioEngine.audioContext.sampleRate;
+            state.bytes = WavEncoder.HEADER_SIZE + this.frames * MasterRecorder.WAV_FRAME_BYTES;
+            state.remainingMs = (this._maxFrames() - this.frames) / sampleRate * 1000;
+        }
+        return state;
+    }
+
+    /**
+     * Ask the processor for its partly filled block and wait until it arrives
+     */
+    _flushCapture() {
+        return new Promise(resolve => {
+            this.captureNode.port.onmessage = (event) => {
+                if (event.data === 'flushed') {
+                    resolve();
+                } else {
+                    this._addBlock(event.data);
+                }
+            };
+            this.captureNode.port.postMessage('flush');
+
+            // Don't hang if the audio thread is not running (e.g. the context is suspended)
+            setTimeout(resolve, 1000);
+        });
+    }
+
+    /**
+     * Store a captured block as 16-bit PCM, up to the size limit
+     */
+    _addBlock(block) {
+        if (this.limitReached) return;
+
+        const frames = Math.min(block[0].length, this._maxFrames() - this.frames);
+        const channels = block.map(channel => channel.subarray(0, frames));
+        this.parts.push(WavEncoder.encodeSamples(channels, 16));
+        this.frames += frames;
+
+        if (this.parts.length >= MasterRecorder.PARTS_PER_BLOB) {
+            this.blobs.push(new Blob(this.parts));
+            this.parts = [];
+        }
+
+        if (this.frames >= this._maxFrames()) {
+            this.limitReached = true;
+            if (this.onLimit) {
+                this.onLimit();
+            }
+        }
+    }
+
+    _maxFrames() {
+        return Math.floor((MasterRecorder.MAX_WAV_BYTES - WavEncoder.HEADER_SIZE) / MasterRecorder.WAV_FRAME_BYTES);
+    }
+
+    _emitTick() {
+        if (this.onTick) {
+            this.onTick(this.getState());
+        }
+    }
+
+    /**
+     * Register the capture processor once per context. It is defined inline and
+     * loaded from a Blob URL so the app stays a set of plain script files.
+     */
+    static async _loadWorklet(context) {
+        if (MasterRecorder.loadedContexts.has(context)) return;
+
+        const url = URL.createObjectURL(new Blob([MasterRecorder.WORKLET_SOURCE], { type: 'application/javascript' }));
+        try {
+            await context.audioWorklet.addModule(url);
+            MasterRecorder.loadedContexts.add(context);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+}
+
+MasterRecorder.FORMATS = {
+    wav: { label: 'WAV (16-bit)', extension: 'wav', mimeType: null },
+    webm: { label: 'WebM / Opus', extension: 'webm', mimeType: 'audio/webm;codecs=opus' }
+};
+
+// WAV recordings stop here, about 93 minutes at 48 kHz
+MasterRecorder.MAX_WAV_BYTES = 1024 * 1024 * 1024;
+// Stereo 16-bit
+MasterRecorder.WAV_FRAME_BYTES = 4;
+// Captured blocks gathered into each Blob, about 20 seconds at 48 kHz
+MasterRecorder.PARTS_PER_BLOB = 64;
+
+MasterRecorder.loadedContexts = new WeakSet();
+
+// Copies stereo input into blocks of 16384 frames and posts them to the main thread
+MasterRecorder.WORKLET_SOURCE = `
+class MasterRecorderCapture extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.blockSize = 16384;
+        this.buffers = [new Float32Array(this.blockSize), new Float32Array(this.blockSize)];
+        this.length = 0;
+        this.port.onmessage = (event) => {
+            if (event.data === 'flush') {
+                this.flush();
+                this.port.postMessage('flushed');
+            }
+        };
+    }
+
+    flush() {
+        if (this.length === 0) return;
+        const block = this.buffers.map(buffer => buffer.slice(0, this.length));
+        this.port.postMessage(block, block.map(channel => channel.buffer));
+        this.length = 0;
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        const frames = input.length > 0 ? input[0].length : 128;
+
+        for (let i = 0; i < frames; i++) {
+            for (let channel = 0; channel < 2; channel++) {
+                const source = input[channel] || input[0];
+                this.buffers[channel][this.length] = source ? source[i] : 0;
+            }
+            this.length++;
+            if (this.length === this.blockSize) {
+                this.flush();
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('master-recorder-capture', MasterRecorderCapture);
+`;
+
+// Export for use in main app
+window.MasterRecorder = MasterRecorder;
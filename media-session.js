@@ -0,0 +1,111 @@
+/**
+ * Media Session
+ * Puts the mix in the operating system's media controls (media keys, lock
+ * screen, notification shade) through navigator.mediaSession.
+ *
+ * Browsers only hand media keys to a page that is playing a media element,
+ * and Web Audio doesn't count, so a silent WAV loops in a hidden <audio>
+ * element whenever the mix plays.
+ */
+
+class MediaSessionControls {
+    constructor() {
+        this.audio = null;
+        this.isPlaying = false;
+        this.metadataKey = null;
+    }
+
+    /**
+     * Whether this browser has the Media Session API
+     */
+    static isSupported() {
+        return 'mediaSession' in navigator && typeof window.MediaMetadata === 'function';
+    }
+
+    /**
+     * Set what the OS controls do: { play, pause, stop, previoustrack, nexttrack }.
+     * Actions the browser doesn't know are skipped.
+     */
+    setHandlers(handlers) {
+        Object.entries(handlers).forEach(([action, handler]) => {
+            try {
+                navigator.mediaSession.setActionHandler(action, handler);
+            } catch (error) {
+                console.warn(`Media session action "${action}" is not supported:`, error);
+            }
+        });
+    }
+
+    /**
+     * Show the mix in the OS controls: { title, artist, isPlaying }
+     */
+    update({ title, artist, isPlaying }) {
+        const key = JSON.stringify([title, artist]);
+        if (key !== this.metadataKey) {
+            this.metadataKey = key;
+            navigator.mediaSession.metadata = new MediaMetadata({
+                title,
+                artist,
+                album: MediaSessionControls.ALBUM,
+                artwork: MediaSessionControls.ARTWORK
+            });
+        }
+
+        if (isPlaying !== this.isPlaying) {
+            this.isPlaying = isPlaying;
+            navigator.mediaSession.playbackState = isPlaying ? 'playing' : 'paused';
+            this._setSilence(isPlaying);
+        }
+    }
+
+    /**
+     * Stop the silent element and clear the OS controls
+     */
+    dispose() {
+        this._setSilence(false);
+        if (this.audio) {
+            URL.revokeObjectURL(this.audio.src);
+            this.audio = null;
+        }
+
+        navigator.mediaSession.metadata = null;
+        navigator.mediaSession.playbackState = 'none';
+        this.setHandlers(Object.fromEntries(MediaSessionControls.ACTIONS.map(action => [action, null])));
+    }
+
+    _setSilence(playing) {
+        if (!playing) {
+            if (this.audio) {
+                this.audio.pause();
+            }
+            return;
+        }
+
+        if (!this.audio) {
+            const { SILENCE_SECONDS, SILENCE_RATE } = MediaSessionControls;
+            const samples = new Float32Array(SILENCE_SECONDS * SILENCE_RATE);
+            this.audio = document.createElement('audio');
+            this.audio.src = URL.createObjectURL(WavEncoder.encodeChannels([samples], SILENCE_RATE, 16));
+            this.audio.loop = true;
+        }
+
+        // Needs a user gesture; Play All and the media keys both count
+        const started = this.audio.play();
+        if (started && started.catch) {
+            started.catch(error => console.warn('Media controls could not start:', error));
+        }
+    }
+}
+
+MediaSessionControls.ACTIONS = ['play', 'pause', 'stop', 'previoustrack', 'nexttrack'];
+MediaSessionControls.ALBUM = 'Multi-Layer Audio Generator';
+MediaSessionControls.ARTWORK = [
+    { src: 'icons/icon-192.png', sizes: '192x192', type: 'image/png' },
+    { src: 'icons/icon-512.png', sizes: '512x512', type: 'image/png' }
+];
+// Some browsers only show controls for media longer than a few seconds
+MediaSessionControls.SILENCE_SECONDS = 10;
+MediaSessionControls.SILENCE_RATE = 8000;
+
+// Export for use in main app
+window.MediaSessionControls = MediaSessionControls;
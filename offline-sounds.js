@@ -0,0 +1,135 @@
+/**
+ * Offline Sounds
+ * Registers the service worker and keeps library sound files in the sound
+ * cache it serves them from, so they play with no network. The worker
+ * revalidates cached files while online; prune() drops files the manifest no
+ * longer lists.
+ */
+
+class OfflineSounds {
+    constructor() {
+        this.registration = null;
+        // Paths the server answered 404 for; the manifest is read again on reload
+        this.missing = new Set();
+    }
+
+    /**
+     * Whether this browser can run the app offline (service workers need HTTPS or localhost)
+     */
+    static isSupported() {
+        return 'serviceWorker' in navigator && 'caches' in window && window.isSecureContext;
+    }
+
+    /**
+     * Register the service worker
+     */
+    async register() {
+        if (!OfflineSounds.isSupported()) {
+            throw new Error('Offline use is not supported here (it needs HTTPS or localhost)');
+        }
+
+        this.registration = await navigator.serviceWorker.register(OfflineSounds.WORKER_URL);
+        return this.registration;
+    }
+
+    /**
+     * Absolute URLs of the cached sound files
+     */
+    async getCached() {
+        const cache = await caches.open(OfflineSounds.CACHE_NAME);
+        const requests = await cache.keys();
+        return new Set(requests.map(request => request.url));
+    }
+
+    /**
+     * Whether a sound file (path relative to the page) is cached
+     */
+    async isCached(path) {
+        const cache = await caches.open(OfflineSounds.CACHE_NAME);
+        return Boolean(await cache.match(OfflineSounds.toUrl(path)));
+    }
+
+    /**
+     * Fetch a sound file from the server and cache it, replacing any older copy
+     */
+    async download(path) {
+        const url = OfflineSounds.toUrl(path);
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (response.status === 404) {
+            this.missing.add(path);
+        }
+        if (!response.ok) {
+            throw new Error(response.status === 404
+                ? `${path} was not found on the server`
+                : `${path} could not be downloaded (HTTP ${response.status})`);
+        }
+
+        this.missing.delete(path);
+        const cache = await caches.open(OfflineSounds.CACHE_NAME);
+        try {
+            await cache.put(url, response);
+        } catch (error) {
+            if (error && error.name === 'QuotaExceededError') {
+                throw new Error('Not enough storage space to keep this sound offline');
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Whether the server had no file at a path the last time it was downloaded
+     */
+    isMissing(path) {
+        return this.missing.has(path);
+    }
+
+    /**
+     * Remove a sound file from the cache
+     */
+    async remove(path) {
+        const cache = await caches.open(OfflineSounds.CACHE_NAME);
+        return cache.delete(OfflineSounds.toUrl(path));
+    }
+
+    /**
+     * Remove every cached file not in the given paths, such as files the
+     * manifest has dropped or moved. Resolves with the number removed.
+     */
+    async prune(paths) {
+        const keep = new Set(paths.map(path => OfflineSounds.toUrl(path)));
+        const cache = await caches.open(OfflineSounds.CACHE_NAME);
+        const requests = await cache.keys();
+        const stale = requests.filter(request => !keep.has(request.url));
+        await Promise.all(stale.map(request => cache.delete(request)));
+        return stale.length;
+    }
+
+    /**
+     * Bytes used by the cached sound files
+     */
+    async getUsage() {
+        const cache = await caches.open(OfflineSounds.CACHE_NAME);
+        const requests = await cache.keys();
+        let bytes = 0;
+        for (const request of requests) {
+            const response = await cache.match(request);
+            const length = Number(response && response.headers.get('content-length'));
+            bytes += Number.isFinite(length) && length > 0 ? length : (await response.blob()).size;
+        }
+        return bytes;
+    }
+
+    /**
+     * Absolute URL of a path relative to the page, as the cache keys them
+     */
+    static toUrl(path) {
+        return new URL(path, document.baseURI).href;
+    }
+}
+
+// Must match SOUND_CACHE in service-worker.js
+OfflineSounds.CACHE_NAME = 'focus-sounds';
+OfflineSounds.WORKER_URL = 'service-worker.js';
+
+// Export for use in main app
+window.OfflineSounds = OfflineSounds;
@@ -0,0 +1,265 @@
+/**
+ * Preset Store
+ * Persists the user's named preset library in localStorage
+ */
+
+class PresetStore {
+    constructor(storage = PresetStore.defaultStorage()) {
+        this.storage = storage;
+        this.storageKey = 'audioGeneratorPresets';
+        this.legacyKey = 'audioGeneratorCustomPreset';
+        this.presets = new Map();
+
+        this.load();
+    }
+
+    /**
+     * Load presets from storage, migrating older entries
+     */
+    load() {
+        this.presets.clear();
+
+        let stored = null;
+        try {
+            stored = JSON.parse(this.storage.getItem(this.storageKey));
+        } catch (error) {
+            console.error('Failed to read preset library:', error);
+        }
+
+        const entries = Array.isArray(stored?.presets) ? stored.presets : [];
+        entries.forEach(entry => {
+            const preset = this.migrate(entry);
+            if (preset) {
+                this.presets.set(preset.id, preset);
+            }
+        });
+
+        this._importLegacyPreset();
+    }
+
+    /**
+     * Write the library back to storage
+     */
+    save() {
+        const data = {
+            version: PresetStore.SCHEMA_VERSION,
+            presets: this.list()
+        };
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(data));
+        } catch (error) {
+            console.error('Failed to save preset library:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check a stored preset against the current schema version and fill in
+     * missing fields
+     */
+    migrate(entry) {
+        if (!entry || typeof entry !== 'object' || !entry.id) return null;
+
+        const version = entry.version || 0;
+        if (version > PresetStore.SCHEMA_VERSION) {
+            console.warn(`Skipping preset ${entry.id}: schema v${version} is newer than this app`);
+            return null;
+        }
+
+        const preset = { ...entry };
+        if (!Array.isArray(preset.layers)) {
+            console.warn(`Skipping preset ${entry.id}: no layer data`);
+            return null;
+        }
+
+        preset.name = preset.name || 'Untitled';
+        preset.createdAt = preset.createdAt || Date.now();
+        preset.updatedAt = preset.updatedAt || preset.createdAt;
+        preset.version = PresetStore.SCHEMA_VERSION;
+
+        return preset;
+    }
+
+    /**
+     * Get all presets in creation order
+     */
+    list() {
+        return Array.from(this.presets.values())
+            .sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    /**
+     * Get a preset by id
+     */
+    get(presetId) {
+        return this.presets.get(presetId) || null;
+    }
+
+    /**
+     * Check whether a preset exists
+     */
+    has(presetId) {
+        return this.presets.has(presetId);
+    }
+
+    /**
+     * Find a preset by its display name
+     */
+    findByName(name) {
+        const needle = name.trim().toLowerCase();
+        return this.list().find(preset => preset.name.toLowerCase() === needle) || null;
+    }
+
+    /**
+     * Create a new preset from a layer list
+     */
+    create(name, layers) {
+        const now = Date.now();
+        const preset = {
+            id: this._generateId(),
+            name: name.trim(),
+            version: PresetStore.SCHEMA_VERSION,
+            createdAt: now,
+            updatedAt: now,
+            layers: this._clone(layers)
+        };
+
+        this.presets.set(preset.id, preset);
+        this._saveOrUndo(() => this.presets.delete(preset.id));
+
+        return preset;
+    }
+
+    /**
+     * Rename an existing preset
+     */
+    rename(presetId, name) {
+        const preset = this._require(presetId);
+        const { name: previousName, updatedAt } = preset;
+        preset.name = name.trim();
+        preset.updatedAt = Date.now();
+        this._saveOrUndo(() => Object.assign(preset, { name: previousName, updatedAt }));
+
+        return preset;
+    }
+
+    /**
+     * Replace a preset's layers with new ones
+     */
+    overwrite(presetId, layers) {
+        const preset = this._require(presetId);
+        const { layers: previousLayers, updatedAt } = preset;
+        preset.layers = this._clone(layers);
+        preset.updatedAt = Date.now();
+        this._saveOrUndo(() => Object.assign(preset, { layers: previousLayers, updatedAt }));
+
+        return preset;
+    }
+
+    /**
+     * Copy a preset under a new name
+     */
+    duplicate(presetId, name) {
+        const source = this._require(presetId);
+        return this.create(name || `${source.name} (copy)`, source.layers);
+    }
+
+    /**
+     * Delete a preset
+     */
+    delete(presetId) {
+        const preset = this.presets.get(presetId);
+        if (!preset) return false;
+
+        this.presets.delete(presetId);
+        this._saveOrUndo(() => this.presets.set(presetId, preset));
+        return true;
+    }
+
+    /**
+     * Move the old single "custom" slot into the library
+     */
+    _importLegacyPreset() {
+        const legacy = this.storage.getItem(this.legacyKey);
+        if (!legacy) return;
+
+        try {
+            this.create('Custom', PresetStore.upgradeLayerMap(JSON.parse(legacy)));
+            this.storage.removeItem(this.legacyKey);
+            console.log('Imported legacy custom preset into the preset library');
+        } catch (error) {
+            console.error('Failed to import legacy custom preset:', error);
+        }
+    }
+
+    /**
+     * Convert the old "Save Custom" slot's layer map ({ nature: { sound: 'rain', volume } })
+     * to a layer list. The old fixed layer ids doubled as the sound category.
+     */
+    static upgradeLayerMap(layerMap) {
+        return Object.entries(layerMap).map(([category, layer]) => ({
+            sound: layer && layer.sound ? `${category}/${layer.sound}` : null,
+            volume: layer ? layer.volume : 0
+        }));
+    }
+
+    /**
+     * localStorage, or a store that only lasts for this page when the browser
+     * blocks it (reading window.localStorage then throws)
+     */
+    static defaultStorage() {
+        try {
+            if (window.localStorage) {
+                return window.localStorage;
+            }
+        } catch (error) {
+            console.warn('Browser storage is unavailable, so presets will only last until the page is closed:', error);
+        }
+
+        const items = new Map();
+        return {
+            getItem: key => (items.has(key) ? items.get(key) : null),
+            setItem: (key, value) => items.set(key, String(value)),
+            removeItem: key => items.delete(key)
+        };
+    }
+
+    /**
+     * Save the library, undoing an in-memory change if that fails so the
+     * list matches what is stored
+     */
+    _saveOrUndo(undo) {
+        try {
+            this.save();
+        } catch (error) {
+            undo();
+            throw error;
+        }
+    }
+
+    _require(presetId) {
+        const preset = this.presets.get(presetId);
+        if (!preset) {
+            throw new Error(`Preset ${presetId} not found`);
+        }
+        return preset;
+    }
+
+    _clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    _generateId() {
+        let id;
+        do {
+            id = `user-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+        } while (this.presets.has(id));
+        return id;
+    }
+}
+
+PresetStore.SCHEMA_VERSION = 1;
+
+// Export for use in main app
+window.PresetStore = PresetStore;
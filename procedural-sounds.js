@@ -0,0 +1,667 @@
+/**
+ * Procedural Sounds
+ * Synthesised stand-ins for the audio library, built from noise, filters,
+ * LFOs and oscillators so every sound works without asset files
+ */
+
+class ProceduralVoice {
+    constructor(context, destination) {
+        this.context = context;
+        this.output = context.createGain();
+        this.output.connect(destination);
+
+        this.sources = [];
+        this.streams = [];
+        this.timerId = null;
+        this.lookahead = 1.0;
+    }
+
+    /**
+     * Register a continuous source to start and stop with the voice
+     */
+    addSource(source, offset = 0) {
+        this.sources.push({ source, offset });
+        return source;
+    }
+
+    /**
+     * Register a stream of one-shot events spaced minInterval to maxInterval seconds apart
+     */
+    every(minInterval, maxInterval, callback, { immediate = false } = {}) {
+        this.streams.push({
+            next: null,
+            immediate,
+            interval: () => minInterval + Math.random() * (maxInterval - minInterval),
+            callback
+        });
+    }
+
+    /**
+     * Start the voice. Pass `until` to schedule all events up front (offline rendering);
+     * otherwise events are scheduled just ahead of the playhead.
+     */
+    start(when = this.context.currentTime, until = null) {
+        this.sources.forEach(({ source, offset }) => source.start(when, offset));
+
+        // Random phase so streams don't all fire together on start
+        this.streams.forEach(stream => {
+            stream.next = stream.immediate ? when : when + Math.random() * stream.interval();
+        });
+
+        if (until !== null) {
+            this._schedule(until);
+        } else {
+            this._schedule(this.context.currentTime + this.lookahead);
+            this.timerId = setInterval(() => {
+                this._schedule(this.context.currentTime + this.lookahead);
+            }, 250);
+        }
+    }
+
+    /**
+     * Stop the voice and release its output
+     */
+    stop(when = this.context.currentTime) {
+        clearInterval(this.timerId);
+        this.timerId = null;
+
+        this.sources.forEach(({ source }) => {
+            try {
+                source.stop(when);
+            } catch (e) {
+                // Already stopped
+            }
+        });
+
+        // Events already scheduled past the stop time are silenced by disconnecting
+        if (when <= this.context.currentTime) {
+            this.output.disconnect();
+        }
+    }
+
+    _schedule(until) {
+        this.streams.forEach(stream => {
+            while (stream.next < until) {
+                stream.callback(stream.next);
+                stream.next += stream.interval();
+            }
+        });
+    }
+}
+
+class ProceduralSounds {
+    constructor(getNoiseBuffer) {
+        this.getNoiseBuffer = getNoiseBuffer;
+        this.pluckCache = new Map();
+
+        // Library sound -> recipe
+        this.recipes = {
+            nature: {
+                rain: (voice) => this._rain(voice),
+                forest: (voice) => this._forest(voice),
+                ocean: (voice) => this._ocean(voice),
+                stream: (voice) => this._stream(voice),
+                birds: (voice) => this._birds(voice)
+            },
+            music: {
+                piano: (voice) => this._keys(voice),
+                ambient: (voice) => this._pad(voice, { waveform: 'triangle', cutoff: 1500, level: 0.1, chordLength: 8 }),
+                guitar: (voice) => this._guitar(voice),
+                strings: (voice) => this._pad(voice, { waveform: 'sawtooth', cutoff: 1400, level: 0.07, chordLength: 6, detune: 8 }),
+                lofi: (voice) => this._lofi(voice)
+            },
+            noise: {
+                fan: (voice) => this._fan(voice),
+                cafe: (voice) => this._cafe(voice)
+            },
+            ambient: {
+                space: (voice) => this._drone(voice),
+                temple: (voice) => this._bells(voice),
+                wind: (voice) => this._chimes(voice),
+                tibetan: (voice) => this._bowls(voice),
+                meditation: (voice) => this._pad(voice, {
+                    waveform: 'sine',
+                    cutoff: 800,
+                    level: 0.06,
+                    chordLength: 12,
+                    chords: [
+                        [65.41, 98.00, 130.81, 164.81],
+                        [73.42, 110.00, 146.83, 220.00]
+                    ]
+                })
+            }
+        };
+    }
+
+    /**
+     * Check whether a sound has a procedural version
+     */
+    has(soundType, soundName) {
+        return Boolean(this.recipes[soundType]?.[soundName]);
+    }
+
+    /**
+     * Build a voice for a sound, connected to destination but not started
+     */
+    create(soundType, soundName, context, destination) {
+        const recipe = this.recipes[soundType]?.[soundName];
+        if (!recipe) {
+            throw new Error(`No procedural recipe for ${soundType}/${soundName}`);
+        }
+
+        const voice = new ProceduralVoice(context, destination);
+        recipe(voice);
+        return voice;
+    }
+
+    // ----- Recipes -----
+
+    _rain(voice) {
+        // Steady hiss of distant rain, slowly changing in intensity
+        const hiss = this._gain(voice, 0.8);
+        this._chain(this._noise(voice, 'pink'), this._filter(voice, 'highpass', 500),
+            this._filter(voice, 'lowpass', 9000), hiss, voice.output);
+        this._lfo(voice, 0.07, 0.2, hiss.gain);
+
+        // Low rumble of rain on surfaces
+        this._chain(this._noise(voice, 'brown'), this._filter(voice, 'lowpass', 400),
+            this._gain(voice, 0.4), voice.output);
+
+        // Individual close drops
+        voice.every(0.03, 0.15, (time) => {
+            this._burst(voice, time, {
+                filterType: 'bandpass',
+                frequency: 2000 + Math.random() * 4000,
+                Q: 2,
+                level: 0.1 + Math.random() * 0.2,
+                decay: 0.02
+            });
+        });
+    }
+
+    _ocean(voice) {
+        // Two swells at unrelated rates so the waves never line up exactly
+        [0.09, 0.13].forEach(rate => {
+            const lowpass = this._filter(voice, 'lowpass', 700, 0.5);
+            const swell = this._gain(voice, 0.35);
+            this._chain(this._noise(voice, 'brown'), lowpass, swell, voice.output);
+
+            // The filter opens as the wave rises
+            this._lfo(voice, rate, 500, lowpass.frequency);
+            this._lfo(voice, rate, 0.28, swell.gain);
+        });
+
+        // Foam on the crest
+        const foam = this._gain(voice, 0.06);
+        this._chain(this._noise(voice, 'pink'), this._filter(voice, 'highpass', 2000), foam, voice.output);
+        this._lfo(voice, 0.09, 0.06, foam.gain);
+    }
+
+    _wind(voice, level = 1) {
+        [
+            { frequency: 350, depth: 200, rate: 0.06 },
+            { frequency: 900, depth: 400, rate: 0.11 }
+        ].forEach(({ frequency, depth, rate }) => {
+            const bandpass = this._filter(voice, 'bandpass', frequency, 1.2);
+            const gust = this._gain(voice, 1.6 * level);
+            this._chain(this._noise(voice, 'pink'), bandpass, gust, voice.output);
+
+            this._lfo(voice, rate, depth, bandpass.frequency);
+            this._lfo(voice, rate * 0.7, 1.1 * level, gust.gain);
+        });
+    }
+
+    _stream(voice) {
+        // Body of the water
+        this._chain(this._noise(voice, 'brown'), this._filter(voice, 'lowpass', 800),
+            this._gain(voice, 0.45), voice.output);
+
+        // Babbling: narrow bands wandering at unrelated rates
+        [
+            { frequency: 1200, rate: 0.7, flutter: 3.1 },
+            { frequency: 2200, rate: 1.3, flutter: 4.7 },
+            { frequency: 3500, rate: 2.9, flutter: 6.3 }
+        ].forEach(({ frequency, rate, flutter }) => {
+            const bandpass = this._filter(voice, 'bandpass', frequency, 4);
+            const level = this._gain(voice, 0.3);
+            this._chain(this._noise(voice, 'white'), bandpass, level, voice.output);
+
+            this._lfo(voice, rate, frequency * 0.25, bandpass.frequency);
+            this._lfo(voice, flutter, 0.15, level.gain);
+        });
+
+        // Bubbles
+        voice.every(0.08, 0.4, (time) => {
+            const frequency = 400 + Math.random() * 800;
+            this._chirp(voice, time, frequency, frequency * 1.6, 0.04, 0.06);
+        });
+    }
+
+    _birds(voice, density = 1) {
+        // Faint rustle of leaves
+        this._chain(this._noise(voice, 'pink'), this._filter(voice, 'highpass', 2500),
+            this._gain(voice, 0.1), voice.output);
+
+        voice.every(0.8 / density, 4 / density, (time) => {
+            const base = 2000 + Math.random() * 2500;
+            const notes = 2 + Math.floor(Math.random() * 5);
+            const rising = Math.random() < 0.5;
+            let start = time;
+
+            for (let i = 0; i < notes; i++) {
+                const frequency = base * (0.9 + Math.random() * 0.2);
+                const duration = 0.05 + Math.random() * 0.04;
+                this._chirp(voice, start, frequency, frequency * (rising ? 1.3 : 0.75), duration, 0.5);
+                start += duration + 0.04 + Math.random() * 0.05;
+            }
+        });
+    }
+
+    _forest(voice) {
+        this._wind(voice, 0.6);
+        this._birds(voice, 0.6);
+    }
+
+    _fan(voice) {
+        // Air movement
+        this._chain(this._noise(voice, 'brown'), this._filter(voice, 'lowpass', 1000),
+            this._gain(voice, 0.7), voice.output);
+
+        // Blade whoosh pulsing at the blade-pass rate
+        const whoosh = this._gain(voice, 0.3);
+        this._chain(this._noise(voice, 'pink'), this._filter(voice, 'bandpass', 1400, 0.7), whoosh, voice.output);
+        this._lfo(voice, 18, 0.08, whoosh.gain);
+
+        // Motor hum
+        [{ frequency: 120, level: 0.05 }, { frequency: 240, level: 0.02 }].forEach(({ frequency, level }) => {
+            this._chain(this._oscillator(voice, 'sine', frequency), this._gain(voice, level), voice.output);
+        });
+    }
+
+    _cafe(voice) {
+        // Room tone
+        this._chain(this._noise(voice, 'brown'), this._filter(voice, 'lowpass', 500),
+            this._gain(voice, 0.4), voice.output);
+
+        // Murmur of conversation in the speech band
+        [
+            { frequency: 350, rate: 1.9 },
+            { frequency: 600, rate: 2.7 },
+            { frequency: 1000, rate: 3.4 }
+        ].forEach(({ frequency, rate }) => {
+            const murmur = this._gain(voice, 0.6);
+            this._chain(this._noise(voice, 'pink'), this._filter(voice, 'bandpass', frequency, 1.5), murmur, voice.output);
+            this._lfo(voice, rate, 0.35, murmur.gain);
+        });
+
+        // Cups and spoons
+        voice.every(2, 7, (time) => {
+            const frequency = [2637, 3136, 3520][Math.floor(Math.random() * 3)];
+            this._strike(voice, time, frequency, [
+                { ratio: 1, gain: 1, decay: 0.4 },
+                { ratio: 2.7, gain: 0.4, decay: 0.2 }
+            ], 0.04 + Math.random() * 0.04);
+        });
+    }
+
+    _drone(voice) {
+        const lowpass = this._filter(voice, 'lowpass', 600, 2);
+        const level = this._gain(voice, 0.07);
+        this._chain(lowpass, level, voice.output);
+        this._lfo(voice, 0.03, 300, lowpass.frequency);
+
+        // Detuned saws on a root, fifth and octave
+        [55, 82.41, 110].forEach(frequency => {
+            [-6, 6].forEach(cents => {
+                const oscillator = this._oscillator(voice, 'sawtooth', frequency);
+                oscillator.detune.value = cents;
+                oscillator.connect(lowpass);
+            });
+        });
+
+        // Sub
+        this._chain(this._oscillator(voice, 'sine', 55), this._gain(voice, 0.12), voice.output);
+
+        // High shimmer
+        const shimmer = this._gain(voice, 0.03);
+        this._chain(this._noise(voice, 'pink'), this._filter(voice, 'bandpass', 3000, 2), shimmer, voice.output);
+        this._lfo(voice, 0.05, 0.03, shimmer.gain);
+    }
+
+    _bowls(voice) {
+        const fundamentals = [196.00, 220.00, 261.63];
+        const root = fundamentals[Math.floor(Math.random() * fundamentals.length)];
+
+        // Rim singing between strikes
+        const singing = this._gain(voice, 0.06);
+        this._chain(this._oscillator(voice, 'sine', root), singing, voice.output);
+        this._lfo(voice, 0.2, 0.04, singing.gain);
+
+        voice.every(7, 12, (time) => {
+            const frequency = Math.random() < 0.7 ? root : root * 1.5;
+            this._strike(voice, time, frequency, [
+                { ratio: 1, gain: 1, decay: 12 },
+                { ratio: 2.72, gain: 0.5, decay: 8 },
+                { ratio: 5.2, gain: 0.25, decay: 4 },
+                { ratio: 8.7, gain: 0.1, decay: 2 }
+            ], 0.2, { beat: 0.7 });
+        }, { immediate: true });
+    }
+
+    _bells(voice) {
+        // Quiet temple room
+        this._chain(this._noise(voice, 'pink'), this._filter(voice, 'lowpass', 300),
+            this._gain(voice, 0.2), voice.output);
+
+        voice.every(6, 12, (time) => {
+            const frequency = [130.81, 164.81, 196.00][Math.floor(Math.random() * 3)];
+            this._strike(voice, time, frequency, [
+                { ratio: 1, gain: 1, decay: 8 },
+                { ratio: 2, gain: 0.6, decay: 6 },
+                { ratio: 2.4, gain: 0.4, decay: 5 },
+                { ratio: 3, gain: 0.3, decay: 4 },
+                { ratio: 4.2, gain: 0.15, decay: 2.5 },
+                { ratio: 5.4, gain: 0.1, decay: 1.5 }
+            ], 0.25, { beat: 0.5 });
+        }, { immediate: true });
+    }
+
+    _chimes(voice) {
+        this._wind(voice, 0.5);
+
+        const notes = [1046.50, 1174.66, 1318.51, 1567.98, 1760.00, 2093.00];
+        voice.every(0.3, 2.5, (time) => {
+            const frequency = notes[Math.floor(Math.random() * notes.length)];
+            this._strike(voice, time, frequency, [
+                { ratio: 1, gain: 1, decay: 3 },
+                { ratio: 2.76, gain: 0.35, decay: 1.5 },
+                { ratio: 5.4, gain: 0.12, decay: 0.6 }
+            ], 0.05 + Math.random() * 0.1);
+        });
+    }
+
+    _pad(voice, {
+        waveform,
+        cutoff,
+        level,
+        chordLength,
+        detune = 5,
+        chords = [
+            [130.81, 196.00, 246.94, 329.63],
+            [110.00, 164.81, 261.63, 329.63],
+            [87.31, 130.81, 220.00, 329.63],
+            [98.00, 146.83, 246.94, 293.66]
+        ],
+        destination = voice.output
+    }) {
+        const lowpass = this._filter(voice, 'lowpass', cutoff, 0.7);
+        lowpass.connect(destination);
+        this._lfo(voice, 0.05, cutoff * 0.3, lowpass.frequency);
+
+        let index = 0;
+        voice.every(chordLength, chordLength, (time) => {
+            const chord = chords[index++ % chords.length];
+            const end = time + chordLength * 1.5;
+
+            chord.forEach(frequency => {
+                const envelope = voice.context.createGain();
+                envelope.gain.setValueAtTime(0, time);
+                envelope.gain.linearRampToValueAtTime(level, time + chordLength * 0.3);
+                envelope.gain.setValueAtTime(level, time + chordLength);
+                envelope.gain.linearRampToValueAtTime(0, end);
+                envelope.connect(lowpass);
+
+                [-detune, detune].forEach(cents => {
+                    const oscillator = voice.context.createOscillator();
+                    oscillator.type = waveform;
+                    oscillator.frequency.value = frequency;
+                    oscillator.detune.value = cents;
+                    oscillator.connect(envelope);
+                    oscillator.start(time);
+                    oscillator.stop(end);
+                });
+            });
+        }, { immediate: true });
+    }
+
+    _keys(voice, { destination = voice.output, octave = 1 } = {}) {
+        const notes = [261.63, 293.66, 329.63, 392.00, 440.00, 523.25, 587.33, 659.25, 783.99];
+        const partials = [
+            { ratio: 1, gain: 1, decay: 2.5 },
+            { ratio: 2, gain: 0.35, decay: 1.5 },
+            { ratio: 3, gain: 0.15, decay: 0.8 },
+            { ratio: 4, gain: 0.08, decay: 0.5 }
+        ];
+
+        voice.every(0.5, 1.4, (time) => {
+            const frequency = notes[Math.floor(Math.random() * notes.length)] * octave;
+            const level = 0.2 + Math.random() * 0.12;
+            this._strike(voice, time, frequency, partials, level, { destination });
+
+            // Now and then add a note below
+            if (Math.random() < 0.3) {
+                this._strike(voice, time, frequency / 2, partials, level * 0.7, { destination });
+            }
+        }, { immediate: true });
+    }
+
+    _guitar(voice) {
+        const notes = [164.81, 196.00, 220.00, 246.94, 293.66, 329.63, 392.00];
+
+        voice.every(0.4, 1.2, (time) => {
+            // Occasionally strum three strings instead of picking one
+            const count = Math.random() < 0.25 ? 3 : 1;
+            const first = Math.floor(Math.random() * (notes.length - count + 1));
+
+            for (let i = 0; i < count; i++) {
+                this._pluck(voice, time + i * 0.03, notes[first + i], 0.45 + Math.random() * 0.2);
+            }
+        }, { immediate: true });
+    }
+
+    _lofi(voice) {
+        const beat = 60 / 75;
+
+        // Everything musical goes through a dark filter
+        const tone = this._filter(voice, 'lowpass', 1800, 0.7);
+        tone.connect(voice.output);
+
+        this._pad(voice, { waveform: 'triangle', cutoff: 900, level: 0.08, chordLength: beat * 4, destination: tone });
+        this._keys(voice, { destination: tone, octave: 0.5 });
+
+        // Kick, snare and hats on an eighth-note grid with a little swing
+        let step = 0;
+        voice.every(beat / 2, beat / 2, (time) => {
+            const position = step++ % 8;
+            const swung = position % 2 === 1 ? time + beat * 0.08 : time;
+
+            if (position === 0 || position === 5) {
+                this._chirp(voice, swung, 120, 45, 0.3, 0.5, { destination: tone });
+            }
+            if (position === 2 || position === 6) {
+                this._burst(voice, swung, { filterType: 'bandpass', frequency: 1800, Q: 0.8, level: 0.15, decay: 0.18 });
+            }
+            this._burst(voice, swung, {
+                filterType: 'highpass',
+                frequency: 7000,
+                level: position % 2 === 0 ? 0.05 : 0.03,
+                decay: 0.04
+            });
+        });
+
+        // Vinyl crackle and hiss
+        voice.every(0.05, 0.5, (time) => {
+            this._burst(voice, time, {
+                filterType: 'highpass',
+                frequency: 2000,
+                level: 0.02 + Math.random() * 0.04,
+                decay: 0.003
+            });
+        });
+        this._chain(this._noise(voice, 'pink'), this._filter(voice, 'highpass', 4000),
+            this._gain(voice, 0.02), voice.output);
+    }
+
+    // ----- Building blocks -----
+
+    /**
+     * Looping noise source, started at a random point in the buffer
+     */
+    _noise(voice, type) {
+        const source = voice.context.createBufferSource();
+        source.buffer = this.getNoiseBuffer(type);
+        source.loop = true;
+        return voice.addSource(source, Math.random() * source.buffer.duration);
+    }
+
+    _oscillator(voice, type, frequency) {
+        const oscillator = voice.context.createOscillator();
+        oscillator.type = type;
+        oscillator.frequency.value = frequency;
+        return voice.addSource(oscillator);
+    }
+
+    _filter(voice, type, frequency, Q = 1) {
+        const filter = voice.context.createBiquadFilter();
+        filter.type = type;
+        filter.frequency.value = frequency;
+        filter.Q.value = Q;
+        return filter;
+    }
+
+    _gain(voice, value) {
+        const gain = voice.context.createGain();
+        gain.gain.value = value;
+        return gain;
+    }
+
+    /**
+     * Modulate an AudioParam around its current value
+     */
+    _lfo(voice, frequency, depth, param) {
+        const oscillator = this._oscillator(voice, 'sine', frequency);
+        const amount = this._gain(voice, depth);
+        oscillator.connect(amount);
+        amount.connect(param);
+        return oscillator;
+    }
+
+    _chain(...nodes) {
+        for (let i = 0; i < nodes.length - 1; i++) {
+            nodes[i].connect(nodes[i + 1]);
+        }
+        return nodes[nodes.length - 1];
+    }
+
+    /**
+     * Struck tone from decaying sine partials. `beat` adds a slightly detuned
+     * copy of each partial for the slow beating of bowls and bells.
+     */
+    _strike(voice, time, frequency, partials, level, { beat = 0, destination = voice.output } = {}) {
+        const context = voice.context;
+
+        partials.forEach(({ ratio, gain, decay }) => {
+            const frequencies = beat ? [frequency * ratio, frequency * ratio + beat] : [frequency * ratio];
+
+            frequencies.forEach(partialFrequency => {
+                const oscillator = context.createOscillator();
+                oscillator.type = 'sine';
+                oscillator.frequency.value = partialFrequency;
+
+                const envelope = context.createGain();
+                envelope.gain.setValueAtTime(0, time);
+                envelope.gain.linearRampToValueAtTime(level * gain / frequencies.length, time + 0.005);
+                envelope.gain.exponentialRampToValueAtTime(0.0001, time + decay);
+
+                oscillator.connect(envelope);
+                envelope.connect(destination);
+                oscillator.start(time);
+                oscillator.stop(time + decay);
+            });
+        });
+    }
+
+    /**
+     * Short pitch sweep (bird chirps, bubbles, kick drums)
+     */
+    _chirp(voice, time, from, to, duration, level, { destination = voice.output } = {}) {
+        const context = voice.context;
+        const oscillator = context.createOscillator();
+        oscillator.type = 'sine';
+        oscillator.frequency.setValueAtTime(from, time);
+        oscillator.frequency.exponentialRampToValueAtTime(to, time + duration);
+
+        const envelope = context.createGain();
+        envelope.gain.setValueAtTime(0, time);
+        envelope.gain.linearRampToValueAtTime(level, time + Math.min(0.01, duration / 4));
+        envelope.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+
+        oscillator.connect(envelope);
+        envelope.connect(destination);
+        oscillator.start(time);
+        oscillator.stop(time + duration);
+    }
+
+    /**
+     * Filtered noise burst (rain drops, snares, hats, crackle)
+     */
+    _burst(voice, time, { filterType, frequency, Q = 1, level, decay, destination = voice.output }) {
+        const context = voice.context;
+        const source = context.createBufferSource();
+        source.buffer = this.getNoiseBuffer('white');
+
+        const filter = this._filter(voice, filterType, frequency, Q);
+        const envelope = context.createGain();
+        envelope.gain.setValueAtTime(level, time);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, time + decay);
+
+        this._chain(source, filter, envelope, destination);
+        source.start(time, Math.random() * (source.buffer.duration - decay));
+        source.stop(time + decay);
+    }
+
+    /**
+     * Plucked string via Karplus-Strong synthesis
+     */
+    _pluck(voice, time, frequency, level) {
+        const context = voice.context;
+        const key = `${context.sampleRate}:${frequency}`;
+
+        if (!this.pluckCache.has(key)) {
+            this.pluckCache.set(key, this._createPluckBuffer(context, frequency));
+        }
+
+        const source = context.createBufferSource();
+        source.buffer = this.pluckCache.get(key);
+
+        const gain = this._gain(voice, level);
+        this._chain(source, gain, voice.output);
+        source.start(time);
+    }
+
+    _createPluckBuffer(context, frequency) {
+        const sampleRate = context.sampleRate;
+        const length = Math.floor(sampleRate * 2.5);
+        const period = Math.round(sampleRate / frequency);
+        const buffer = context.createBuffer(1, length, sampleRate);
+        const data = buffer.getChannelData(0);
+
+        // Excite with a burst of softened noise
+        let last = 0;
+        for (let i = 0; i < period; i++) {
+            const white = Math.random() * 2 - 1;
+            data[i] = (white + last) / 2;
+            last = white;
+        }
+
+        // Averaging feedback loop damps the string
+        for (let i = period; i < length; i++) {
+            data[i] = 0.996 * 0.5 * (data[i - period] + data[i - period + 1]);
+        }
+
+        return buffer;
+    }
+}
+
+// Export for use in audio engine
+window.ProceduralSounds = ProceduralSounds;
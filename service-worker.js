@@ -0,0 +1,189 @@
+/**
+ * Service Worker
+ * Makes the app work with no network:
+ *   - the app shell is precached in a cache named after CACHE_VERSION; bump it
+ *     whenever a shell file changes, and the old cache is dropped on activation
+ *   - sounds.json is fetched from the network when there is one, so new and
+ *     moved sounds are picked up, and from the cache otherwise
+ *   - sound files the user made available offline (see offline-sounds.js) are
+ *     served from the sound cache, which is kept across app versions. While
+ *     online, each is revalidated in the background, so an updated file on the
+ *     server replaces the stale copy.
+ */
+
+const CACHE_VERSION = 3;
+const SHELL_CACHE = `focus-shell-v${CACHE_VERSION}`;
+// Must match OfflineSounds.CACHE_NAME
+const SOUND_CACHE = 'focus-sounds';
+const MANIFEST_URL = 'sounds.json';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon-maskable-512.png',
+    'sounds.json',
+    'sounds.schema.json',
+    'soundscape.schema.json',
+    'procedural-sounds.js',
+    'layer-effects.js',
+    'brainwave-tones.js',
+    'loudness-meter.js',
+    'audio-engine.js',
+    'sound-manifest.js',
+    'wav-encoder.js',
+    'master-recorder.js',
+    'preset-store.js',
+    'user-sounds.js',
+    'offline-sounds.js',
+    'soundscape-file.js',
+    'share-link.js',
+    'focus-timer.js',
+    'sleep-timer.js',
+    'timeline-player.js',
+    'drift-player.js',
+    'video-sync.js',
+    'speech-ducker.js',
+    'keyboard-shortcuts.js',
+    'command-palette.js',
+    'media-session.js',
+    'app.js'
+];
+
+// Sound files already revalidated since the worker started
+const revalidated = new Set();
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES.map(file => new Request(file, { cache: 'reload' }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('focus-shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (url.pathname.endsWith(`/${MANIFEST_URL}`)) {
+        event.respondWith(networkFirst(request));
+        return;
+    }
+
+    event.respondWith(fromCache(request));
+});
+
+/**
+ * Answer from the sound or shell cache, or the network if neither has it
+ */
+async function fromCache(request) {
+    const soundCache = await caches.open(SOUND_CACHE);
+    const sound = await soundCache.match(request.url);
+    if (sound) {
+        revalidate(soundCache, request.url, sound);
+        return request.headers.has('range') ? rangeResponse(sound, request.headers.get('range')) : sound;
+    }
+
+    const shell = await caches.match(request, { cacheName: SHELL_CACHE, ignoreSearch: request.mode === 'navigate' });
+    if (shell) return shell;
+
+    try {
+        return await fetch(request);
+    } catch (error) {
+        // Offline: any page of the app opens the shell
+        if (request.mode === 'navigate') {
+            return caches.match('index.html', { cacheName: SHELL_CACHE });
+        }
+        throw error;
+    }
+}
+
+/**
+ * Fetch and refresh the cached copy, falling back to it when offline
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request, { cache: 'no-cache' });
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Ask the server whether a cached sound file changed, and store the new one if so
+ */
+function revalidate(cache, url, cached) {
+    if (revalidated.has(url) || self.navigator.onLine === false) return;
+    revalidated.add(url);
+
+    const headers = {};
+    if (cached.headers.has('etag')) {
+        headers['If-None-Match'] = cached.headers.get('etag');
+    }
+    if (cached.headers.has('last-modified')) {
+        headers['If-Modified-Since'] = cached.headers.get('last-modified');
+    }
+
+    fetch(url, { headers, cache: 'no-cache' })
+        .then(response => {
+            if (response.status === 200) {
+                console.log(`Updated offline copy of ${url}`);
+                return cache.put(url, response);
+            }
+            return null;
+        })
+        .catch(() => {
+            // Keep the cached copy until the server can be reached
+            revalidated.delete(url);
+        });
+}
+
+/**
+ * Serve part of a cached file, as audio elements ask for ranges when they stream
+ */
+async function rangeResponse(response, range) {
+    const blob = await response.blob();
+    const match = /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+    }
+
+    // "bytes=-500" asks for the last 500 bytes
+    const start = match[1] === '' ? Math.max(blob.size - Number(match[2]), 0) : Number(match[1]);
+    const end = match[1] === '' || match[2] === '' ? blob.size - 1 : Math.min(Number(match[2]), blob.size - 1);
+    if (start > end || start >= blob.size) {
+        return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+    }
+
+    return new Response(blob.slice(start, end + 1), {
+        status: 206,
+        headers: {
+            'Content-Type': response.headers.get('content-type') || blob.type,
+            'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+            'Content-Length': String(end - start + 1),
+            'Accept-Ranges': 'bytes'
+        }
+    });
+}
@@ -0,0 +1,369 @@
+/**
+ * Share Link
+ * Encodes the mixer state into a compact URL hash and back.
+ *
+ * Format: #v=1&l=nature/rain:40,noise/cafe:50:lp900_pan-30_rev20_hall,:50::300v20_600snoise/pink&m=70&x=1&f=1000&o=1&t=1800
+ *   l - layers in order as sound:volume% (empty sound = no selection), optionally
+ *       followed by :effects - only the ones in use, joined by '_':
+ *       lo/mi/hi EQ dB, lp/hp tone filter cutoff Hz, pan %, rev reverb %, reverb space
+ *       then :timeline - points joined by '_', each starting with its time in seconds:
+ *       <time>v<volume%> for a volume keyframe, <time>s<sound> for a sound change
+ *       (nothing after the s = silence)
+ *       then :drift - s seed, v/p volume and pan range in % (v20to60, p-50to50),
+ *       c cutoff range Hz, w average minutes between sound swaps
+ *       and then :brainwave - the tone settings that differ from their defaults:
+ *       c carrier Hz, b beat Hz, waveform (c300_b6_triangle)
+ *       (empty fields are kept when a later one is used)
+ *   m - master volume %
+ *   x - crossfade on/off, f - fade duration in ms, o - loop on/off
+ *   t - timeline loop length in seconds (0 or missing = play once)
+ */
+
+class ShareLink {
+    /**
+     * Encode a soundscape (layers, master, settings) as a hash string without '#'
+     */
+    encode({ layers, master, settings }) {
+        const params = new URLSearchParams();
+        params.set('v', ShareLink.VERSION);
+
+        const entries = layers.map(layer => {
+            const entry = `${layer.sound || ''}:${Math.round(layer.volume * 100)}`;
+            const effects = layer.effects ? this._encodeEffects(layer.effects) : '';
+            const timeline = layer.timeline ? this._encodeTimeline(layer.timeline) : '';
+            const drift = layer.drift ? this._encodeDrift(layer.drift) : '';
+            const brainwave = layer.brainwave ? this._encodeBrainwave(layer.brainwave) : '';
+
+            // Drop trailing empty fields
+            const fields = [entry, effects, timeline, drift, brainwave];
+            while (!fields[fields.length - 1]) {
+                fields.pop();
+            }
+            return fields.join(':');
+        });
+        params.set('l', entries.join(','));
+
+        if (master) {
+            params.set('m', Math.round(master.volume * 100));
+        }
+
+        if (settings) {
+            params.set('x', settings.enableCrossfade ? 1 : 0);
+            params.set('f', Math.round(settings.fadeDuration * 1000));
+            params.set('o', settings.loopLayers ? 1 : 0);
+            if (settings.timelineLoop) {
+                params.set('t', Math.round(settings.timelineLoop));
+            }
+        }
+
+        // Keep separators readable in the address bar
+        return params.toString()
+            .replace(/%2C/g, ',')
+            .replace(/%3A/g, ':')
+            .replace(/%2F/g, '/');
+    }
+
+    /**
+     * Decode a hash into a soundscape document, or null if there is none.
+     * Throws SoundscapeValidationError if the hash cannot be read.
+     */
+    decode(hash) {
+        const raw = hash.replace(/^#/, '');
+        if (!raw) return null;
+
+        const params = new URLSearchParams(raw);
+        const errors = [];
+
+        const version = params.get('v');
+        if (version !== String(ShareLink.VERSION)) {
+            errors.push(`Unsupported link version ${JSON.stringify(version)}`);
+        }
+
+        if (!params.has('l')) {
+            errors.push('Link has no layers');
+        }
+
+        if (errors.length > 0) {
+            throw new SoundscapeValidationError(errors);
+        }
+
+        const layers = this._decodeLayers(params.get('l'), errors);
+
+        if (errors.length > 0) {
+            throw new SoundscapeValidationError(errors);
+        }
+
+        const soundscape = {
+            format: SoundscapeFile.FORMAT,
+            version: SoundscapeFile.VERSION,
+            layers
+        };
+
+        if (params.has('m')) {
+            soundscape.master = { volume: this._parsePercent(params.get('m')) };
+        }
+
+        if (['x', 'f', 'o', 't'].some(key => params.has(key))) {
+            soundscape.settings = {};
+            if (params.has('x')) {
+                soundscape.settings.enableCrossfade = this._parseFlag(params.get('x'));
+            }
+            if (params.has('f')) {
+                soundscape.settings.fadeDuration = this._parseNumber(params.get('f')) / 1000;
+            }
+            if (params.has('o')) {
+                soundscape.settings.loopLayers = this._parseFlag(params.get('o'));
+            }
+            if (params.has('t')) {
+                soundscape.settings.timelineLoop = this._parseNumber(params.get('t'));
+            }
+        }
+
+        return soundscape;
+    }
+
+    _decodeLayers(value, errors) {
+        return value.split(',').filter(Boolean).map(entry => {
+            const parts = entry.split(':');
+            if (parts.length < 2 || parts.length > 6) {
+                errors.push(`Malformed layer entry "${entry}"`);
+                return null;
+            }
+
+            const [sound, volume, effects, timeline, drift, brainwave] = parts;
+            const layer = {
+                sound: sound || null,
+                volume: this._parsePercent(volume)
+            };
+
+            if (effects) {
+                layer.effects = this._decodeEffects(effects, errors);
+            }
+            if (timeline) {
+                layer.timeline = this._decodeTimeline(timeline, errors);
+            }
+            if (drift) {
+                layer.drift = this._decodeDrift(drift, errors);
+            }
+            if (brainwave) {
+                layer.brainwave = this._decodeBrainwave(brainwave, errors);
+            }
+            return layer;
+        });
+    }
+
+    /**
+     * Encode the effects that differ from their defaults, e.g. lo-3_hp200_pan-20
+     */
+    _encodeEffects(effects) {
+        const settings = LayerEffects.normalize(effects);
+        const defaults = LayerEffects.DEFAULTS;
+        const round = (value) => Math.round(value * 10) / 10;
+        const tokens = [];
+
+        ['low', 'mid', 'high'].forEach(band => {
+            if (settings[band] !== defaults[band]) {
+                tokens.push(`${ShareLink.EFFECT_KEYS[band]}${round(settings[band])}`);
+            }
+        });
+
+        if (settings.filter !== 'off') {
+            tokens.push(`${ShareLink.EFFECT_KEYS[settings.filter]}${Math.round(settings.cutoff)}`);
+        }
+        if (settings.pan !== defaults.pan) {
+            tokens.push(`pan${Math.round(settings.pan * 100)}`);
+        }
+        if (settings.reverb !== defaults.reverb) {
+            tokens.push(`rev${Math.round(settings.reverb * 100)}`);
+        }
+        if (settings.space !== defaults.space) {
+            tokens.push(settings.space);
+        }
+
+        return tokens.join('_');
+    }
+
+    _decodeEffects(value, errors) {
+        const effects = {};
+        const keys = Object.fromEntries(Object.entries(ShareLink.EFFECT_KEYS).map(([key, token]) => [token, key]));
+
+        value.split('_').forEach(token => {
+            const match = /^([a-z]+)(-?\d+(?:\.\d+)?)?$/.exec(token);
+            const [, name, number] = match || [];
+            const key = this._has(keys, name) ? keys[name] : null;
+
+            if (match && number === undefined && this._has(LayerEffects.SPACES, name)) {
+                effects.space = name;
+            } else if (number === undefined || !key) {
+                errors.push(`Unknown effect "${token}"`);
+            } else if (key === 'lowpass' || key === 'highpass') {
+                effects.filter = key;
+                effects.cutoff = parseFloat(number);
+            } else if (key === 'pan' || key === 'reverb') {
+                effects[key] = parseFloat(number) / 100;
+            } else {
+                effects[key] = parseFloat(number);
+            }
+        });
+
+        return effects;
+    }
+
+    /**
+     * Encode timeline points in time order, e.g. 0v30_300v60_900snature/rain
+     */
+    _encodeTimeline(timeline) {
+        const { keyframes, events } = TimelinePlayer.normalize(timeline);
+        const round = (value) => Math.round(value * 10) / 10;
+
+        return [
+            ...keyframes.map(({ time, volume }) => ({ time, token: `${round(time)}v${Math.round(volume * 100)}` })),
+            ...events.map(({ time, sound }) => ({ time, token: `${round(time)}s${sound || ''}` }))
+        ]
+            .sort((a, b) => a.time - b.time)
+            .map(point => point.token)
+            .join('_');
+    }
+
+    _decodeTimeline(value, errors) {
+        const timeline = { keyframes: [], events: [] };
+
+        value.split('_').forEach(token => {
+            const match = /^(\d+(?:\.\d+)?)(?:v(\d+)|s(.*))$/.exec(token);
+            if (!match) {
+                errors.push(`Unknown timeline point "${token}"`);
+                return;
+            }
+
+            const [, time, volume, sound] = match;
+            if (volume !== undefined) {
+                timeline.keyframes.push({ time: parseFloat(time), volume: this._parsePercent(volume) });
+            } else {
+                timeline.events.push({ time: parseFloat(time), sound: sound || null });
+            }
+        });
+
+        return timeline;
+    }
+
+    /**
+     * Encode drift settings, e.g. s1234_v20to60_w20
+     */
+    _encodeDrift(drift) {
+        const settings = DriftPlayer.normalize(drift);
+        const percent = ([min, max]) => `${Math.round(min * 100)}to${Math.round(max * 100)}`;
+        const tokens = [`s${settings.seed}`];
+
+        if (settings.volume) {
+            tokens.push(`v${percent(settings.volume)}`);
+        }
+        if (settings.pan) {
+            tokens.push(`p${percent(settings.pan)}`);
+        }
+        if (settings.cutoff) {
+            tokens.push(`c${Math.round(settings.cutoff[0])}to${Math.round(settings.cutoff[1])}`);
+        }
+        if (settings.swap) {
+            tokens.push(`w${Math.round(settings.swap * 10) / 10}`);
+        }
+
+        return tokens.join('_');
+    }
+
+    _decodeDrift(value, errors) {
+        const drift = {};
+
+        value.split('_').forEach(token => {
+            const match = /^([svpcw])(-?\d+(?:\.\d+)?)(?:to(-?\d+(?:\.\d+)?))?$/.exec(token);
+            const [, key, first, second] = match || [];
+            const isRange = ['v', 'p', 'c'].includes(key);
+
+            if (!match || isRange !== (second !== undefined)) {
+                errors.push(`Unknown drift setting "${token}"`);
+            } else if (key === 's') {
+                drift.seed = parseFloat(first);
+            } else if (key === 'w') {
+                drift.swap = parseFloat(first);
+            } else {
+                const scale = key === 'c' ? 1 : 100;
+                const name = { v: 'volume', p: 'pan', c: 'cutoff' }[key];
+                drift[name] = [parseFloat(first) / scale, parseFloat(second) / scale];
+            }
+        });
+
+        return drift;
+    }
+
+    /**
+     * Encode the brainwave settings that differ from their defaults, e.g. c300_b6_triangle
+     */
+    _encodeBrainwave(brainwave) {
+        const settings = BrainwaveTones.normalize(brainwave);
+        const defaults = BrainwaveTones.DEFAULTS;
+        const tokens = [];
+
+        if (settings.carrier !== defaults.carrier) {
+            tokens.push(`c${Math.round(settings.carrier * 10) / 10}`);
+        }
+        if (settings.beat !== defaults.beat) {
+            tokens.push(`b${Math.round(settings.beat * 100) / 100}`);
+        }
+        if (settings.waveform !== defaults.waveform) {
+            tokens.push(settings.waveform);
+        }
+
+        return tokens.join('_');
+    }
+
+    _decodeBrainwave(value, errors) {
+        const brainwave = {};
+
+        value.split('_').forEach(token => {
+            const match = /^([cb])(\d+(?:\.\d+)?)$/.exec(token);
+
+            if (BrainwaveTones.WAVEFORMS.includes(token)) {
+                brainwave.waveform = token;
+            } else if (!match) {
+                errors.push(`Unknown brainwave setting "${token}"`);
+            } else {
+                brainwave[match[1] === 'c' ? 'carrier' : 'beat'] = parseFloat(match[2]);
+            }
+        });
+
+        return brainwave;
+    }
+
+    _parsePercent(value) {
+        return this._parseNumber(value) / 100;
+    }
+
+    _parseNumber(value) {
+        return /^\d+(\.\d+)?$/.test(value) ? parseFloat(value) : NaN;
+    }
+
+    _has(object, key) {
+        return Object.prototype.hasOwnProperty.call(object, key);
+    }
+
+    _parseFlag(value) {
+        if (value === '1') return true;
+        if (value === '0') return false;
+        return value;
+    }
+}
+
+ShareLink.VERSION = 1;
+
+// Effect setting -> share link token (see _encodeEffects)
+ShareLink.EFFECT_KEYS = {
+    low: 'lo',
+    mid: 'mi',
+    high: 'hi',
+    lowpass: 'lp',
+    highpass: 'hp',
+    pan: 'pan',
+    reverb: 'rev'
+};
+
+// Export for use in main app
+window.ShareLink = ShareLink;
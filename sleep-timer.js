@@ -0,0 +1,125 @@
+/**
+ * Sleep Timer
+ * Stops playback after a set time, fading the master output out over the final stretch.
+ * The countdown runs on the audio clock, like the fade, so both pause together
+ * while the audio context is suspended.
+ */
+
+class SleepTimer {
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+        // Audio clock time (seconds) when playback stops
+        this.endTime = null;
+        this.fadeMs = 0;
+        this.intervalId = null;
+        // Brings the output back when a layer plays after the timer stopped it
+        this.restoreListener = null;
+
+        // Callbacks
+        this.onTick = null;
+        this.onExpire = null;
+    }
+
+    /**
+     * Whether a countdown is running
+     */
+    get isActive() {
+        return this.endTime !== null;
+    }
+
+    /**
+     * Start counting down; the fade covers the last fadeMinutes
+     */
+    start(minutes, fadeMinutes) {
+        this.cancel();
+        this._stopRestoring();
+
+        const durationMs = minutes * 60 * 1000;
+        this.fadeMs = Math.min(fadeMinutes * 60 * 1000, durationMs);
+        this.endTime = this.audioEngine.audioContext.currentTime + durationMs / 1000;
+
+        // Scheduled on the audio clock so it holds up in background tabs
+        this.audioEngine.fadeOutMaster(this.fadeMs / 1000, (durationMs - this.fadeMs) / 1000);
+
+        this.intervalId = setInterval(() => this._tick(), 1000);
+        this._tick();
+    }
+
+    /**
+     * Stop the countdown and restore the output level
+     */
+    cancel() {
+        if (!this.isActive) return;
+
+        this._clear();
+        this.audioEngine.cancelMasterFade();
+        this._emitTick();
+    }
+
+    /**
+     * Current countdown state for display
+     */
+    getState() {
+        const remainingMs = this.isActive
+            ? Math.max(0, (this.endTime - this.audioEngine.audioContext.currentTime) * 1000)
+            : 0;
+
+        return {
+            isActive: this.isActive,
+            remainingMs,
+            isFading: this.isActive && remainingMs <= this.fadeMs
+        };
+    }
+
+    _tick() {
+        const state = this.getState();
+        this._emitTick();
+
+        if (state.remainingMs === 0) {
+            this._expire();
+        }
+    }
+
+    _expire() {
+        this._clear();
+
+        // The fade has reached silence; the context keeps running so a video
+        // routed through it still plays
+        this.audioEngine.stopAll();
+
+        // Stay silent while the stopped layers release, until something plays again
+        this.restoreListener = () => {
+            this._stopRestoring();
+            this.audioEngine.cancelMasterFade(0);
+        };
+        this.audioEngine.on('layerstarted', this.restoreListener);
+
+        this._emitTick();
+        if (this.onExpire) {
+            this.onExpire();
+        }
+    }
+
+    _stopRestoring() {
+        if (this.restoreListener) {
+            this.audioEngine.off('layerstarted', this.restoreListener);
+            this.restoreListener = null;
+        }
+    }
+
+    _clear() {
+        clearInterval(this.intervalId);
+        this.intervalId = null;
+        this.endTime = null;
+        this.fadeMs = 0;
+    }
+
+    _emitTick() {
+        if (this.onTick) {
+            this.onTick(this.getState());
+        }
+    }
+}
+
+// Export for use in main app
+window.SleepTimer = SleepTimer;
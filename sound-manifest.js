@@ -0,0 +1,268 @@
+/**
+ * Sound Manifest
+ * Loads the sound library from sounds.json: categories, and per sound its
+ * label, file(s), license and attribution, default gain, loop points and tags.
+ * The validation rules mirror sounds.schema.json. Invalid entries are left out
+ * and reported, so one bad entry doesn't take the whole library down.
+ */
+
+class SoundManifest {
+    constructor() {
+        // Categories in order: { id, label, icon }
+        this.categories = [];
+        // Valid sounds in order: { sound, id, category, label, path, files, generated, license, attribution, gain, loop, tags }
+        this.sounds = [];
+        this.errors = [];
+    }
+
+    /**
+     * Fetch and read a manifest. Rejects only if it can't be fetched or isn't JSON;
+     * problems with entries end up in `errors`.
+     */
+    static async load(url = SoundManifest.URL) {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`${url} could not be loaded (HTTP ${response.status})`);
+        }
+
+        let data;
+        try {
+            data = await response.json();
+        } catch (error) {
+            throw new Error(`${url} is not valid JSON: ${error.message}`);
+        }
+
+        return SoundManifest.read(data);
+    }
+
+    /**
+     * Read a parsed manifest, keeping the valid entries
+     */
+    static read(data) {
+        const manifest = new SoundManifest();
+        manifest._read(data);
+        return manifest;
+    }
+
+    /**
+     * Library map of sound paths by category and id, as AudioEngine.audioLibrary
+     * holds it (null for generated sounds)
+     */
+    toLibrary() {
+        const library = {};
+        this.categories.forEach(category => {
+            library[category.id] = {};
+        });
+        this.sounds.forEach(entry => {
+            library[entry.category][entry.id] = entry.path;
+        });
+        return library;
+    }
+
+    _read(data) {
+        if (!this._isObject(data)) {
+            this.errors.push('Manifest is not a JSON object');
+            return;
+        }
+
+        Object.keys(data).forEach(key => {
+            if (!['$schema', 'version', 'categories', 'sounds'].includes(key)) {
+                this.errors.push(`Unknown property "${key}"`);
+            }
+        });
+
+        if (data.version !== SoundManifest.VERSION) {
+            this.errors.push(`Unsupported manifest version ${JSON.stringify(data.version)} (expected ${SoundManifest.VERSION})`);
+            return;
+        }
+
+        if (!Array.isArray(data.categories)) {
+            this.errors.push('"categories" must be an array');
+            return;
+        }
+        data.categories.forEach((category, index) => this._readCategory(category, index));
+
+        if (!Array.isArray(data.sounds)) {
+            this.errors.push('"sounds" must be an array');
+            return;
+        }
+        const seen = new Set();
+        data.sounds.forEach((entry, index) => this._readSound(entry, index, seen));
+    }
+
+    _readCategory(category, index) {
+        const label = `Category ${index + 1}`;
+        if (!this._isObject(category)) {
+            this.errors.push(`${label} must be an object`);
+            return;
+        }
+
+        const problems = [];
+        this._checkKeys(category, ['id', 'label', 'icon'], problems);
+        if (!this._isId(category.id)) {
+            problems.push('"id" must use only a-z, 0-9 and -');
+        } else if (category.id === UserSoundStore.CATEGORY) {
+            problems.push(`"${category.id}" is reserved for the user's own files`);
+        } else if (this.categories.some(existing => existing.id === category.id)) {
+            problems.push(`"${category.id}" is listed twice`);
+        }
+        if (!this._isLabel(category.label)) {
+            problems.push('"label" must be a non-empty string');
+        }
+        if (category.icon !== undefined && typeof category.icon !== 'string') {
+            problems.push('"icon" must be a string');
+        }
+
+        if (problems.length > 0) {
+            this.errors.push(`${label} (${category.id ?? '?'}) left out: ${problems.join('; ')}`);
+            return;
+        }
+
+        this.categories.push({ id: category.id, label: category.label, icon: category.icon || '🎵' });
+    }
+
+    _readSound(entry, index, seen) {
+        const label = `Sound ${index + 1}`;
+        if (!this._isObject(entry)) {
+            this.errors.push(`${label} must be an object`);
+            return;
+        }
+
+        const name = `${entry.category ?? '?'}/${entry.id ?? '?'}`;
+        const problems = [];
+        this._checkKeys(entry, SoundManifest.SOUND_KEYS, problems);
+
+        if (!this._isId(entry.id)) {
+            problems.push('"id" must use only a-z, 0-9 and -');
+        }
+        if (!this.categories.some(category => category.id === entry.category)) {
+            problems.push(`unknown category "${entry.category}"`);
+        }
+        if (seen.has(name)) {
+            problems.push('listed twice');
+        }
+        if (!this._isLabel(entry.label)) {
+            problems.push('"label" must be a non-empty string');
+        }
+
+        // Either generated by the engine or loaded from at least one file
+        const files = entry.files;
+        if (entry.generated !== undefined && typeof entry.generated !== 'boolean') {
+            problems.push('"generated" must be true or false');
+        } else if (entry.generated) {
+            if (!AudioEngine.GENERATED_SOUNDS.includes(name)) {
+                problems.push(`the engine cannot generate "${name}"`);
+            }
+        } else if (!Array.isArray(files) || files.length === 0) {
+            problems.push('"files" must list at least one file path');
+        } else if (!files.every(file => typeof file === 'string' && file.length > 0)) {
+            problems.push('"files" must contain only non-empty paths');
+        }
+
+        ['license', 'attribution'].forEach(key => {
+            if (entry[key] !== undefined && typeof entry[key] !== 'string') {
+                problems.push(`"${key}" must be a string`);
+            }
+        });
+
+        if (entry.gain !== undefined) {
+            const [min, max] = SoundManifest.GAIN_RANGE;
+            if (typeof entry.gain !== 'number' || !Number.isFinite(entry.gain)) {
+                problems.push('"gain" must be a number of dB');
+            } else if (entry.gain < min || entry.gain > max) {
+                problems.push(`"gain" ${entry.gain} is out of range (${min} to ${max} dB)`);
+            }
+        }
+
+        if (entry.loop !== undefined) {
+            const loop = entry.loop;
+            if (!this._isObject(loop) || !Number.isFinite(loop.start) || !Number.isFinite(loop.end)) {
+                problems.push('"loop" must be { start, end } in seconds');
+            } else if (loop.start < 0 || loop.end <= loop.start) {
+                problems.push('"loop" end must come after its start, which must be 0 or more');
+            } else if (entry.generated) {
+                problems.push('"loop" only applies to sounds loaded from files');
+            }
+        }
+
+        if (entry.tags !== undefined &&
+            (!Array.isArray(entry.tags) || !entry.tags.every(tag => typeof tag === 'string' && tag.length > 0))) {
+            problems.push('"tags" must be a list of words');
+        }
+
+        if (problems.length > 0) {
+            this.errors.push(`${label} (${name}) left out: ${problems.join('; ')}`);
+            return;
+        }
+
+        seen.add(name);
+        this.sounds.push({
+            sound: name,
+            id: entry.id,
+            category: entry.category,
+            label: entry.label,
+            files: entry.generated ? [] : [...files],
+            path: entry.generated ? null : SoundManifest.pickFile(files),
+            generated: Boolean(entry.generated),
+            license: entry.license || null,
+            attribution: entry.attribution || null,
+            gain: entry.gain || 0,
+            loop: entry.loop ? { start: entry.loop.start, end: entry.loop.end } : null,
+            tags: entry.tags ? [...entry.tags] : []
+        });
+    }
+
+    _checkKeys(object, allowed, problems) {
+        Object.keys(object).forEach(key => {
+            if (!allowed.includes(key)) {
+                problems.push(`unknown property "${key}"`);
+            }
+        });
+    }
+
+    _isObject(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    _isId(value) {
+        return typeof value === 'string' && value.length <= 40 && /^[a-z0-9-]+$/.test(value);
+    }
+
+    _isLabel(value) {
+        return typeof value === 'string' && value.trim().length > 0 && value.length <= 60;
+    }
+
+    /**
+     * First file in a format this browser says it can play, or the first file
+     */
+    static pickFile(files) {
+        const probe = document.createElement('audio');
+        const playable = files.find(file => {
+            const type = SoundManifest.TYPES[(file.split('.').pop() || '').toLowerCase()];
+            return type && probe.canPlayType(type) !== '';
+        });
+        return playable || files[0];
+    }
+}
+
+SoundManifest.URL = 'sounds.json';
+SoundManifest.VERSION = 1;
+SoundManifest.SOUND_KEYS = ['id', 'category', 'label', 'files', 'generated', 'license', 'attribution', 'gain', 'loop', 'tags'];
+// Default gain range (dB)
+SoundManifest.GAIN_RANGE = [-24, 12];
+
+// MIME types used to ask the browser which file it can play
+SoundManifest.TYPES = {
+    mp3: 'audio/mpeg',
+    ogg: 'audio/ogg; codecs="vorbis"',
+    opus: 'audio/ogg; codecs="opus"',
+    oga: 'audio/ogg',
+    webm: 'audio/webm',
+    m4a: 'audio/mp4',
+    aac: 'audio/aac',
+    wav: 'audio/wav',
+    flac: 'audio/flac'
+};
+
+// Export for use in main app
+window.SoundManifest = SoundManifest;
@@ -0,0 +1,430 @@
+/**
+ * Soundscape File
+ * Portable JSON import/export for presets and mixer state.
+ * The validation rules mirror soundscape.schema.json.
+ */
+
+class SoundscapeValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid soundscape file:\n${errors.join('\n')}`);
+        this.name = 'SoundscapeValidationError';
+        this.errors = errors;
+    }
+}
+
+class SoundscapeFile {
+    constructor(audioLibrary) {
+        this.audioLibrary = audioLibrary;
+    }
+
+    /**
+     * Build a soundscape document from a layer list and optional mixer state
+     */
+    create(name, layers, mixer = {}) {
+        const soundscape = {
+            $schema: SoundscapeFile.SCHEMA_URL,
+            format: SoundscapeFile.FORMAT,
+            version: SoundscapeFile.VERSION,
+            name,
+            exportedAt: new Date().toISOString(),
+            layers: JSON.parse(JSON.stringify(layers))
+        };
+
+        if (mixer.master) {
+            soundscape.master = { ...mixer.master };
+        }
+        if (mixer.settings) {
+            soundscape.settings = { ...mixer.settings };
+        }
+
+        return soundscape;
+    }
+
+    /**
+     * Validate a parsed soundscape, returning a list of error messages
+     */
+    validate(data) {
+        const errors = [];
+
+        if (!this._isObject(data)) {
+            return ['File does not contain a JSON object'];
+        }
+
+        const allowed = ['$schema', 'format', 'version', 'name', 'exportedAt', 'layers', 'master', 'settings'];
+        Object.keys(data).forEach(key => {
+            if (!allowed.includes(key)) {
+                errors.push(`Unknown property "${key}"`);
+            }
+        });
+
+        if (data.format !== SoundscapeFile.FORMAT) {
+            errors.push(`"format" must be "${SoundscapeFile.FORMAT}"`);
+        }
+
+        if (data.version !== SoundscapeFile.VERSION) {
+            errors.push(`Unsupported version ${JSON.stringify(data.version)} (expected ${SoundscapeFile.VERSION})`);
+        }
+
+        if (data.name !== undefined && (typeof data.name !== 'string' || data.name.length > 100)) {
+            errors.push('"name" must be a string of at most 100 characters');
+        }
+
+        this._validateLayers(data.layers, errors);
+        this._validateMaster(data.master, errors);
+        this._validateSettings(data.settings, errors);
+
+        return errors;
+    }
+
+    /**
+     * Parse and validate soundscape JSON text
+     */
+    parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new SoundscapeValidationError([`Not valid JSON: ${error.message}`]);
+        }
+
+        const errors = this.validate(data);
+        if (errors.length > 0) {
+            throw new SoundscapeValidationError(errors);
+        }
+
+        return data;
+    }
+
+    /**
+     * Read and validate a soundscape from a File
+     */
+    async readFile(file) {
+        if (file.size > SoundscapeFile.MAX_FILE_SIZE) {
+            throw new SoundscapeValidationError([`${file.name} is too large to be a soundscape file`]);
+        }
+
+        return this.parse(await file.text());
+    }
+
+    /**
+     * Offer a soundscape as a .json download
+     */
+    download(soundscape) {
+        const json = JSON.stringify(soundscape, null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.slugify(soundscape.name)}.soundscape.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    _validateLayers(layers, errors) {
+        if (!Array.isArray(layers)) {
+            errors.push('"layers" must be an array');
+            return;
+        }
+
+        if (layers.length > SoundscapeFile.MAX_LAYERS) {
+            errors.push(`Too many layers (${layers.length}, at most ${SoundscapeFile.MAX_LAYERS})`);
+            return;
+        }
+
+        layers.forEach((layer, index) => {
+            const label = `Layer ${index + 1}`;
+
+            if (!this._isObject(layer)) {
+                errors.push(`${label} must be an object`);
+                return;
+            }
+
+            Object.keys(layer).forEach(key => {
+                if (!['sound', 'volume', 'effects', 'timeline', 'drift', 'brainwave'].includes(key)) {
+                    errors.push(`${label} has unknown property "${key}"`);
+                }
+            });
+
+            this._validateSound(layer.sound, label, errors);
+            this._validateVolume(layer.volume, `${label} volume`, errors);
+            this._validateEffects(layer.effects, label, errors);
+            this._validateTimeline(layer.timeline, label, errors);
+            this._validateDrift(layer.drift, label, errors);
+            this._validateBrainwave(layer.brainwave, label, errors);
+        });
+    }
+
+    _validateEffects(effects, label, errors) {
+        if (effects === undefined) return;
+
+        if (!this._isObject(effects)) {
+            errors.push(`${label} effects must be an object`);
+            return;
+        }
+
+        Object.keys(effects).forEach(key => {
+            if (!this._has(LayerEffects.DEFAULTS, key)) {
+                errors.push(`${label} has unknown effect "${key}"`);
+            }
+        });
+
+        const range = LayerEffects.EQ_RANGE;
+        const ranges = {
+            low: [-range, range],
+            mid: [-range, range],
+            high: [-range, range],
+            cutoff: [LayerEffects.MIN_CUTOFF, LayerEffects.MAX_CUTOFF],
+            pan: [-1, 1],
+            reverb: [0, 1]
+        };
+
+        Object.entries(ranges).forEach(([key, [min, max]]) => {
+            const value = effects[key];
+            if (value !== undefined && (typeof value !== 'number' || !(value >= min && value <= max))) {
+                errors.push(`${label} effect "${key}" must be a number from ${min} to ${max} (got ${JSON.stringify(value)})`);
+            }
+        });
+
+        if (effects.filter !== undefined && !LayerEffects.FILTERS.includes(effects.filter)) {
+            errors.push(`${label} effect "filter" must be one of ${LayerEffects.FILTERS.join(', ')}`);
+        }
+
+        if (effects.space !== undefined && !this._has(LayerEffects.SPACES, effects.space)) {
+            errors.push(`${label} uses unknown reverb space "${effects.space}"`);
+        }
+    }
+
+    _validateTimeline(timeline, label, errors) {
+        if (timeline === undefined) return;
+
+        if (!this._isObject(timeline)) {
+            errors.push(`${label} timeline must be an object`);
+            return;
+        }
+
+        Object.keys(timeline).forEach(key => {
+            if (!['keyframes', 'events'].includes(key)) {
+                errors.push(`${label} timeline has unknown property "${key}"`);
+            }
+        });
+
+        ['keyframes', 'events'].forEach(key => {
+            const points = timeline[key];
+            if (points === undefined) return;
+
+            if (!Array.isArray(points)) {
+                errors.push(`${label} timeline "${key}" must be an array`);
+                return;
+            }
+            if (points.length > TimelinePlayer.MAX_POINTS) {
+                errors.push(`${label} timeline has too many ${key} (${points.length}, at most ${TimelinePlayer.MAX_POINTS})`);
+                return;
+            }
+
+            points.forEach((point, index) => {
+                const pointLabel = `${label} timeline ${key === 'keyframes' ? 'keyframe' : 'event'} ${index + 1}`;
+                if (!this._isObject(point)) {
+                    errors.push(`${pointLabel} must be an object`);
+                    return;
+                }
+
+                const time = point.time;
+                if (typeof time !== 'number' || !(time >= 0 && time <= TimelinePlayer.MAX_TIME)) {
+                    errors.push(`${pointLabel} time must be a number of seconds from 0 to ${TimelinePlayer.MAX_TIME}`);
+                }
+
+                if (key === 'keyframes') {
+                    this._validateVolume(point.volume, `${pointLabel} volume`, errors);
+                } else {
+                    this._validateSound(point.sound, pointLabel, errors);
+                }
+            });
+        });
+    }
+
+    _validateDrift(drift, label, errors) {
+        if (drift === undefined) return;
+
+        if (!this._isObject(drift)) {
+            errors.push(`${label} drift must be an object`);
+            return;
+        }
+
+        Object.keys(drift).forEach(key => {
+            if (!['seed', 'volume', 'pan', 'cutoff', 'swap'].includes(key)) {
+                errors.push(`${label} drift has unknown property "${key}"`);
+            }
+        });
+
+        if (drift.seed !== undefined && !DriftPlayer.isSeed(drift.seed)) {
+            errors.push(`${label} drift "seed" must be a whole number from 0 to ${DriftPlayer.MAX_SEED}`);
+        }
+
+        const ranges = {
+            volume: [0, 1],
+            pan: [-1, 1],
+            cutoff: [LayerEffects.MIN_CUTOFF, LayerEffects.MAX_CUTOFF]
+        };
+
+        Object.entries(ranges).forEach(([key, [min, max]]) => {
+            const value = drift[key];
+            if (value === undefined) return;
+
+            const valid = Array.isArray(value) && value.length === 2 &&
+                value.every(bound => typeof bound === 'number' && bound >= min && bound <= max) &&
+                value[0] <= value[1];
+            if (!valid) {
+                errors.push(`${label} drift "${key}" must be [min, max] within ${min} to ${max}`);
+            }
+        });
+
+        const swap = drift.swap;
+        if (swap !== undefined && (typeof swap !== 'number' || !(swap >= DriftPlayer.MIN_SWAP && swap <= DriftPlayer.MAX_SWAP))) {
+            errors.push(`${label} drift "swap" must be from ${DriftPlayer.MIN_SWAP} to ${DriftPlayer.MAX_SWAP} minutes`);
+        }
+    }
+
+    _validateBrainwave(brainwave, label, errors) {
+        if (brainwave === undefined) return;
+
+        if (!this._isObject(brainwave)) {
+            errors.push(`${label} brainwave must be an object`);
+            return;
+        }
+
+        Object.keys(brainwave).forEach(key => {
+            if (!this._has(BrainwaveTones.DEFAULTS, key)) {
+                errors.push(`${label} has unknown brainwave setting "${key}"`);
+            }
+        });
+
+        const ranges = {
+            carrier: [BrainwaveTones.MIN_CARRIER, BrainwaveTones.MAX_CARRIER],
+            beat: [BrainwaveTones.MIN_BEAT, BrainwaveTones.MAX_BEAT]
+        };
+
+        Object.entries(ranges).forEach(([key, [min, max]]) => {
+            const value = brainwave[key];
+            if (value !== undefined && (typeof value !== 'number' || !(value >= min && value <= max))) {
+                errors.push(`${label} brainwave "${key}" must be a number from ${min} to ${max} Hz (got ${JSON.stringify(value)})`);
+            }
+        });
+
+        if (brainwave.waveform !== undefined && !BrainwaveTones.WAVEFORMS.includes(brainwave.waveform)) {
+            errors.push(`${label} brainwave "waveform" must be one of ${BrainwaveTones.WAVEFORMS.join(', ')}`);
+        }
+    }
+
+    _validateSound(sound, label, errors) {
+        if (sound === null) return;
+
+        if (typeof sound !== 'string') {
+            errors.push(`${label} sound must be a "category/name" string or null`);
+            return;
+        }
+
+        const parts = sound.split('/');
+        // The user's own files may be stored on another device; missing ones fall back when played
+        if (parts.length === 2 && parts[0] === UserSoundStore.CATEGORY && UserSoundStore.isId(parts[1])) return;
+
+        const library = parts.length === 2 ? this._own(this.audioLibrary, parts[0]) : undefined;
+        if (!library || !this._has(library, parts[1])) {
+            errors.push(`${label} uses unknown sound "${sound}"`);
+        }
+    }
+
+    _validateMaster(master, errors) {
+        if (master === undefined) return;
+
+        if (!this._isObject(master)) {
+            errors.push('"master" must be an object');
+            return;
+        }
+
+        Object.keys(master).forEach(key => {
+            if (key !== 'volume') {
+                errors.push(`"master" has unknown property "${key}"`);
+            }
+        });
+
+        if (master.volume !== undefined) {
+            this._validateVolume(master.volume, 'Master volume', errors);
+        }
+    }
+
+    _validateSettings(settings, errors) {
+        if (settings === undefined) return;
+
+        if (!this._isObject(settings)) {
+            errors.push('"settings" must be an object');
+            return;
+        }
+
+        Object.keys(settings).forEach(key => {
+            if (!['enableCrossfade', 'fadeDuration', 'loopLayers', 'timelineLoop'].includes(key)) {
+                errors.push(`"settings" has unknown property "${key}"`);
+            }
+        });
+
+        ['enableCrossfade', 'loopLayers'].forEach(key => {
+            if (settings[key] !== undefined && typeof settings[key] !== 'boolean') {
+                errors.push(`Setting "${key}" must be true or false`);
+            }
+        });
+
+        const fade = settings.fadeDuration;
+        if (fade !== undefined && (typeof fade !== 'number' || !(fade >= 0.1 && fade <= 5))) {
+            errors.push(`Setting "fadeDuration" must be between 0.1 and 5 seconds (got ${JSON.stringify(fade)})`);
+        }
+
+        const loop = settings.timelineLoop;
+        if (loop !== undefined && (typeof loop !== 'number' || !(loop >= 0 && loop <= TimelinePlayer.MAX_TIME))) {
+            errors.push(`Setting "timelineLoop" must be between 0 and ${TimelinePlayer.MAX_TIME} seconds (got ${JSON.stringify(loop)})`);
+        }
+    }
+
+    _validateVolume(volume, label, errors) {
+        if (typeof volume !== 'number' || Number.isNaN(volume)) {
+            errors.push(`${label} must be a number`);
+        } else if (volume < 0 || volume > 1) {
+            errors.push(`${label} ${volume} is out of range (0 to 1)`);
+        }
+    }
+
+    _isObject(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    _has(object, key) {
+        return Object.prototype.hasOwnProperty.call(object, key);
+    }
+
+    _own(object, key) {
+        return this._has(object, key) ? object[key] : undefined;
+    }
+
+    /**
+     * Turn a display name into a file name stem
+     */
+    slugify(name) {
+        const slug = String(name || 'soundscape')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+        return slug || 'soundscape';
+    }
+}
+
+SoundscapeFile.FORMAT = 'focus-soundscape';
+SoundscapeFile.VERSION = 1;
+SoundscapeFile.SCHEMA_URL = 'soundscape.schema.json';
+SoundscapeFile.MAX_FILE_SIZE = 1024 * 1024;
+SoundscapeFile.MAX_LAYERS = 32;
+
+// Export for use in main app
+window.SoundscapeFile = SoundscapeFile;
+window.SoundscapeValidationError = SoundscapeValidationError;
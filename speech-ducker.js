@@ -0,0 +1,270 @@
+/**
+ * Speech Ducker
+ * Sidechain-style ducking: listens to the video's soundtrack or the microphone
+ * through a speech-band filter and lowers the whole mix, or chosen layers,
+ * while that band is louder than a threshold.
+ *
+ * The video's sound is routed through the audio context to be analysed, so it
+ * keeps playing straight to the output (not through the mix or its limiter).
+ */
+
+class SpeechDucker {
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+        this.settings = { ...SpeechDucker.DEFAULTS };
+        // Layers ducked when the target is 'layers'
+        this.layerIds = new Set();
+        this.source = null;
+        this.input = null;
+        this.meter = null;
+        this.nodes = [];
+        this.micStream = null;
+        this.intervalId = null;
+
+        // Follower state
+        this.level = LoudnessMeter.FLOOR;
+        this.isDucking = false;
+        this.quietSince = null;
+
+        // Callbacks
+        this.onTick = null;
+    }
+
+    get isActive() {
+        return this.source !== null;
+    }
+
+    /**
+     * Start listening to 'video' (pass the element) or 'microphone', or stop with 'off'.
+     * The microphone asks for permission and rejects if it is refused.
+     */
+    async setSource(source, video = null) {
+        this.stop();
+        if (source === 'off') return;
+
+        const context = this.audioEngine.audioContext;
+        if (source === 'video') {
+            this.input = SpeechDucker.getVideoSource(context, video);
+        } else if (source === 'microphone') {
+            // Echo cancellation keeps the mix itself from triggering the ducker
+            this.micStream = await navigator.mediaDevices.getUserMedia({
+                audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: false }
+            });
+            this.input = context.createMediaStreamSource(this.micStream);
+        } else {
+            throw new Error(`Unknown ducking source: ${source}`);
+        }
+
+        // Speech band only, so music and rumble in the soundtrack don't trigger it
+        const highpass = context.createBiquadFilter();
+        highpass.type = 'highpass';
+        highpass.frequency.value = SpeechDucker.SPEECH_BAND[0];
+        const lowpass = context.createBiquadFilter();
+        lowpass.type = 'lowpass';
+        lowpass.frequency.value = SpeechDucker.SPEECH_BAND[1];
+
+        this.input.connect(highpass);
+        highpass.connect(lowpass);
+        this.nodes = [highpass, lowpass];
+        this.meter = new LoudnessMeter(context, lowpass, { weighted: false, window: SpeechDucker.WINDOW });
+
+        this.source = source;
+        this.intervalId = setInterval(() => this._update(), SpeechDucker.INTERVAL);
+    }
+
+    /**
+     * Change some or all settings (see SpeechDucker.DEFAULTS)
+     */
+    set(settings) {
+        const previous = this.settings;
+        this.settings = SpeechDucker.normalize({ ...this.settings, ...settings });
+
+        // Hand back whatever is no longer a target
+        if (previous.target !== this.settings.target) {
+            this._release(previous.target === 'master' ? [null] : Array.from(this.layerIds));
+        }
+        if (this.isDucking) {
+            this._duck(true, this.settings.attack);
+        }
+
+        return { ...this.settings };
+    }
+
+    /**
+     * Choose whether a layer is ducked when the target is 'layers'
+     */
+    setLayer(layerId, ducked) {
+        if (ducked) {
+            this.layerIds.add(layerId);
+        } else {
+            this.layerIds.delete(layerId);
+            this._release([layerId]);
+        }
+
+        if (this.isDucking) {
+            this._duck(true, this.settings.attack);
+        }
+    }
+
+    /**
+     * Apply the current duck to a layer made after it started
+     */
+    refresh() {
+        if (this.isDucking) {
+            this._duck(true, 0);
+        }
+    }
+
+    /**
+     * Stop listening and bring everything back up
+     */
+    stop() {
+        clearInterval(this.intervalId);
+        this.intervalId = null;
+
+        if (this.meter) {
+            this.meter.disconnect();
+            this.meter = null;
+        }
+        // The video's source stays routed to the output; only the tap is removed
+        if (this.input) {
+            this.input.disconnect(this.nodes[0]);
+        }
+        this.nodes.forEach(node => node.disconnect());
+        this.nodes = [];
+
+        if (this.micStream) {
+            this.micStream.getTracks().forEach(track => track.stop());
+            this.micStream = null;
+        }
+        this.input = null;
+        this.source = null;
+
+        if (this.isDucking) {
+            this._duck(false, this.settings.release);
+        }
+        this.level = LoudnessMeter.FLOOR;
+        this.quietSince = null;
+        this._emitTick();
+    }
+
+    /**
+     * Current speech-band level (dBFS) and whether the mix is ducked, for display
+     */
+    getState() {
+        return {
+            isActive: this.isActive,
+            source: this.source,
+            level: this.level,
+            isDucking: this.isDucking
+        };
+    }
+
+    _update() {
+        this.level = this.meter.read().loudness;
+        const now = this.audioEngine.audioContext.currentTime;
+
+        if (this.level >= this.settings.threshold) {
+            this.quietSince = null;
+            if (!this.isDucking) {
+                this._duck(true, this.settings.attack);
+            }
+        } else if (this.isDucking) {
+            // Hold through short pauses between words
+            this.quietSince = this.quietSince ?? now;
+            if (now - this.quietSince >= SpeechDucker.HOLD_TIME) {
+                this._duck(false, this.settings.release);
+            }
+        }
+
+        this._emitTick();
+    }
+
+    _duck(on, time) {
+        this.isDucking = on;
+        const level = on ? LoudnessMeter.toGain(-this.settings.depth) : 1;
+        this._targets().forEach(layerId => this.audioEngine.setDuckLevel(layerId, level, time / 3));
+    }
+
+    _release(layerIds) {
+        layerIds.forEach(layerId => this.audioEngine.setDuckLevel(layerId, 1, this.settings.release / 3));
+    }
+
+    /**
+     * Layer ids to duck; null stands for the whole mix
+     */
+    _targets() {
+        return this.settings.target === 'master' ? [null] : Array.from(this.layerIds);
+    }
+
+    _emitTick() {
+        if (this.onTick) {
+            this.onTick(this.getState());
+        }
+    }
+
+    /**
+     * A media element can only be connected to one source node per context,
+     * so the video's source is made once and kept, playing to the output
+     */
+    static getVideoSource(context, video) {
+        let sources = SpeechDucker.videoSources.get(context);
+        if (!sources) {
+            sources = new WeakMap();
+            SpeechDucker.videoSources.set(context, sources);
+        }
+
+        if (!sources.has(video)) {
+            const source = context.createMediaElementSource(video);
+            source.connect(context.destination);
+            sources.set(video, source);
+        }
+        return sources.get(video);
+    }
+
+    /**
+     * Fill in defaults and clamp values to their ranges
+     */
+    static normalize(settings = {}) {
+        const values = { ...SpeechDucker.DEFAULTS, ...settings };
+        const clamp = (value, [min, max], fallback) =>
+            Number.isFinite(value) ? Math.min(Math.max(value, min), max) : fallback;
+        const { RANGES, DEFAULTS } = SpeechDucker;
+
+        return {
+            target: ['master', 'layers'].includes(values.target) ? values.target : DEFAULTS.target,
+            threshold: clamp(values.threshold, RANGES.threshold, DEFAULTS.threshold),
+            depth: clamp(values.depth, RANGES.depth, DEFAULTS.depth),
+            attack: clamp(values.attack, RANGES.attack, DEFAULTS.attack),
+            release: clamp(values.release, RANGES.release, DEFAULTS.release)
+        };
+    }
+}
+
+SpeechDucker.DEFAULTS = {
+    target: 'master',   // 'master' (whole mix) or 'layers' (chosen layers)
+    threshold: -45,     // speech-band level in dBFS that starts ducking
+    depth: 12,          // dB taken off while ducked
+    attack: 0.05,       // s
+    release: 0.8        // s
+};
+
+SpeechDucker.RANGES = {
+    threshold: [-70, 0],
+    depth: [0, 40],
+    attack: [0.005, 2],
+    release: [0.05, 10]
+};
+
+// Telephone band, where most of the energy of speech is (Hz)
+SpeechDucker.SPEECH_BAND = [300, 3400];
+// Level window (s) and polling interval (ms)
+SpeechDucker.WINDOW = 0.05;
+SpeechDucker.INTERVAL = 30;
+// Stay ducked through gaps shorter than this (s)
+SpeechDucker.HOLD_TIME = 0.25;
+
+SpeechDucker.videoSources = new WeakMap();
+
+// Export for use in main app
+window.SpeechDucker = SpeechDucker;
@@ -0,0 +1,347 @@
+/**
+ * Timeline Player
+ * Plays per-layer timelines from the start of a session: volume keyframes are
+ * scheduled on each layer's gain as AudioParam ramps, sound changes are fired
+ * on time by a polling loop. The whole timeline can repeat.
+ *
+ * Timeline format (times in seconds from the session start):
+ *   { keyframes: [{ time, volume }], events: [{ time, sound }] }
+ * Before its first keyframe a layer ramps from its mixer volume; after the last
+ * one it holds. An event's sound is a "category/name" id, or null for silence.
+ * The timeline can run faster or slower than the audio clock and jump to any
+ * position, so it can follow a video's playback rate and seeks.
+ */
+
+class TimelinePlayer {
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+        this.tracks = [];
+        this.loopLength = 0;
+        this.duration = 0;
+        this.startTime = null;
+        // Timeline seconds per audio clock second
+        this.rate = 1;
+        this.cycle = 0;
+        this.scheduledCycle = -1;
+        this.intervalId = null;
+
+        // Callbacks
+        this.onSoundChange = null;
+        this.onTick = null;
+    }
+
+    /**
+     * Whether a timeline is playing
+     */
+    get isRunning() {
+        return this.startTime !== null;
+    }
+
+    /**
+     * Start playing from 0:00. Tracks are { layerId, timeline, sound, volume }, where
+     * sound and volume are the layer's mixer settings (its state at 0:00). With a
+     * loopLength in seconds the whole timeline repeats, otherwise it plays once.
+     * Pass position and rate to start part way through or at another speed.
+     * Returns false if no track has anything on its timeline.
+     */
+    start(tracks, { loopLength = 0, position = 0, rate = 1 } = {}) {
+        this.stop();
+
+        this.tracks = tracks
+            .map(track => ({
+                ...track,
+                timeline: TimelinePlayer.normalize(track.timeline),
+                current: track.sound,
+                nextEvent: 0
+            }))
+            .filter(track => !TimelinePlayer.isEmpty(track.timeline));
+
+        if (this.tracks.length === 0) {
+            this._emitTick();
+            return false;
+        }
+
+        this.loopLength = loopLength > 0 ? loopLength : 0;
+        this.duration = TimelinePlayer.duration(this.tracks.map(track => track.timeline));
+        this.startTime = this.audioEngine.audioContext.currentTime;
+        this.rate = TimelinePlayer.clampRate(rate);
+        this.cycle = 0;
+
+        if (position > 0) {
+            this.seek(position);
+        } else {
+            this._scheduleVolume(0, true);
+        }
+        this.intervalId = setInterval(() => this._update(), TimelinePlayer.INTERVAL);
+        this._update();
+
+        return true;
+    }
+
+    /**
+     * Jump to a position in seconds from the session start (counting every loop
+     * pass) and optionally change the rate. Layers take on the sound and volume
+     * the timeline has at that point.
+     */
+    seek(position, rate = this.rate) {
+        if (!this.isRunning) return;
+
+        position = Math.max(0, position);
+        this.rate = TimelinePlayer.clampRate(rate);
+        this.startTime = this.audioEngine.audioContext.currentTime - position / this.rate;
+
+        const cycle = this.loopLength ? Math.floor(position / this.loopLength) : 0;
+        const cyclePosition = position - cycle * this.loopLength;
+        this.cycle = cycle;
+
+        this.tracks.forEach(track => {
+            const { events } = track.timeline;
+            if (events.length === 0) return;
+
+            // The latest event before the new position decides the sound
+            let sound = track.sound;
+            track.nextEvent = 0;
+            while (track.nextEvent < events.length && events[track.nextEvent].time <= cyclePosition) {
+                sound = events[track.nextEvent++].sound;
+            }
+
+            if (sound !== track.current) {
+                track.current = sound;
+                if (this.onSoundChange) {
+                    this.onSoundChange(track.layerId, sound);
+                }
+            }
+        });
+
+        this._scheduleVolume(cycle, true, cyclePosition);
+        this._emitTick();
+    }
+
+    /**
+     * Stop the timeline and hand each layer's volume back to the mixer
+     */
+    stop() {
+        if (!this.isRunning) return;
+
+        this.tracks.forEach(track => {
+            if (track.timeline.keyframes.length > 0) {
+                this.audioEngine.cancelLayerAutomation(track.layerId);
+            }
+        });
+
+        this._clear();
+        this._emitTick();
+    }
+
+    /**
+     * Current position for display
+     */
+    getState() {
+        if (!this.isRunning) {
+            return { isRunning: false, position: 0, length: 0, cycle: 0, loop: false };
+        }
+
+        const elapsed = Math.max(0, this._elapsed());
+        const length = this.loopLength || this.duration;
+
+        return {
+            isRunning: true,
+            position: this.loopLength ? elapsed - this.cycle * this.loopLength : Math.min(elapsed, length),
+            length,
+            cycle: this.cycle,
+            loop: this.loopLength > 0
+        };
+    }
+
+    /**
+     * Timeline seconds since the start
+     */
+    _elapsed() {
+        return (this.audioEngine.audioContext.currentTime - this.startTime) * this.rate;
+    }
+
+    _update() {
+        const elapsed = this._elapsed();
+        const cycle = this.loopLength ? Math.floor(elapsed / this.loopLength) : 0;
+        const position = elapsed - cycle * this.loopLength;
+        const newCycle = cycle !== this.cycle;
+        this.cycle = cycle;
+
+        // Missed the loop point (e.g. a throttled background tab): reschedule from now
+        if (this.scheduledCycle < cycle) {
+            this._scheduleVolume(cycle, true);
+        }
+        if (this.loopLength && position >= this.loopLength - TimelinePlayer.LOOKAHEAD * this.rate && this.scheduledCycle === cycle) {
+            this._scheduleVolume(cycle + 1, false);
+        }
+
+        this.tracks.forEach(track => {
+            const { events } = track.timeline;
+            if (events.length === 0) return;
+
+            // Each pass starts from the layer's own sound again
+            let sound;
+            if (newCycle) {
+                track.nextEvent = 0;
+                sound = track.sound;
+            }
+
+            // Only the latest of several due events matters
+            while (track.nextEvent < events.length && events[track.nextEvent].time <= position) {
+                sound = events[track.nextEvent++].sound;
+            }
+
+            if (sound !== undefined && sound !== track.current) {
+                track.current = sound;
+                if (this.onSoundChange) {
+                    this.onSoundChange(track.layerId, sound);
+                }
+            }
+        });
+
+        this._emitTick();
+
+        // A timeline that plays once ends on its last point, holding the final volumes
+        if (!this.loopLength && elapsed >= this.duration) {
+            this._clear();
+            this._emitTick();
+        }
+    }
+
+    /**
+     * Schedule one pass of every layer's volume keyframes on the audio clock,
+     * from a position within the pass onwards
+     */
+    _scheduleVolume(cycle, cancel, from = 0) {
+        const cycleStart = this.startTime + cycle * this.loopLength / this.rate;
+
+        this.tracks.forEach(track => {
+            const points = this._volumePoints(track, cycleStart, cycle > 0 && !cancel, from);
+            if (points.length > 0) {
+                this.audioEngine.automateLayerVolume(track.layerId, points, { cancel });
+            }
+        });
+
+        this.scheduledCycle = cycle;
+    }
+
+    _volumePoints(track, cycleStart, afterPreviousCycle, from = 0) {
+        const keyframes = track.timeline.keyframes.filter(keyframe => !this.loopLength || keyframe.time < this.loopLength);
+        if (keyframes.length === 0) return [];
+
+        const ramp = TimelinePlayer.RAMP_TIME;
+        const toClock = (time) => cycleStart + time / this.rate;
+        const points = [];
+
+        // Part way through a pass: ramp quickly to where the volume would be by now
+        if (from > 0) {
+            points.push({ time: toClock(from) + ramp, volume: this._volumeAt(track, keyframes, from) });
+            keyframes.filter(({ time }) => time > from).forEach(({ time, volume }) => {
+                points.push({ time: toClock(time), volume });
+            });
+            return points;
+        }
+
+        // Hold the last value right up to the loop point, then jump back quickly
+        if (afterPreviousCycle) {
+            points.push({ time: cycleStart, volume: keyframes[keyframes.length - 1].volume });
+        }
+        if (keyframes[0].time > ramp) {
+            points.push({ time: cycleStart + ramp, volume: track.volume });
+        }
+        keyframes.forEach(({ time, volume }) => {
+            points.push({ time: toClock(Math.max(time, ramp)), volume });
+        });
+
+        return points;
+    }
+
+    /**
+     * A layer's volume at a position within a pass: the mixer volume ramping to
+     * the first keyframe, straight lines between keyframes, then the last one held
+     */
+    _volumeAt(track, keyframes, position) {
+        let previous = { time: 0, volume: track.volume };
+
+        for (const keyframe of keyframes) {
+            if (keyframe.time > position) {
+                const span = keyframe.time - previous.time;
+                const progress = span > 0 ? (position - previous.time) / span : 1;
+                return previous.volume + (keyframe.volume - previous.volume) * progress;
+            }
+            previous = keyframe;
+        }
+
+        return previous.volume;
+    }
+
+    _clear() {
+        clearInterval(this.intervalId);
+        this.intervalId = null;
+        this.startTime = null;
+        this.tracks = [];
+        this.scheduledCycle = -1;
+    }
+
+    _emitTick() {
+        if (this.onTick) {
+            this.onTick(this.getState());
+        }
+    }
+
+    static clampRate(rate) {
+        return Number.isFinite(rate) && rate > 0 ? Math.min(Math.max(rate, TimelinePlayer.MIN_RATE), TimelinePlayer.MAX_RATE) : 1;
+    }
+
+    /**
+     * Clamp and sort a timeline, filling in missing lists
+     */
+    static normalize(timeline) {
+        const clampTime = (time) => Math.min(Math.max(Number(time) || 0, 0), TimelinePlayer.MAX_TIME);
+        const byTime = (a, b) => a.time - b.time;
+
+        return {
+            keyframes: (timeline?.keyframes || [])
+                .map(({ time, volume }) => ({ time: clampTime(time), volume: Math.min(Math.max(Number(volume) || 0, 0), 1) }))
+                .sort(byTime),
+            events: (timeline?.events || [])
+                .map(({ time, sound }) => ({ time: clampTime(time), sound: sound || null }))
+                .sort(byTime)
+        };
+    }
+
+    /**
+     * Whether a timeline has no keyframes or events
+     */
+    static isEmpty(timeline) {
+        return !timeline || ((timeline.keyframes || []).length === 0 && (timeline.events || []).length === 0);
+    }
+
+    /**
+     * Time of the last keyframe or event across some timelines
+     */
+    static duration(timelines) {
+        let duration = 0;
+        timelines.forEach(timeline => {
+            [...(timeline?.keyframes || []), ...(timeline?.events || [])].forEach(({ time }) => {
+                duration = Math.max(duration, time);
+            });
+        });
+        return duration;
+    }
+}
+
+// Polling interval for sound changes (ms)
+TimelinePlayer.INTERVAL = 250;
+// How far ahead of the loop point the next pass is scheduled (s)
+TimelinePlayer.LOOKAHEAD = 2;
+// Ramp from the current volume onto the timeline at 0:00 (s)
+TimelinePlayer.RAMP_TIME = 0.05;
+TimelinePlayer.MAX_TIME = 24 * 60 * 60;
+TimelinePlayer.MAX_POINTS = 100;
+// Playback rates a timeline can follow (as allowed for media elements)
+TimelinePlayer.MIN_RATE = 0.0625;
+TimelinePlayer.MAX_RATE = 16;
+
+// Export for use in main app
+window.TimelinePlayer = TimelinePlayer;
@@ -0,0 +1,225 @@
+/**
+ * User Sounds
+ * Keeps the user's own audio files in IndexedDB so they survive reloads and
+ * can be used in presets. Each file becomes the sound "user/<id>"; ids only use
+ * a-z, 0-9 and '-', so they are safe inside share links.
+ *
+ * Stored record: { id, name, type, size, duration, addedAt, blob }
+ */
+
+class UserSoundStore {
+    constructor() {
+        this.db = null;
+        this.sounds = new Map();
+        // Object URLs the engine loads the files from, by id
+        this.urls = new Map();
+    }
+
+    /**
+     * Whether this browser can store files
+     */
+    get isAvailable() {
+        return this.db !== null;
+    }
+
+    /**
+     * Open the database and load the stored files
+     */
+    async open() {
+        if (!window.indexedDB) {
+            throw new Error('IndexedDB is not available in this browser');
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(UserSoundStore.DB_NAME, UserSoundStore.DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(UserSoundStore.STORE_NAME, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        const records = await this._request(store => store.getAll());
+        records.forEach(record => {
+            this.sounds.set(record.id, record);
+            this.urls.set(record.id, URL.createObjectURL(record.blob));
+        });
+
+        return this.list();
+    }
+
+    /**
+     * Get all stored sounds, oldest first
+     */
+    list() {
+        return Array.from(this.sounds.values())
+            .sort((a, b) => a.addedAt - b.addedAt);
+    }
+
+    /**
+     * Get a stored sound by id
+     */
+    get(id) {
+        return this.sounds.get(id) || null;
+    }
+
+    /**
+     * Get the object URL a stored sound plays from
+     */
+    getUrl(id) {
+        return this.urls.get(id) || null;
+    }
+
+    /**
+     * Store a file that has already been decoded (duration in seconds)
+     */
+    async add(file, duration) {
+        if (!this.isAvailable) {
+            throw new Error('Sound storage is not available');
+        }
+
+        const record = {
+            id: this._generateId(file.name),
+            name: UserSoundStore.displayName(file.name),
+            type: file.type,
+            size: file.size,
+            duration,
+            addedAt: Date.now(),
+            blob: file
+        };
+
+        try {
+            await this._request(store => store.add(record), 'readwrite');
+        } catch (error) {
+            if (error && error.name === 'QuotaExceededError') {
+                throw new Error('Not enough storage space for this file');
+            }
+            throw error;
+        }
+
+        this.sounds.set(record.id, record);
+        this.urls.set(record.id, URL.createObjectURL(file));
+
+        return record;
+    }
+
+    /**
+     * Delete a stored sound
+     */
+    async remove(id) {
+        if (!this.sounds.has(id)) return false;
+
+        await this._request(store => store.delete(id), 'readwrite');
+        this.sounds.delete(id);
+        URL.revokeObjectURL(this.urls.get(id));
+        this.urls.delete(id);
+
+        return true;
+    }
+
+    /**
+     * Bytes used by stored sounds, and the browser's estimate of the origin's
+     * usage and quota where it gives one
+     */
+    async getUsage() {
+        const usage = {
+            bytes: this.list().reduce((total, record) => total + record.size, 0),
+            used: null,
+            quota: null
+        };
+
+        if (navigator.storage && navigator.storage.estimate) {
+            try {
+                const estimate = await navigator.storage.estimate();
+                usage.used = estimate.usage ?? null;
+                usage.quota = estimate.quota ?? null;
+            } catch (error) {
+                console.warn('Could not estimate storage usage:', error);
+            }
+        }
+
+        return usage;
+    }
+
+    /**
+     * Release the object URLs and close the database
+     */
+    close() {
+        this.urls.forEach(url => URL.revokeObjectURL(url));
+        this.urls.clear();
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    /**
+     * Run one request in its own transaction and resolve with its result
+     */
+    _request(makeRequest, mode = 'readonly') {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(UserSoundStore.STORE_NAME, mode);
+            const request = makeRequest(transaction.objectStore(UserSoundStore.STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || request.error);
+        });
+    }
+
+    /**
+     * A readable id from the file name, made unique with a short random suffix
+     */
+    _generateId(fileName) {
+        const slug = UserSoundStore.displayName(fileName)
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 24) || 'sound';
+
+        let id;
+        do {
+            id = `${slug}-${Math.random().toString(36).slice(2, 6)}`;
+        } while (this.sounds.has(id));
+        return id;
+    }
+
+    /**
+     * Whether a file looks like one of the supported audio formats
+     */
+    static isSupported(file) {
+        const extension = (file.name.split('.').pop() || '').toLowerCase();
+        return UserSoundStore.EXTENSIONS.includes(extension) ||
+            UserSoundStore.TYPES.includes(file.type);
+    }
+
+    /**
+     * File name without its extension
+     */
+    static displayName(fileName) {
+        return fileName.replace(/\.[^.]+$/, '').trim() || fileName;
+    }
+
+    /**
+     * Whether a string is a well-formed stored sound id
+     */
+    static isId(value) {
+        return typeof value === 'string' && /^[a-z0-9-]+$/.test(value);
+    }
+}
+
+UserSoundStore.DB_NAME = 'audioGeneratorSounds';
+UserSoundStore.DB_VERSION = 1;
+UserSoundStore.STORE_NAME = 'sounds';
+// Library category the stored sounds are listed under
+UserSoundStore.CATEGORY = 'user';
+
+UserSoundStore.EXTENSIONS = ['mp3', 'ogg', 'oga', 'wav', 'flac'];
+UserSoundStore.TYPES = [
+    'audio/mpeg', 'audio/mp3', 'audio/ogg', 'audio/wav', 'audio/x-wav',
+    'audio/wave', 'audio/flac', 'audio/x-flac'
+];
+// Largest file accepted (bytes); decoding holds the whole sound in memory
+UserSoundStore.MAX_SIZE = 200 * 1024 * 1024;
+
+// Export for use in main app
+window.UserSoundStore = UserSoundStore;
@@ -0,0 +1,252 @@
+/**
+ * Video Sync
+ * Makes the audio layers follow the video player. Each mode can be turned on
+ * or off:
+ *   pause    - pause and resume the layers with the video
+ *   duck     - lower the layers while the video is playing its own sound
+ *   fade     - fade the layers in as the video starts and out as it ends
+ *   timeline - keep the session timeline at the video's position and speed
+ * Ducking and fades move the engine's sync level; pausing suspends the audio
+ * context, which also stops the timeline and drift clocks.
+ */
+
+class VideoSync {
+    constructor(audioEngine, video) {
+        this.audioEngine = audioEngine;
+        this.video = video;
+        this.settings = { ...VideoSync.DEFAULTS };
+        // The video has played since sync was turned on or the user last took over
+        this.following = false;
+        this.pausedAudio = false;
+        this.suspendTimer = null;
+        this.level = 1;
+
+        // Callbacks
+        this.onTimelineSync = null;
+
+        this.handlers = {
+            play: () => this._handlePlay(),
+            pause: () => this._handlePause(),
+            seeked: () => this._handleSeek(),
+            ratechange: () => this._handleSeek(),
+            timeupdate: () => this._apply(),
+            volumechange: () => this._apply(),
+            durationchange: () => this._apply(),
+            emptied: () => this._apply()
+        };
+        Object.entries(this.handlers).forEach(([type, handler]) => video.addEventListener(type, handler));
+
+        // Something else resumed the audio while it was paused with the video
+        this.audioEngine.on('contextstatechange', ({ state }) => {
+            if (state === 'running' && this.pausedAudio && !this.suspendTimer) {
+                this.pausedAudio = false;
+                this._apply();
+            }
+        });
+    }
+
+    /**
+     * Change some or all settings (see VideoSync.DEFAULTS)
+     */
+    set(settings) {
+        const wasEnabled = this.settings.enabled;
+        this.settings = VideoSync.normalize({ ...this.settings, ...settings });
+
+        if (!this.settings.enabled || !this.settings.pause) {
+            this._resumeAudio();
+        }
+        if (this.settings.enabled && !wasEnabled) {
+            this.following = !this.video.paused;
+        }
+        this._apply();
+
+        return { ...this.settings };
+    }
+
+    /**
+     * The user started audio themselves: stop holding it paused or faded out
+     * until the video plays again
+     */
+    release() {
+        this._resumeAudio();
+        if (this.video.paused) {
+            this.following = false;
+        }
+        this._apply();
+    }
+
+    /**
+     * Where a timeline starting now should start: at a playing video's position
+     * and rate, or from 0:00 when it isn't following the video
+     */
+    getTimelinePosition() {
+        const video = this.video;
+        if (!this.settings.enabled || !this.settings.timeline || video.paused) {
+            return { position: 0, rate: 1 };
+        }
+        return { position: video.currentTime, rate: video.playbackRate };
+    }
+
+    /**
+     * Output level the current video state calls for
+     */
+    getLevel() {
+        if (!this.settings.enabled) return 1;
+        if (this.pausedAudio) return 0;
+
+        let level = 1;
+        if (this.settings.fade && this.following) {
+            level = Math.min(level, this._fadeLevel());
+        }
+        if (this.settings.duck && this._videoIsAudible()) {
+            level *= this.settings.duckLevel;
+        }
+        return level;
+    }
+
+    /**
+     * Stop following the video
+     */
+    dispose() {
+        Object.entries(this.handlers).forEach(([type, handler]) => this.video.removeEventListener(type, handler));
+        clearTimeout(this.suspendTimer);
+        this.suspendTimer = null;
+    }
+
+    async _handlePlay() {
+        if (!this.settings.enabled) return;
+
+        this.following = true;
+        clearTimeout(this.suspendTimer);
+        this.suspendTimer = null;
+
+        if (this.audioEngine.isInitialized) {
+            this.pausedAudio = false;
+            await this.audioEngine.resume();
+        }
+
+        this._apply();
+        this._syncTimeline();
+    }
+
+    _handlePause() {
+        if (!this.settings.enabled || !this.settings.pause || !this.audioEngine.isInitialized) {
+            this._apply();
+            return;
+        }
+        if (this.audioEngine.audioContext.state !== 'running') return;
+
+        // Fade out quickly, then release the audio device
+        this.pausedAudio = true;
+        this._apply(VideoSync.PAUSE_FADE / 3);
+
+        clearTimeout(this.suspendTimer);
+        this.suspendTimer = setTimeout(() => {
+            this.suspendTimer = null;
+            if (this.pausedAudio) {
+                this.audioEngine.suspend();
+            }
+        }, VideoSync.PAUSE_FADE * 1000);
+    }
+
+    _handleSeek() {
+        this._apply();
+        this._syncTimeline();
+    }
+
+    _syncTimeline() {
+        if (this.settings.enabled && this.settings.timeline && this.onTimelineSync) {
+            this.onTimelineSync(this.video.currentTime, this.video.playbackRate);
+        }
+    }
+
+    /**
+     * Undo a pause with the video without waiting for it to play again
+     */
+    _resumeAudio() {
+        clearTimeout(this.suspendTimer);
+        this.suspendTimer = null;
+
+        if (this.pausedAudio) {
+            this.pausedAudio = false;
+            this.audioEngine.resume();
+        }
+    }
+
+    /**
+     * Glide the engine to the level the video calls for, if it changed
+     */
+    _apply(tau = VideoSync.RAMP_TIME / 3) {
+        if (!this.audioEngine.isInitialized) return;
+
+        const level = this.getLevel();
+        if (Math.abs(level - this.level) < 0.001) return;
+
+        this.level = level;
+        this.audioEngine.setSyncLevel(level, tau);
+    }
+
+    /**
+     * 0 at the very start and end of the video, rising to 1 over the fade time
+     */
+    _fadeLevel() {
+        const { duration, currentTime } = this.video;
+        const fadeTime = this.settings.fadeTime;
+        if (!(fadeTime > 0) || !Number.isFinite(duration) || duration <= 0) return 1;
+
+        return Math.min(Math.max(Math.min(currentTime / fadeTime, (duration - currentTime) / fadeTime), 0), 1);
+    }
+
+    _videoIsAudible() {
+        const video = this.video;
+        return !video.paused && !video.muted && video.volume > 0 && VideoSync.hasAudio(video);
+    }
+
+    /**
+     * Whether a video has a sound track, where the browser can tell; assume it does otherwise
+     */
+    static hasAudio(video) {
+        if (video.audioTracks) return video.audioTracks.length > 0;
+        if (typeof video.mozHasAudio === 'boolean') return video.mozHasAudio;
+        if (typeof video.webkitAudioDecodedByteCount === 'number') return video.webkitAudioDecodedByteCount > 0;
+        return true;
+    }
+
+    /**
+     * Fill in defaults and clamp values to their ranges
+     */
+    static normalize(settings = {}) {
+        const values = { ...VideoSync.DEFAULTS, ...settings };
+        const clamp = (value, min, max, fallback) =>
+            Number.isFinite(value) ? Math.min(Math.max(value, min), max) : fallback;
+
+        return {
+            enabled: Boolean(values.enabled),
+            pause: Boolean(values.pause),
+            duck: Boolean(values.duck),
+            duckLevel: clamp(values.duckLevel, 0, 1, VideoSync.DEFAULTS.duckLevel),
+            fade: Boolean(values.fade),
+            fadeTime: clamp(values.fadeTime, 0, VideoSync.MAX_FADE, VideoSync.DEFAULTS.fadeTime),
+            timeline: Boolean(values.timeline)
+        };
+    }
+}
+
+VideoSync.DEFAULTS = {
+    enabled: true,
+    pause: true,
+    duck: false,
+    duckLevel: 0.3,     // level while ducked, 0 to 1
+    fade: false,
+    fadeTime: 3,        // seconds
+    timeline: true
+};
+
+VideoSync.MAX_FADE = 60;
+// Fade before the audio is suspended on pause (s)
+VideoSync.PAUSE_FADE = 0.3;
+// Glide time for ducking and fades (s)
+VideoSync.RAMP_TIME = 0.3;
+
+// Export for use in main app
+window.VideoSync = VideoSync;
@@ -0,0 +1,98 @@
+/**
+ * WAV Encoder
+ * Writes 16-bit or 24-bit PCM WAV files from floating point audio
+ */
+
+class WavEncoder {
+    /**
+     * Encode an AudioBuffer as a WAV Blob
+     */
+    static encode(audioBuffer, bitDepth = 16) {
+        const channels = [];
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            channels.push(audioBuffer.getChannelData(channel));
+        }
+
+        return WavEncoder.encodeChannels(channels, audioBuffer.sampleRate, bitDepth);
+    }
+
+    /**
+     * Encode per-channel sample arrays (all the same length) as a WAV Blob
+     */
+    static encodeChannels(channels, sampleRate, bitDepth = 16) {
+        if (!WavEncoder.BIT_DEPTHS.includes(bitDepth)) {
+            throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+        }
+
+        const frames = channels.length > 0 ? channels[0].length : 0;
+        const header = WavEncoder.createHeader(channels.length, sampleRate, bitDepth, frames);
+        const data = WavEncoder.encodeSamples(channels, bitDepth);
+
+        return new Blob([header, data], { type: 'audio/wav' });
+    }
+
+    /**
+     * Build the 44-byte RIFF/WAVE header for a PCM stream of `frames` frames
+     */
+    static createHeader(channelCount, sampleRate, bitDepth, frames) {
+        const bytesPerSample = bitDepth / 8;
+        const blockAlign = channelCount * bytesPerSample;
+        const dataSize = frames * blockAlign;
+
+        const view = new DataView(new ArrayBuffer(WavEncoder.HEADER_SIZE));
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) {
+                view.setUint8(offset + i, text.charCodeAt(i));
+            }
+        };
+
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeString(8, 'WAVE');
+
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);                       // fmt chunk size
+        view.setUint16(20, 1, true);                        // PCM
+        view.setUint16(22, channelCount, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * blockAlign, true);  // byte rate
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, bitDepth, true);
+
+        writeString(36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        return view.buffer;
+    }
+
+    /**
+     * Interleave and quantise samples to little-endian signed integers
+     */
+    static encodeSamples(channels, bitDepth) {
+        const bytesPerSample = bitDepth / 8;
+        const frames = channels.length > 0 ? channels[0].length : 0;
+        const bytes = new Uint8Array(frames * channels.length * bytesPerSample);
+        const scale = Math.pow(2, bitDepth - 1);
+
+        let offset = 0;
+        for (let i = 0; i < frames; i++) {
+            for (let channel = 0; channel < channels.length; channel++) {
+                const sample = Math.max(-1, Math.min(1, channels[channel][i]));
+                const value = Math.max(-scale, Math.min(scale - 1, Math.round(sample * scale)));
+
+                // Two's complement, least significant byte first
+                for (let b = 0; b < bytesPerSample; b++) {
+                    bytes[offset++] = (value >> (8 * b)) & 0xff;
+                }
+            }
+        }
+
+        return bytes.buffer;
+    }
+}
+
+WavEncoder.HEADER_SIZE = 44;
+WavEncoder.BIT_DEPTHS = [16, 24];
+
+// Export for use in main app
+window.WavEncoder = WavEncoder;